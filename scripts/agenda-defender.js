@@ -1,65 +1,802 @@
-function AgendaItem(timePart1, timePart2, text) {
+/**
+ * A single timed line of an agenda.
+ * Two-part times are MM:SS in relative mode and HH:mm in absolute mode;
+ * three-part times are H:MM:SS in both.
+ * After the time, a line may carry a hex color, owners (@alice), tags (#demo),
+ * settings in braces ({warn: 2m}) and speaker notes (after " //"); these are
+ * pulled out of the displayed text.
+ * @param {number} timePart1 - Minutes (relative) or hours (absolute, and relative with seconds)
+ * @param {number} timePart2 - Seconds (relative) or minutes (absolute, and relative with seconds)
+ * @param {string} text - The full agenda line
+ * @param {number} [timePart3] - Seconds, when the line uses H:MM:SS
+ */
+function AgendaItem(timePart1, timePart2, text, timePart3) {
     this.timePart1 = timePart1;
     this.timePart2 = timePart2;
-    var tokens = text.split(' ');
+    this.timePart3 = (timePart3 === undefined ? null : timePart3);
+    // Speaker notes run from a whitespace-preceded "//" to the end of the line (so URLs survive)
+    var notesMatch = /\s\/\/\s?(.*)$/.exec(text);
+    this.notes = notesMatch ? notesMatch[1].trim() : '';
+    if (notesMatch) text = text.slice(0, notesMatch.index);
+    // Raw "key: value" settings from a {...} block, interpreted by Agenda.analyze
+    this.settings = {};
+    var settingsMatch = /\{([^}]*)\}/.exec(text);
+    if (settingsMatch) {
+        settingsMatch[1].split(',').forEach(pair => {
+            var setting = /^\s*([a-z][\w-]*)\s*:\s*(.*?)\s*$/i.exec(pair);
+            if (setting) this.settings[setting[1].toLowerCase()] = setting[2];
+        });
+        text = text.slice(0, settingsMatch.index) + text.slice(settingsMatch.index + settingsMatch[0].length);
+    }
+    // Per-section warning thresholds in milliseconds ({warn, critical}), or null for the global defaults
+    this.thresholds = null;
+    // Shortest the section may be squeezed to when the end time is protected ({min: 2m}), or null
+    this.minDuration = null;
+    var tokens = text.trim().split(/\s+/);
     if (/^#[0-9a-f]{3,6}$/i.test(tokens[1])) {
-        var prefix = tokens.shift();
-        this.color = tokens.shift();
-        this.text = prefix + ' ' + tokens.join(' ');
-    } else {
-        this.text = text;
+        this.color = tokens.splice(1, 1)[0];
     }
-    this.isRelativeMode = timePart1 == 0 && timePart2 == 0;
-    this.getAbsoluteTime = function () {
-        let time = new Date();
+    var prefix = tokens.shift();
+    this.owners = [];
+    this.tags = [];
+    var words = tokens.filter(token => {
+        if (/^@\w[\w.-]*$/.test(token)) {
+            this.owners.push(token.slice(1));
+            return false;
+        }
+        if (/^#[a-z][\w-]*$/i.test(token)) {
+            this.tags.push(token.slice(1).toLowerCase());
+            return false;
+        }
+        return token !== '';
+    });
+    // Title without the time, and the on-screen text with it
+    this.title = words.join(' ');
+    this.text = words.length > 0 ? prefix + ' ' + this.title : prefix;
+    // Length in milliseconds for lines written in duration syntax ("5m Intro"), set by Agenda.parseItem
+    this.duration = null;
+    // Indented sub-sections that tick inside this item, filled in by Agenda.analyze
+    this.children = [];
+    this.isRelativeMode = timePart1 == 0 && timePart2 == 0 && !timePart3;
+    this.getAbsoluteTime = function (day) {
+        // Today unless a date header (or a midnight rollover) says otherwise
+        let time = day ? new Date(day) : new Date();
+        // Hours past 23 roll over into the next day
         time.setHours(timePart1);
         time.setMinutes(timePart2);
-        time.setSeconds(0);
+        time.setSeconds(timePart3 || 0);
         time.setMilliseconds(0);
         return time;
     }
     this.getRelativeTime = function (baseline) {
         let time = new Date(baseline);
-        time.setMinutes(time.getMinutes() + timePart1);
-        time.setSeconds(time.getSeconds() + timePart2);
+        if (timePart3 != null) {
+            time.setHours(time.getHours() + timePart1);
+            time.setMinutes(time.getMinutes() + timePart2);
+            time.setSeconds(time.getSeconds() + timePart3);
+        } else {
+            time.setMinutes(time.getMinutes() + timePart1);
+            time.setSeconds(time.getSeconds() + timePart2);
+        }
         return (time);
     }
 }
 
-// Global time offset for section jumping (in milliseconds)
-// Positive offset = jump forward in time, Negative offset = jump backward
-let timeOffset = 0;
+// TimerEngine of the running meeting; owns section jumps and paused time
+// (exposed to window for PauseController and TimeAdjuster)
+let timerEngine = null;
+window.timerEngine = null;
 
 // Store current agenda for section jumping (exposed to window for SectionNavigator)
 let currentAgenda = null;
 window.currentAgenda = null;
 
 let Agenda = {
+    /**
+     * Parse a duration token such as "5m", "90s" or "1h30m"
+     * @param {string} durationString - Duration token
+     * @returns {number|null} Duration in milliseconds, or null if the token is not a duration
+     */
+    parseDuration: function (durationString) {
+        let tokens = /^(?=\d+[hms])(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(durationString);
+        if (!tokens) return null;
+        let hours = parseInt(tokens[1] || 0);
+        let minutes = parseInt(tokens[2] || 0);
+        let seconds = parseInt(tokens[3] || 0);
+        return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+    },
+
     parseItem: function (itemString) {
         try {
-            let agendaItemRegExp = /^(\d\d):(\d\d)\s+(.*)$/;
+            // MM:SS, MMM:SS, H:mm or H:MM:SS
+            let agendaItemRegExp = /^(\d{1,3}):(\d\d)(?::(\d\d))?\s+(.*)$/;
             let tokens = agendaItemRegExp.exec(itemString);
-            let p1 = parseInt(tokens[1]);
-            let p2 = parseInt(tokens[2]);
-            return new AgendaItem(p1, p2, itemString);
+            if (tokens) {
+                let p1 = parseInt(tokens[1]);
+                let p2 = parseInt(tokens[2]);
+                let p3 = tokens[3] === undefined ? undefined : parseInt(tokens[3]);
+                return new AgendaItem(p1, p2, itemString, p3);
+            }
+            // Duration syntax: each line gives its own length, e.g. "1h30m Workshop"
+            let durationTokens = /^(\S+)\s+(.*)$/.exec(itemString);
+            let duration = durationTokens ? this.parseDuration(durationTokens[1]) : null;
+            if (duration === null) {
+                throw new Error('Unrecognised agenda line: ' + itemString);
+            }
+            let item = new AgendaItem(null, null, itemString);
+            item.duration = duration;
+            return item;
         } catch (e) {
             console.warn(e);
             return null;
         }
     },
 
-    parse: function (agendaString) {
-        let items = agendaString.split(/\n/).map(line => this.parseItem(line)).filter(line => line != null);
-        let relativeMode = items[0].isRelativeMode;
+    // A clock time may fall at most this far after the previous one when it wraps past midnight
+    ROLLOVER_WINDOW: 12 * 60 * 60 * 1000,
+
+    /**
+     * Parse a date header line such as "# 2026-11-03"
+     * @param {string} line - A line of agenda text
+     * @returns {Date|null} Local midnight of that date, or null if the line is not a date header
+     */
+    parseDateHeader: function (line) {
+        let tokens = /^#\s*(\d{4})-(\d\d)-(\d\d)\s*$/.exec(line.trim());
+        if (!tokens) return null;
+        let date = new Date(parseInt(tokens[1]), parseInt(tokens[2]) - 1, parseInt(tokens[3]));
+        // Reject dates like 2026-02-30 that Date would silently move into the next month
+        if (date.getMonth() !== parseInt(tokens[2]) - 1) return null;
+        return date;
+    },
+
+    /**
+     * Give absolute-mode items their start times. Items take the date of the nearest
+     * date header above them (today if there is none), and roll forward a day when a
+     * clock time goes backwards by more than ROLLOVER_WINDOW, e.g. 23:30 then 00:30.
+     * @param {Array<AgendaItem>} items - Timestamp items in agenda order
+     */
+    scheduleAbsolute: function (items) {
+        let day = null;
+        items.forEach((item, i) => {
+            let previous = items[i - 1];
+            if (!previous || item.date !== previous.date) {
+                day = item.date || new Date();
+            }
+            item.commencesAt = item.getAbsoluteTime(day);
+            if (previous && item.date === previous.date && item.commencesAt < previous.commencesAt) {
+                let nextDay = new Date(day);
+                nextDay.setDate(nextDay.getDate() + 1);
+                let rolledOver = item.getAbsoluteTime(nextDay);
+                if (rolledOver - previous.commencesAt <= this.ROLLOVER_WINDOW) {
+                    day = nextDay;
+                    item.commencesAt = rolledOver;
+                }
+            }
+        });
+    },
+
+    /**
+     * Parse a directive line such as "@start 14:00"
+     * @param {string} line - A line of agenda text
+     * @returns {{name: string, args: string}|null} Directive name and the rest of the line, or null
+     */
+    parseDirective: function (line) {
+        let tokens = /^@([a-z][\w-]*)(?:\s+(.*))?$/i.exec(line.trim());
+        if (!tokens) return null;
+        return {name: tokens[1].toLowerCase(), args: (tokens[2] || '').trim()};
+    },
+
+    /**
+     * Parse the argument of @start: a clock time ("14:00", "14:00:30") or a delay ("+5m")
+     * @param {string} args - Directive argument
+     * @param {Date} now - When the meeting is being started
+     * @returns {Date|null} Start time, or null if the argument is not understood
+     */
+    parseStartTime: function (args, now) {
+        if (args.startsWith('+')) {
+            let delay = this.parseDuration(args.slice(1));
+            return delay === null ? null : new Date(now.getTime() + delay);
+        }
+        let tokens = /^(\d{1,2}):(\d\d)(?::(\d\d))?$/.exec(args);
+        if (!tokens || parseInt(tokens[1]) > 23) return null;
+        let time = new Date(now);
+        time.setHours(parseInt(tokens[1]), parseInt(tokens[2]), parseInt(tokens[3] || 0), 0);
+        // Just after midnight is tomorrow when the agenda is started late in the evening
+        if (time < now) {
+            let tomorrow = new Date(time);
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            if (tomorrow - now <= this.ROLLOVER_WINDOW) time = tomorrow;
+        }
+        return time;
+    },
+
+    /**
+     * Handlers for directive lines, keyed by name. Each receives the directive argument
+     * and a context with the directive's line, the parse time (now), a report function
+     * and the settings it may change (startsAt, manualAdvance). What a handler returns
+     * is kept as the directive's value in analyze().directives.
+     * Handlers must be pure: the agenda is parsed again on GO, on export and on import,
+     * so a handler may only change the context, report and return a value.
+     */
+    directives: {
+        start: function (args, context) {
+            let startsAt = Agenda.parseStartTime(args, context.now);
+            if (!startsAt) {
+                context.report(context.line, Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, Agenda.SEVERITY.ERROR,
+                    '@start needs a clock time like 14:00 or a delay like +5m');
+                return;
+            }
+            context.startsAt = startsAt;
+            context.startLine = context.line;
+        },
+
+        // "@advance manual" holds every section at its end until the presenter moves on
+        advance: function (args, context) {
+            let mode = args.trim().toLowerCase();
+            if (mode !== 'manual' && mode !== 'auto') {
+                context.report(context.line, Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, Agenda.SEVERITY.WARNING,
+                    '@advance needs manual or auto, ignored');
+                return;
+            }
+            context.manualAdvance = mode === 'manual';
+        }
+    },
+
+    // Directives that plugins may not remove
+    BUILT_IN_DIRECTIVES: ['start', 'advance'],
+
+    /**
+     * Add a handler for a new directive, e.g. from a plugin
+     * @param {string} name - Directive name without the @, e.g. "theme"
+     * @param {Function} handler - Pure function called with (args, context) like the built-in
+     *     handlers; its return value is the directive's value in analyze().directives
+     * @returns {boolean} Whether the directive was added
+     */
+    registerDirective: function (name, handler) {
+        name = String(name).toLowerCase();
+        if (!/^[a-z][\w-]*$/.test(name) || typeof handler !== 'function') {
+            console.warn('❌ Invalid directive @' + name);
+            return false;
+        }
+        if (this.directives[name]) {
+            console.warn('❌ Directive @' + name + ' is already defined');
+            return false;
+        }
+        this.directives[name] = handler;
+        return true;
+    },
+
+    /**
+     * Remove a directive added with registerDirective
+     * @param {string} name - Directive name without the @
+     * @returns {boolean} Whether it was removed
+     */
+    unregisterDirective: function (name) {
+        name = String(name).toLowerCase();
+        if (this.BUILT_IN_DIRECTIVES.includes(name) || !this.directives[name]) return false;
+        delete this.directives[name];
+        return true;
+    },
+
+    /**
+     * Interpret an item's {...} settings, reporting any that are not understood
+     * @param {AgendaItem} item - Parsed item with raw settings
+     * @param {Function} report - Diagnostic callback (line, kind, severity, message)
+     */
+    applySettings: function (item, report) {
+        const KINDS = this.DIAGNOSTIC_KINDS;
+        const SEVERITY = this.SEVERITY;
+        Object.keys(item.settings).forEach(key => {
+            let value = item.settings[key];
+            if (key !== 'warn' && key !== 'critical' && key !== 'min') {
+                report(item.line, KINDS.UNPARSEABLE, SEVERITY.WARNING, 'Unknown setting "' + key + '", ignored');
+                return;
+            }
+            let ms = this.parseDuration(value);
+            if (ms === null) {
+                report(item.line, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+                    'Setting "' + key + '" needs a length like 2m or 30s, ignored');
+                return;
+            }
+            if (key === 'min') {
+                item.minDuration = ms;
+                return;
+            }
+            item.thresholds = item.thresholds || {};
+            item.thresholds[key] = ms;
+        });
+        if (item.thresholds && item.thresholds.warn !== undefined && item.thresholds.critical !== undefined &&
+            item.thresholds.critical > item.thresholds.warn) {
+            report(item.line, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+                'The critical threshold is longer than the warn threshold');
+        }
+    },
+
+    /**
+     * Format a length in milliseconds in duration syntax, e.g. 5400000 -> "1h30m"
+     * @param {number} ms - Length in milliseconds
+     * @returns {string} Duration token
+     */
+    formatDuration: function (ms) {
+        let totalSeconds = Math.round(ms / 1000);
+        let hours = Math.floor(totalSeconds / 3600);
+        let minutes = Math.floor((totalSeconds % 3600) / 60);
+        let seconds = totalSeconds % 60;
+        let token = (hours ? hours + 'h' : '') + (minutes ? minutes + 'm' : '') + (seconds ? seconds + 's' : '');
+        return token || '0m';
+    },
+
+    /**
+     * Split agenda text into one node per line, keeping everything needed to write it back.
+     * Node types: blank, comment, date, directive, item and invalid. Item nodes carry
+     * indent, timestamp ([p1, p2] or [p1, p2, p3]) or duration (ms), color, title,
+     * owners, tags, settings and notes. Edit those fields and pass the tree to serialize.
+     * @param {string} agendaString - Agenda text
+     * @returns {{type: string, nodes: Array<Object>}} Agenda syntax tree
+     */
+    toAst: function (agendaString) {
+        let nodes = agendaString.split(/\n/).map((raw, index) => {
+            let node = {type: 'invalid', line: index + 1, raw: raw, text: raw};
+            let directive = this.parseDirective(raw);
+            let date = this.parseDateHeader(raw);
+            if (directive) {
+                node = {type: 'directive', line: index + 1, raw: raw, name: directive.name, args: directive.args};
+            } else if (date) {
+                node = {type: 'date', line: index + 1, raw: raw, date: date};
+            } else if (raw.trim() === '') {
+                node = {type: 'blank', line: index + 1, raw: raw};
+            } else if (this.isIgnorableLine(raw)) {
+                node = {type: 'comment', line: index + 1, raw: raw, text: raw};
+            } else {
+                let item = this.parseItem(raw.trim());
+                if (item) {
+                    node = {
+                        type: 'item',
+                        line: index + 1,
+                        raw: raw,
+                        indent: /^\s*/.exec(raw)[0],
+                        timestamp: item.duration === null ?
+                            [item.timePart1, item.timePart2].concat(item.timePart3 === null ? [] : [item.timePart3]) : null,
+                        duration: item.duration,
+                        color: item.color || null,
+                        title: item.title,
+                        owners: item.owners,
+                        tags: item.tags,
+                        settings: item.settings,
+                        notes: item.notes
+                    };
+                }
+            }
+            // Remember how the untouched node formats, so serialize can tell whether it was edited
+            Object.defineProperty(node, 'formatted', {value: this.formatNode(node)});
+            return node;
+        });
+        return {type: 'agenda', nodes: nodes};
+    },
+
+    /**
+     * Write a single syntax tree node back as a line of agenda text
+     * @param {Object} node - Node from toAst, possibly edited, or built by hand
+     * @returns {string} Agenda line
+     */
+    formatNode: function (node) {
+        switch (node.type) {
+            case 'blank':
+                return '';
+            case 'date':
+                return '# ' + node.date.getFullYear() + '-' + TimeUtils.pad(node.date.getMonth() + 1) + '-' +
+                    TimeUtils.pad(node.date.getDate());
+            case 'directive':
+                return '@' + node.name + (node.args ? ' ' + node.args : '');
+            case 'item': {
+                let parts = [node.duration !== null && node.duration !== undefined ?
+                    this.formatDuration(node.duration) :
+                    node.timestamp.length === 3 ?
+                        node.timestamp[0] + ':' + TimeUtils.pad(node.timestamp[1]) + ':' + TimeUtils.pad(node.timestamp[2]) :
+                        TimeUtils.pad(node.timestamp[0]) + ':' + TimeUtils.pad(node.timestamp[1])];
+                if (node.color) parts.push(node.color);
+                if (node.title) parts.push(node.title);
+                (node.owners || []).forEach(owner => parts.push('@' + owner));
+                (node.tags || []).forEach(tag => parts.push('#' + tag));
+                let settings = node.settings || {};
+                if (Object.keys(settings).length > 0) {
+                    parts.push('{' + Object.keys(settings).map(key => key + ': ' + settings[key]).join(', ') + '}');
+                }
+                if (node.notes) parts.push('// ' + node.notes);
+                return (node.indent || '') + parts.join(' ');
+            }
+            default:
+                return node.text;
+        }
+    },
+
+    /**
+     * Write a syntax tree from toAst back as agenda text. Nodes that were not edited
+     * keep their original text exactly; edited and new nodes are written out canonically.
+     * @param {{nodes: Array<Object>}} ast - Agenda syntax tree
+     * @returns {string} Agenda text
+     */
+    serialize: function (ast) {
+        return ast.nodes.map(node => {
+            let formatted = this.formatNode(node);
+            return (node.raw !== undefined && formatted === node.formatted) ? node.raw : formatted;
+        }).join('\n');
+    },
+
+    /**
+     * Make a title from outside the agenda safe to put on an agenda line: one line, and no
+     * characters the parser would read as settings, notes, tags or owners
+     * @param {string} title - Title as found, e.g. an event summary or a heading
+     * @param {string} fallback - Title to use if nothing is left
+     * @returns {string} Title
+     */
+    cleanTitle: function (title, fallback) {
+        let cleaned = String(title || '')
+            .replace(/[{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/\s\/\/.*$/, '')
+            .replace(/(^|\s)[#@](?=\w)/g, '$1')
+            .trim();
+        return cleaned || fallback;
+    },
+
+    // Kinds of problem reported by Agenda.analyze
+    DIAGNOSTIC_KINDS: {
+        EMPTY: 'empty',
+        UNPARSEABLE: 'unparseable',
+        OUT_OF_ORDER: 'out-of-order',
+        DUPLICATE_TIME: 'duplicate-time',
+        ZERO_LENGTH: 'zero-length',
+        MISSING_FINISH: 'missing-finish'
+    },
+
+    SEVERITY: {
+        ERROR: 'error',
+        WARNING: 'warning'
+    },
+
+    /**
+     * Check whether a line carries no agenda item: blank lines and comments (# or //)
+     * @param {string} line - A line of agenda text
+     * @returns {boolean} True if the line should be skipped without a diagnostic
+     */
+    isIgnorableLine: function (line) {
+        let trimmed = line.trim();
+        return trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('//');
+    },
+
+    /**
+     * Parse an agenda and report any problems found along the way.
+     * Indented lines become sub-sections (children) of the nearest unindented line above them.
+     * Date header lines ("# 2026-11-03") set the calendar date of the clock times below them.
+     * Directive lines ("@start 14:00") change how the agenda is scheduled; each one that has a
+     * handler is listed in directives, with the value its handler returned.
+     * Sections tagged #manual, or every section under "@advance manual", get manualAdvance:
+     * they hold in overtime at their end until the presenter moves on.
+     * Sections tagged #fixed get fixed: protecting the end time never resizes them.
+     * @param {string} agendaString - Agenda text, one item per line
+     * @returns {{items: Array<AgendaItem>, diagnostics: Array<{line: (number|null), kind: string, severity: string, message: string}>,
+     *           directives: Array<{line: number, name: string, args: string, value: *}>}}
+     *          Scheduled top-level items (FINISH removed), diagnostics and directives with 1-based line numbers
+     */
+    analyze: function (agendaString) {
+        const KINDS = this.DIAGNOSTIC_KINDS;
+        const SEVERITY = this.SEVERITY;
+        let diagnostics = [];
+        let report = (line, kind, severity, message) => diagnostics.push({line, kind, severity, message});
+        let directives = [];
+
+        let items = [];
+        let dateHeaderLines = [];
+        let date = null;
         let now = new Date();
-        items.forEach(item => item.commencesAt = (relativeMode ? item.getRelativeTime(now) : item.getAbsoluteTime()));
-        for (let i = 0; i < (items.length - 1); i++) items[i].concludesAt = items[i + 1].commencesAt;
-        items.pop();
-        console.debug(items);
-        return items;
+        let context = {now, report, startsAt: null, startLine: null, manualAdvance: false};
+        // Indent of the first sub-section under the current section; deeper lines are flattened to it
+        let childIndent = null;
+        this.toAst(agendaString).nodes.forEach(node => {
+            if (node.type === 'directive') {
+                let handler = this.directives[node.name];
+                if (handler) {
+                    context.line = node.line;
+                    let value = handler(node.args, context);
+                    directives.push({line: node.line, name: node.name, args: node.args, value: value});
+                } else {
+                    report(node.line, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+                        'Unknown directive @' + node.name + ', ignored');
+                }
+            } else if (node.type === 'date') {
+                date = node.date;
+                dateHeaderLines.push(node.line);
+            } else if (node.type === 'item') {
+                let item = this.parseItem(node.raw.trim());
+                item.line = node.line;
+                item.depth = node.indent ? 1 : 0;
+                if (!node.indent) {
+                    childIndent = null;
+                } else if (childIndent === null) {
+                    childIndent = node.indent;
+                } else if (node.indent.length > childIndent.length) {
+                    report(node.line, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+                        'Sub-sections cannot be nested more than one level deep, so this is a sub-section of the section above');
+                }
+                item.date = date;
+                this.applySettings(item, report);
+                items.push(item);
+            } else if (node.type === 'invalid') {
+                report(node.line, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+                    'Not an agenda item, ignored: "' + node.text.trim() + '"');
+            }
+        });
+
+        if (items.length === 0) {
+            report(null, KINDS.EMPTY, SEVERITY.ERROR, 'The agenda has no timed items');
+            return {items, diagnostics, directives};
+        }
+        // A sub-section needs a section above it to belong to
+        items[0].depth = 0;
+
+        // The first line decides whether the agenda uses durations or timestamps; lines in the other syntax are ignored
+        let durationMode = items[0].duration !== null;
+        // Line of the ignored section whose sub-sections are being skipped, if any
+        let ignoredLine = null;
+        items = items.filter(item => {
+            if (item.depth === 0) {
+                ignoredLine = null;
+            } else if (ignoredLine !== null) {
+                // Otherwise they would end up under the section before the ignored one
+                report(item.line, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+                    'Sub-section of line ' + ignoredLine + ', which is ignored, so this is ignored too');
+                return false;
+            }
+            if ((item.duration !== null) === durationMode) return true;
+            report(item.line, KINDS.UNPARSEABLE, SEVERITY.WARNING, durationMode ?
+                'Timestamps cannot be mixed with durations, ignored' :
+                'Durations cannot be mixed with timestamps, ignored');
+            if (item.depth === 0) ignoredLine = item.line;
+            return false;
+        });
+
+        let sections = [];
+        items.forEach(item => {
+            if (item.depth > 0) {
+                sections[sections.length - 1].children.push(item);
+            } else {
+                sections.push(item);
+            }
+        });
+        sections.forEach(section => {
+            section.manualAdvance = context.manualAdvance || section.tags.includes('manual');
+            section.fixed = section.tags.includes('fixed');
+        });
+
+        // Relative and duration agendas begin when GO is pressed, unless @start says otherwise
+        let startsAt = context.startsAt || now;
+        if (durationMode) {
+            // Every line is a section, so there is no FINISH line to pop
+            let time = startsAt;
+            sections.forEach(section => {
+                section.commencesAt = time;
+                time = new Date(time.getTime() + section.duration);
+                section.concludesAt = time;
+                // Sub-sections run back to back from the start of their section
+                let childTime = section.commencesAt;
+                section.children.forEach(child => {
+                    child.commencesAt = childTime;
+                    childTime = new Date(childTime.getTime() + child.duration);
+                    if (childTime > section.concludesAt) {
+                        report(child.line, KINDS.OUT_OF_ORDER, SEVERITY.WARNING,
+                            'Sub-sections run past the end of line ' + section.line + ', so this one is cut short');
+                        childTime = section.concludesAt;
+                    }
+                    child.concludesAt = childTime;
+                });
+            });
+            items.forEach(item => {
+                if (item.duration === 0) {
+                    report(item.line, KINDS.ZERO_LENGTH, SEVERITY.WARNING, 'Section has no length and will be skipped');
+                }
+            });
+            dateHeaderLines.forEach(line => report(line, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+                'Date headers only apply to clock times, ignored'));
+            return {items: sections, diagnostics, directives};
+        }
+        // A date header means the times are clock times, even one starting at 00:00
+        let relativeMode = items[0].isRelativeMode && dateHeaderLines.length === 0;
+        if (relativeMode) {
+            items.forEach(item => item.commencesAt = item.getRelativeTime(startsAt));
+        } else {
+            this.scheduleAbsolute(items);
+            if (context.startsAt) {
+                report(context.startLine, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+                    '@start only applies to agendas that begin at 00:00 or use durations, ignored');
+            }
+        }
+        for (let i = 1; i < items.length; i++) {
+            let gap = items[i].commencesAt - items[i - 1].commencesAt;
+            // A first sub-section normally starts together with its section
+            let isFirstChild = items[i].depth > items[i - 1].depth;
+            if (gap < 0) {
+                report(items[i].line, KINDS.OUT_OF_ORDER, SEVERITY.ERROR,
+                    'Time is earlier than line ' + items[i - 1].line);
+            } else if (gap === 0 && !isFirstChild) {
+                report(items[i].line, KINDS.DUPLICATE_TIME, SEVERITY.WARNING,
+                    'Same time as line ' + items[i - 1].line + ', so that section will be skipped');
+            }
+        }
+        let finish = sections[sections.length - 1];
+        if (sections.length < 2) {
+            report(finish.line, KINDS.MISSING_FINISH, SEVERITY.ERROR,
+                'Add a FINISH line with the end time after the last section');
+        } else if (!/\b(finish|end)\b/i.test(finish.text)) {
+            report(finish.line, KINDS.MISSING_FINISH, SEVERITY.WARNING,
+                'No FINISH line, so this line is used as the end time');
+        }
+        for (let i = 0; i < (sections.length - 1); i++) {
+            let section = sections[i];
+            section.concludesAt = sections[i + 1].commencesAt;
+            section.children.forEach((child, j, children) => {
+                child.concludesAt = (j + 1 < children.length) ? children[j + 1].commencesAt : section.concludesAt;
+            });
+        }
+        sections[sections.length - 1].children.forEach(child => report(child.line, KINDS.UNPARSEABLE, SEVERITY.WARNING,
+            'Lines indented under FINISH are not sub-sections of anything, ignored'));
+        sections.pop();
+        console.debug(sections);
+        return {items: sections, diagnostics, directives};
+    },
+
+    parse: function (agendaString) {
+        return this.analyze(agendaString).items;
     }
 };
 
+/**
+ * Show parser diagnostics next to the agenda textarea, or clear them when the list is empty
+ * @param {Array<{line: (number|null), severity: string, message: string}>} diagnostics - Diagnostics from Agenda.analyze
+ */
+function showDiagnostics(diagnostics) {
+    let list = document.getElementById('agenda-diagnostics');
+    if (!diagnostics || diagnostics.length === 0) {
+        if (list) list.remove();
+        return;
+    }
+    if (!list) {
+        const textarea = document.getElementById('agenda');
+        if (!textarea) return;
+        list = document.createElement('ul');
+        list.id = 'agenda-diagnostics';
+        list.className = 'agenda-diagnostics';
+        list.setAttribute('role', 'alert');
+        textarea.insertAdjacentElement('afterend', list);
+    }
+    list.innerHTML = '';
+    diagnostics.forEach(function (diagnostic) {
+        const entry = document.createElement('li');
+        entry.className = 'diagnostic-' + diagnostic.severity;
+        entry.textContent = (diagnostic.line ? 'Line ' + diagnostic.line + ': ' : '') + diagnostic.message;
+        list.appendChild(entry);
+    });
+}
+
+/**
+ * Calculate the ticker font size from the viewport height and the number of rows to show
+ * Sub-sections are drawn smaller, so each one counts as half a row
+ * @param {Array} agenda - Parsed agenda items
+ * @returns {number} Font size in pixels for top-level items
+ */
+function getTickerFontSize(agenda) {
+    let rows = agenda.reduce((sum, item) => sum + 1 + (item.children ? item.children.length / 2 : 0), 0);
+    return Math.min(72, Math.max(24, Math.floor(window.innerHeight / (rows * 2))));
+}
+
+/**
+ * Apply ticker font sizes to the rendered agenda items, sub-sections, owners and notes
+ * @param {Array} agenda - Parsed agenda items
+ */
+function applyTickerFontSize(agenda) {
+    let fontSize = getTickerFontSize(agenda);
+    let childFontSize = Math.max(16, Math.floor(fontSize * 0.6));
+    $('.agenda-item-text').css({
+        "font-size": fontSize + "px",
+        "line-height": (fontSize * 1.2) + "px"
+    });
+    $('.agenda-subitem-text').css({
+        "font-size": childFontSize + "px",
+        "line-height": (childFontSize * 1.2) + "px"
+    });
+    let metadataFontSize = Math.max(14, Math.floor(fontSize * 0.45));
+    $('.agenda-item-owner, .agenda-item-notes').css({
+        "font-size": metadataFontSize + "px",
+        "line-height": (metadataFontSize * 1.3) + "px"
+    });
+}
+
+/**
+ * Format remaining time as M:SS
+ * @param {number} timeLeft - Remaining time in milliseconds
+ * @returns {string} Formatted countdown
+ */
+function formatTimeLeft(timeLeft) {
+    let minutes = Math.floor(timeLeft / 60000);
+    let seconds = Math.floor((timeLeft % 60000) / 1000);
+    return minutes + ":" + (seconds < 10 ? "0" : "") + seconds;
+}
+
+/**
+ * Build the owner subtitle and speaker notes shown under an item's title
+ * @param {Object} item - Agenda item or sub-section
+ * @returns {Array} jQuery elements to append after the title (may be empty)
+ */
+function renderItemMetadata(item) {
+    let elements = [];
+    if (item.owners && item.owners.length > 0) {
+        elements.push($("<span>").addClass("agenda-item-owner").text(item.owners.join(", ")));
+    }
+    if (item.notes) {
+        // Hidden unless the presenter view is on
+        elements.push($("<span>").addClass("agenda-item-notes").text(item.notes));
+    }
+    return elements;
+}
+
+/**
+ * Find the importer for a file from its name extension
+ * @param {string} filename - Name of the picked file
+ * @returns {Object|null} IcsImport or MarkdownImport, or null if none reads this kind of file
+ */
+function getImporter(filename) {
+    let extension = filename.split('.').pop().toLowerCase();
+    let importers = [
+        typeof IcsImport !== 'undefined' ? IcsImport : null,
+        typeof MarkdownImport !== 'undefined' ? MarkdownImport : null
+    ];
+    return importers.find(importer => importer && importer.EXTENSIONS.includes(extension)) || null;
+}
+
+/**
+ * Read a calendar or Markdown file into the agenda textarea
+ * @param {File} file - File picked by the user
+ * @returns {Promise<Object>} Resolves with the importer's result ({text, items, diagnostics})
+ */
+function importAgendaFile(file) {
+    let importer = getImporter(file.name);
+    if (!importer) {
+        return Promise.reject(new Error('Unsupported file type: ' + file.name));
+    }
+    return new Promise(function (resolve, reject) {
+        let reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    }).then(function (contents) {
+        let result = importer.importText(contents);
+        // Triggering input lets autosave see the new text and clears stale diagnostics
+        $("#agenda").val(result.text).trigger('input');
+        showDiagnostics(result.diagnostics);
+        console.log('📥 Imported ' + result.items.length + ' sections from ' + file.name);
+        return result;
+    });
+}
+
+/**
+ * Show or hide speaker notes in the ticker
+ * @param {boolean} enabled - True to show notes under each item
+ */
+function setPresenterView(enabled) {
+    $("#ticker").toggleClass("show-notes", !!enabled);
+}
+
+/**
+ * Switch the presenter view on or off
+ * @returns {boolean} True if speaker notes are now shown
+ */
+function togglePresenterView() {
+    let enabled = !$("#ticker").hasClass("show-notes");
+    setPresenterView(enabled);
+    console.log('🗒️ Presenter view ' + (enabled ? 'on' : 'off'));
+    return enabled;
+}
+
 function makeTicker(agenda) {
     let $ticker = $("#ticker");
     // Note: ticker is already cleared in runMeeting(), no need to clear again
@@ -68,15 +805,8 @@ function makeTicker(agenda) {
         let $div = $("<div>").addClass("agenda-item");
         let $span = $("<span>").addClass("agenda-item-text").text(item.text);
 
-        // Calculate font size based on viewport height and number of items
-        let viewportHeight = window.innerHeight;
-        let fontSize = Math.min(72, Math.max(24, Math.floor(viewportHeight / (agenda.length * 2))));
-        $span.css({
-            "font-size": fontSize + "px",
-            "line-height": (fontSize * 1.2) + "px"
-        });
-
         $div.append($span);
+        $div.append(renderItemMetadata(item));
 
         let $progressBar = $("<div>").addClass("progress-bar");
         if (item.color) $progressBar.css("background-color", item.color);
@@ -84,53 +814,165 @@ function makeTicker(agenda) {
         item.element = $div;
         item.progressBar = $progressBar;
         $div.append($progressBar);
+
+        // Sub-sections are listed under their parent, each with its own countdown and progress bar
+        if (item.children.length > 0) {
+            let $subitems = $("<div>").addClass("agenda-subitems");
+            item.children.forEach(function (child) {
+                let $childDiv = $("<div>").addClass("agenda-subitem");
+                let $childBar = $("<div>").addClass("progress-bar");
+                if (child.color) $childBar.css("background-color", child.color);
+                $childDiv.append($("<span>").addClass("agenda-subitem-text").text(child.text));
+                $childDiv.append(renderItemMetadata(child));
+                $childDiv.append($childBar);
+                child.element = $childDiv;
+                child.progressBar = $childBar;
+                $subitems.append($childDiv);
+            });
+            $div.append($subitems);
+        }
+
         $ticker.append($div);
     });
 
+    // Calculate font size based on viewport height and number of items
+    applyTickerFontSize(agenda);
+
+    // Countdown shown until the first section starts (@start, or a clock-time agenda started early)
+    let $preroll = $("<div>").addClass("ticker-preroll").hide();
+    $ticker.prepend($preroll);
+
+    // Show finished, running and upcoming sub-sections of an item
+    function updateChildren(item, now) {
+        item.children.forEach(function (child) {
+            let $text = child.element.find(".agenda-subitem-text");
+            if (now >= child.concludesAt.getTime()) {
+                child.progressBar.css("width", "100%");
+                child.element.addClass("finished").removeClass("current");
+                $text.text(child.text);
+            } else if (now >= child.commencesAt.getTime()) {
+                let childTimeLeft = child.concludesAt - now;
+                let childTotal = child.concludesAt - child.commencesAt;
+                child.progressBar.css("width", (100 * (1 - childTimeLeft / childTotal)) + "%");
+                child.element.addClass("current").removeClass("finished");
+                $text.text(child.text + " - " + formatTimeLeft(childTimeLeft));
+            } else {
+                child.progressBar.css("width", "0%");
+                child.element.removeClass("finished").removeClass("current");
+                $text.text(child.text);
+            }
+        });
+    }
+
+    // Section we last announced on the TimerEvents bus
+    let enteredIndex = -1;
+    // End behavior in force once the last section has run out, if the ticker stays up
+    let completed = null;
+
+    // Fire a lifecycle event for a section, if the event bus is loaded
+    function emit(name, section, index, remaining, extra) {
+        if (typeof TimerEvents !== 'undefined') {
+            TimerEvents.emit(name, Object.assign(TimerEvents.describeSection(section, index, remaining), extra));
+        }
+    }
+
+    // Announce section changes, the warning before a section ends and repeated overtime
+    function emitSectionEvents(snapshot) {
+        let section = snapshot.section;
+        let index = snapshot.index;
+        let timeLeft = snapshot.remaining;
+
+        if (index !== enteredIndex) {
+            let at = new Date(TimeUtils.now());
+            if (enteredIndex !== -1) {
+                let previous = agenda[enteredIndex];
+                previous.actualConcludesAt = at;
+                emit('section:exit', previous, enteredIndex, previous.concludesAt - snapshot.now);
+            }
+            // A resumed meeting keeps the start it recorded before the reload
+            if (enteredIndex !== -1 || !section.actualCommencesAt) {
+                section.actualCommencesAt = at;
+            }
+            section.actualConcludesAt = null;
+            emit('section:enter', section, index, timeLeft, {previousIndex: enteredIndex});
+            enteredIndex = index;
+        }
+
+        // The engine works out when the warning and overtime alerts are due
+        if (typeof TimerEvents !== 'undefined') {
+            TimerEvents.emitAlerts(snapshot);
+        }
+    }
+
+    // Keep the ticker up after FINISH: hold the last section at 0:00, or count its overtime up
+    function showEnd(snapshot, behavior) {
+        let last = snapshot.section;
+        let $text = last.element.find(".agenda-item-text");
+        if (behavior === EndBehavior.MODES.HOLD) {
+            $text.text(last.text + " - " + formatTimeLeft(0));
+            return;
+        }
+
+        let overtimeMs = -snapshot.remaining;
+        last.element.removeClass("finished");
+        $text.text(last.text + " +" + formatTimeLeft(overtimeMs));
+        if (typeof TimeWarnings !== 'undefined') {
+            TimeWarnings.applyWarning(last.element[0], snapshot.remaining, last.thresholds);
+            TimeWarnings.applyWarning(last.progressBar[0], snapshot.remaining, last.thresholds);
+        }
+        // AlertTrigger keeps sounding these until the ticker is closed
+        if (typeof TimerEvents !== 'undefined') {
+            TimerEvents.emitAlerts(snapshot);
+        }
+    }
+
     // Store last update time for smooth animation
-    let lastUpdate = Date.now();
+    let lastUpdate = null;
     let lastProgress = {};
     agenda.forEach(item => lastProgress[item.text] = 0);
 
-    return function () {
-        // Check pause state before updating displays (Requirements: 1.4, 1.5)
-        if (typeof PauseController !== 'undefined' && !PauseController.shouldUpdate()) {
-            return; // Skip all updates when paused
+    /**
+     * Render one TimerEngine snapshot
+     * @param {Object} snapshot - From TimerEngine getSnapshot()
+     */
+    return function (snapshot) {
+        // Skip all updates when paused (Requirements: 1.4, 1.5)
+        if (snapshot.isPaused) {
+            return;
         }
 
-        // Apply time offset for section jumping and exclude paused duration
-        let now = Date.now() + timeOffset;
-        
-        // Exclude paused duration from time calculations (Requirements: 1.4, 1.5)
-        if (typeof PauseController !== 'undefined') {
-            now -= PauseController.getPausedDuration();
-        }
-        
-        let deltaTime = now - lastUpdate;
-        lastUpdate = now;
+        // Effective time already includes section jumps and excludes paused time
+        let now = snapshot.now;
 
-        let currentItemIndex = 0;
-        let currentItem = null;
+        let deltaTime = lastUpdate === null ? 0 : now - lastUpdate;
+        lastUpdate = now;
 
-        // Find the current agenda item (compare with getTime() for proper timestamp comparison)
-        while (currentItemIndex < agenda.length) {
-            let item = agenda[currentItemIndex];
-            if (now < item.concludesAt.getTime()) {
-                currentItem = item;
-                break;
-            }
-            currentItemIndex++;
+        if (!snapshot.started) {
+            $preroll.text("Starts in " + formatTimeLeft(snapshot.startsIn)).show();
+            return;
         }
+        $preroll.hide();
+
+        let currentItemIndex = snapshot.index;
+        let currentItem = snapshot.finished ? null : snapshot.section;
 
         if (currentItem) {
-            let timeLeft = currentItem.concludesAt - now;
+            // Back before FINISH after a jump or added time: the run can complete again
+            if (completed || (typeof StateManager !== 'undefined' && StateManager.isCompleted())) {
+                completed = null;
+                if (typeof StateManager !== 'undefined') {
+                    StateManager.updateState({completionTriggered: false});
+                }
+            }
+
+            let timeLeft = snapshot.remaining;
             let minutes = Math.floor(timeLeft / 60000);
             let seconds = Math.floor((timeLeft % 60000) / 1000);
             let milliseconds = timeLeft % 1000;
 
             // Update progress bar with smooth interpolation
             let totalTime = currentItem.concludesAt - currentItem.commencesAt;
-            let targetProgress = 100 * (1 - timeLeft / totalTime);
+            let targetProgress = Math.min(100, 100 * (1 - timeLeft / totalTime));
             let currentProgress = lastProgress[currentItem.text] || 0;
 
             // Smoothly interpolate between current and target progress
@@ -141,7 +983,7 @@ function makeTicker(agenda) {
 
             // Update overall progress bar (Requirements: 4.6)
             if (typeof ProgressBar !== 'undefined') {
-                ProgressBar.update(currentItemIndex);
+                ProgressBar.update(currentItemIndex, snapshot.childIndex);
             }
             
             // Update section list highlighting (Requirements: 4.3)
@@ -154,29 +996,25 @@ function makeTicker(agenda) {
                 StateManager.setCurrentSection(currentItemIndex);
             }
 
-            // Update item text with subsecond precision for smoother countdown
-            let timeString = minutes + ":" +
-                (seconds < 10 ? "0" : "") + seconds;
-            currentItem.element.find(".agenda-item-text")
-                .text(currentItem.text + " - " + timeString);
+            // Update item text with subsecond precision for smoother countdown;
+            // a section held for manual advance counts its overtime up instead
+            currentItem.element.find(".agenda-item-text").text(currentItem.text +
+                (timeLeft < 0 ? " +" + formatTimeLeft(-timeLeft) : " - " + formatTimeLeft(timeLeft)));
+            currentItem.element.toggleClass("held", snapshot.held);
+            $("#advance-button").toggle(snapshot.held);
 
             // Apply time warnings (traffic light system) to timer text and progress bar
             // Requirements: 3.6 - Apply color changes to timer text and progress bar
             // Prevent alerts and warnings during pause (Requirements: 1.4, 1.5)
             if (typeof TimeWarnings !== 'undefined' && 
                 (typeof PauseController === 'undefined' || !PauseController.isPaused())) {
-                TimeWarnings.applyWarning(currentItem.element[0], timeLeft);
-                TimeWarnings.applyWarning(currentItem.progressBar[0], timeLeft);
+                TimeWarnings.applyWarning(currentItem.element[0], timeLeft, currentItem.thresholds);
+                TimeWarnings.applyWarning(currentItem.progressBar[0], timeLeft, currentItem.thresholds);
             }
 
-            // Check and trigger audio/vibration alerts (Requirements: 1.1, 1.2, 1.3, 1.4)
-            // Only trigger alerts when not paused
-            // isOvertime is true when timeLeft <= 0 (past the section end time)
-            if (typeof AlertTrigger !== 'undefined' && 
-                (typeof PauseController === 'undefined' || !PauseController.isPaused())) {
-                const isOvertime = timeLeft <= 0;
-                AlertTrigger.checkAlerts(timeLeft, currentItemIndex, isOvertime);
-            }
+            // Section changes, warnings and overtime go out as events; AlertTrigger plays them
+            // Paused snapshots never get here, so no alerts fire during pause (Requirements: 1.4, 1.5)
+            emitSectionEvents(snapshot);
 
             // Add pulsing effect when 5 seconds or less remaining, but only if not finished
             if (seconds <= 5 && minutes === 0 && timeLeft > 0) {
@@ -188,7 +1026,7 @@ function makeTicker(agenda) {
             // Mark previous items as finished
             for (let i = 0; i < currentItemIndex; i++) {
                 agenda[i].progressBar.css("width", "100%");
-                agenda[i].element.addClass("finished").removeClass("pulse");
+                agenda[i].element.addClass("finished").removeClass("pulse held");
                 lastProgress[agenda[i].text] = 100;
                 // Reset text to original (remove countdown) for finished items
                 agenda[i].element.find(".agenda-item-text").text(agenda[i].text);
@@ -202,7 +1040,7 @@ function makeTicker(agenda) {
             // Reset upcoming items (for when jumping backward)
             // Remove finished class and reset progress for items after current
             for (let i = currentItemIndex + 1; i < agenda.length; i++) {
-                agenda[i].element.removeClass("finished").removeClass("pulse");
+                agenda[i].element.removeClass("finished").removeClass("pulse held");
                 agenda[i].progressBar.css("width", "0%");
                 lastProgress[agenda[i].text] = 0;
                 // Reset the text to original (remove countdown)
@@ -216,7 +1054,16 @@ function makeTicker(agenda) {
             
             // Also reset current item's finished state (in case we jumped back to it)
             currentItem.element.removeClass("finished");
+
+            // The parent keeps counting down while its sub-sections tick inside it
+            agenda.forEach(item => updateChildren(item, now));
         } else {
+            // Held or counting overtime after an earlier completion
+            if (completed) {
+                showEnd(snapshot, completed);
+                return;
+            }
+
             // All items finished - handle completion (Requirements: 7.5)
             // Check if completion was already triggered to prevent duplicate calls
             if (typeof StateManager !== 'undefined' && StateManager.isCompleted()) {
@@ -227,19 +1074,70 @@ function makeTicker(agenda) {
             if (typeof StateManager !== 'undefined') {
                 StateManager.markCompleted();
             }
+
+            let last = agenda.length - 1;
+            let behavior = EndBehavior.get();
+            // Counting overtime keeps the last section's visit open, so the run's log
+            // includes the overtime; meeting:stop closes it
+            if (enteredIndex !== -1 && behavior !== EndBehavior.MODES.OVERTIME) {
+                agenda[enteredIndex].actualConcludesAt = new Date(TimeUtils.now());
+                emit('section:exit', agenda[enteredIndex], enteredIndex, agenda[enteredIndex].concludesAt - snapshot.now);
+                enteredIndex = -1;
+            }
+            emit('meeting:complete', agenda[last], last, snapshot.remaining);
             
             $("#ticker").find(".agenda-item").addClass("finished").removeClass("pulse");
             $("#ticker").find(".progress-bar").css("width", "100%");
             agenda.forEach(item => lastProgress[item.text] = 100);
-            stopMeeting();
+
+            if (behavior === EndBehavior.MODES.STOP) {
+                stopMeeting();
+                return;
+            }
+            completed = behavior;
+            showEnd(snapshot, behavior);
         }
     };
 }
 
+/**
+ * Run the agenda in the textarea
+ */
 function runMeeting() {
+    startMeeting(null);
+}
+
+/**
+ * Pick up a meeting saved by SessionStore before the page went away
+ * @param {Object} session - From SessionStore.load()
+ */
+function resumeMeeting(session) {
+    // Triggering input lets autosave keep the text in step
+    $("#agenda").val(session.text).trigger('input');
+    startMeeting(session);
+}
+
+/**
+ * Parse the textarea and start the ticker
+ * @param {Object|null} session - Saved session to continue, or null for a fresh start
+ */
+function startMeeting(session) {
+    // Line the monotonic clock up with the wall clock the agenda times are parsed against
+    if (typeof Clock !== 'undefined') {
+        Clock.sync();
+    }
+
     let agendaString = $("#agenda").val();
-    let agenda = Agenda.parse(agendaString);
+    let result = Agenda.analyze(agendaString);
+    showDiagnostics(result.diagnostics);
 
+    // Refuse to start an agenda that would run with a broken schedule
+    if (result.diagnostics.some(diagnostic => diagnostic.severity === Agenda.SEVERITY.ERROR)) {
+        console.error("Agenda has errors", result.diagnostics);
+        return;
+    }
+
+    let agenda = result.items;
     if (!agenda || agenda.length === 0) {
         console.error("No valid agenda items found");
         return;
@@ -252,18 +1150,33 @@ function runMeeting() {
         console.log('🔊 AudioManager initialized');
     }
     
-    // Reset AlertTrigger state for new timer session
-    if (typeof AlertTrigger !== 'undefined') {
-        AlertTrigger.reset();
-        console.log('🔔 AlertTrigger reset');
-    }
-
     // Store agenda globally for section jumping
     currentAgenda = agenda;
     window.currentAgenda = agenda;
-    
-    // Reset time offset
-    timeOffset = 0;
+    // Kept after the meeting ends so its actual times can still be exported
+    window.lastRun = {text: agendaString, agenda: agenda, startedAt: Date.now()};
+
+    timerEngine = TimerEngine.create(agenda, {now: TimeUtils.now});
+    window.timerEngine = timerEngine;
+
+    // Put back the saved schedule and position, counting the time the page was gone
+    if (session && !SessionStore.applySchedule(agenda, session)) {
+        console.warn('💾 Saved session does not match the agenda, starting afresh');
+        SessionStore.clear();
+        session = null;
+    }
+    // Starting any meeting answers the resume prompt
+    $(".resume-banner").remove();
+    if (session) {
+        timerEngine.seekTo(SessionStore.getResumeTime(session, Date.now()));
+        // Sections the presenter had already moved on from stay released
+        timerEngine.release(session.releasedThrough === undefined ? -1 : session.releasedThrough);
+        window.lastRun.startedAt = session.startedAt;
+        if (typeof TimeAdjuster !== 'undefined') {
+            TimeAdjuster.restoreAdjustments(session.adjustments);
+        }
+        console.log('💾 Resumed meeting saved at', new Date(session.savedAt));
+    }
 
     // Update keyboard shortcuts timer state with agenda info
     if (typeof KeyboardShortcuts !== 'undefined') {
@@ -293,9 +1206,14 @@ function runMeeting() {
 
     // Track timer start
     Analytics.trackTimerStart('meeting');
-    startTime = new Date();
+    startTime = TimeUtils.now() - (Date.now() - window.lastRun.startedAt);
 
-    let tickerUpdate = makeTicker(agenda);
+    timerEngine.subscribe(makeTicker(agenda));
+
+    if (typeof TimerEvents !== 'undefined') {
+        TimerEvents.emit('meeting:start', TimerEvents.describe(timerEngine,
+            {sections: agenda.length, resumed: !!session, directives: result.directives}));
+    }
 
     // Initialize and render overall progress bar AFTER makeTicker (Requirements: 4.6)
     // Must be after makeTicker since makeTicker clears the ticker
@@ -304,6 +1222,12 @@ function runMeeting() {
         ProgressBar.render(agenda, 0);
         $ticker.append(progressBarContainer);
     }
+
+    // How the whole run stands against the original plan, kept at the top of the ticker
+    if (typeof ScheduleIndicator !== 'undefined') {
+        $ticker.prepend(ScheduleIndicator.initialize());
+        ScheduleIndicator.attach(timerEngine);
+    }
     
     // Note: Section list removed - the main agenda display already shows sections
     // Section navigation is handled via keyboard shortcuts (N/P, arrow keys, 1-9)
@@ -322,29 +1246,43 @@ function runMeeting() {
         TouchGestureHandler.initialize();
     }
     
-    window.ticker = window.setInterval(tickerUpdate, 50); // Update more frequently for smoother animation
+    if (typeof Clock !== 'undefined') {
+        Clock.start(timerEngine.tick);
+    } else {
+        window.ticker = window.setInterval(timerEngine.tick, 50); // Update more frequently for smoother animation
+    }
     window.running = true;
     $("#run-meeting-button").val("STOP!");
     $("#run-meeting-button").addClass("stop");
 
+    // A meeting saved while paused comes back paused
+    if (session && session.paused && typeof PauseController !== 'undefined') {
+        PauseController.pause();
+    }
+
     // Add resize handler to adjust font size when window is resized
     $(window).on('resize.agendaDefender', function () {
-        let viewportHeight = window.innerHeight;
-        let fontSize = Math.min(72, Math.max(24, Math.floor(viewportHeight / (agenda.length * 2))));
-        $('.agenda-item-text').css({
-            "font-size": fontSize + "px",
-            "line-height": (fontSize * 1.2) + "px"
-        });
+        applyTickerFontSize(agenda);
     });
 }
 
 function stopMeeting() {
     if (!window.running) return;
 
-    window.clearInterval(window.ticker);
+    // Close a pause still open, so the run's log counts it before meeting:stop closes the log
+    if (typeof PauseController !== 'undefined' && PauseController.isPaused()) {
+        PauseController.resume();
+    }
+
+    if (typeof Clock !== 'undefined') {
+        Clock.stop();
+    } else {
+        window.clearInterval(window.ticker);
+    }
     window.running = false;
     $("#ticker").hide();
     $("#ticker-controls").hide();
+    $("#advance-button").hide();
     
     // Stop auto-dim timer for controls
     if (typeof ControlsDimmer !== 'undefined') {
@@ -354,10 +1292,15 @@ function stopMeeting() {
     $("#run-meeting-button").val("GO!");
     $("#run-meeting-button").removeClass("stop");
 
-    // Clear agenda and reset time offset
+    if (typeof TimerEvents !== 'undefined') {
+        TimerEvents.emit('meeting:stop', TimerEvents.describe(timerEngine, {completed: timerEngine.getSnapshot().finished}));
+    }
+
+    // Clear agenda and drop the run's jumps and pauses
     currentAgenda = null;
     window.currentAgenda = null;
-    timeOffset = 0;
+    timerEngine = null;
+    window.timerEngine = null;
 
     // Reset pause controller state (Requirements: Integration)
     if (typeof PauseController !== 'undefined') {
@@ -369,11 +1312,6 @@ function stopMeeting() {
         TimeAdjuster.reset();
     }
     
-    // Reset AlertTrigger state (Requirements: Integration)
-    if (typeof AlertTrigger !== 'undefined') {
-        AlertTrigger.reset();
-    }
-    
     // Clean up SectionNavigator (Requirements: Integration)
     if (typeof SectionNavigator !== 'undefined') {
         SectionNavigator.destroy();
@@ -410,42 +1348,56 @@ function stopMeeting() {
     }
 
     // Calculate elapsed time in seconds
-    let elapsedTime = Math.floor((new Date() - startTime) / 1000);
+    let elapsedTime = Math.floor((TimeUtils.now() - startTime) / 1000);
     Analytics.trackTimerStop('meeting', elapsedTime);
 
+    // Planned against actual, from the log TimingRecorder kept of the run
+    if (typeof MeetingReport !== 'undefined' && typeof TimingRecorder !== 'undefined') {
+        MeetingReport.showForLog(TimingRecorder.getLog());
+    }
+
     // Remove resize handler
     $(window).off('resize.agendaDefender');
 }
 
 /**
- * Jump to a specific section by index
- * Adjusts the time offset to make the timer show the target section
+ * Get the current effective timer position, including section jumps and excluding paused time
+ * @returns {number} Effective time in ms since epoch
+ */
+function getEffectiveTime() {
+    return timerEngine ? timerEngine.now() : TimeUtils.now();
+}
+
+/**
+ * Jump to a specific section, or to a sub-section within it
+ * Seeks the TimerEngine so the timer shows the target section
  * @param {number} targetIndex - 0-based section index to jump to
+ * @param {number} [childIndex] - 0-based sub-section index within the target section
+ * @returns {boolean} True if the timer jumped
  */
-function jumpToSectionByIndex(targetIndex) {
+function jumpToSectionByIndex(targetIndex, childIndex) {
     if (!currentAgenda || !window.running) {
         console.log('⌨️ Cannot jump: timer not running or no agenda');
-        return;
+        return false;
     }
     
     if (targetIndex < 0 || targetIndex >= currentAgenda.length) {
         console.log('⌨️ Cannot jump: invalid section index', targetIndex);
-        return;
+        return false;
     }
     
-    // Calculate the current effective time
-    let now = Date.now() + timeOffset;
-    
-    // Find the target section's start time
-    let targetSection = currentAgenda[targetIndex];
-    let targetStartTime = targetSection.commencesAt.getTime();
-    
-    // Calculate new offset to make "now" appear at the start of target section
-    // We add a small buffer (100ms) so we're clearly in the new section
-    timeOffset = targetStartTime - Date.now() + 100;
-    
-    console.log('⌨️ Jumped to section', targetIndex, ':', targetSection.text);
-    console.log('⌨️ New time offset:', timeOffset, 'ms');
+    // The engine lands just after the start of the target section (or sub-section)
+    let fromIndex = timerEngine.getCurrentIndex();
+    if (!timerEngine.seek(targetIndex, childIndex)) {
+        console.log('⌨️ Cannot jump: section', timerEngine.getHeldIndex(), 'is held for manual advance');
+        return false;
+    }
+
+    if (typeof TimerEvents !== 'undefined') {
+        TimerEvents.emit('jump', TimerEvents.describe(timerEngine, {fromIndex: fromIndex, childIndex: childIndex}));
+    }
+
+    console.log('⌨️ Jumped to section', targetIndex, ':', currentAgenda[targetIndex].text);
     
     // Update keyboard shortcuts state
     if (typeof KeyboardShortcuts !== 'undefined') {
@@ -453,10 +1405,11 @@ function jumpToSectionByIndex(targetIndex) {
             currentSectionIndex: targetIndex
         });
     }
+    return true;
 }
 
 /**
- * Get the current section index based on time offset
+ * Get the current section index from the TimerEngine
  * @returns {number} Current section index
  */
 function getCurrentSectionIndex() {
@@ -464,15 +1417,18 @@ function getCurrentSectionIndex() {
         return 0;
     }
     
-    let now = Date.now() + timeOffset;
-    
-    for (let i = 0; i < currentAgenda.length; i++) {
-        if (now < currentAgenda[i].concludesAt.getTime()) {
-            return i;
-        }
+    return timerEngine.getCurrentIndex();
+}
+
+/**
+ * Get the sub-section of the current section that has started most recently
+ * @returns {number} Sub-section index, or -1 if none has started (or the section has none)
+ */
+function getCurrentChildIndex() {
+    if (!currentAgenda || !window.running) {
+        return -1;
     }
-    
-    return currentAgenda.length - 1;
+    return timerEngine.getCurrentChildIndex();
 }
 
 // Theme management
@@ -579,9 +1535,131 @@ const ThemeManager = {
     }
 };
 
+// What the ticker does when the last section runs out
+const EndBehavior = {
+    MODES: {
+        STOP: 'stop',           // Close the ticker
+        HOLD: 'hold',           // Keep it up, showing 0:00
+        OVERTIME: 'overtime'    // Count up how far the last section is over
+    },
+
+    STORAGE_KEY: 'end_behavior',
+
+    /**
+     * Get the saved end behavior
+     * @returns {string} One of MODES, STOP unless chosen otherwise
+     */
+    get() {
+        let mode = null;
+        try {
+            mode = localStorage.getItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.error('❌ Error loading end behavior:', error);
+        }
+        return Object.values(this.MODES).includes(mode) ? mode : this.MODES.STOP;
+    },
+
+    /**
+     * Choose and save the end behavior
+     * @param {string} mode - One of MODES
+     * @returns {boolean} Whether the mode was valid
+     */
+    set(mode) {
+        if (!Object.values(this.MODES).includes(mode)) {
+            console.warn('❌ Unknown end behavior:', mode);
+            return false;
+        }
+        try {
+            localStorage.setItem(this.STORAGE_KEY, mode);
+        } catch (error) {
+            console.error('❌ Error saving end behavior:', error);
+        }
+        $("#end-behavior").val(mode);
+        return true;
+    },
+
+    /**
+     * Show the saved choice in the #end-behavior select and save changes to it
+     */
+    initialize() {
+        $("#end-behavior").val(this.get()).on('change', (event) => this.set(event.target.value));
+    }
+};
+
+/**
+ * Whether time added to a section is taken from the sections after it, so FINISH stays
+ * put (for a hard room booking), instead of pushing every later section back.
+ * Applied by TimeAdjuster; saved in localStorage.
+ */
+const EndTimeProtection = {
+    STORAGE_KEY: 'protect_end_time',
+
+    /**
+     * Check whether the end time is protected
+     * @returns {boolean} True if turned on
+     */
+    isEnabled() {
+        try {
+            return localStorage.getItem(this.STORAGE_KEY) === 'true';
+        } catch (error) {
+            console.error('❌ Error loading end time protection:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Turn end time protection on or off and save the choice
+     * @param {boolean} enabled - Whether to protect the end time
+     */
+    setEnabled(enabled) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, String(!!enabled));
+        } catch (error) {
+            console.error('❌ Error saving end time protection:', error);
+        }
+        $("#protect-end-time").prop('checked', !!enabled);
+    },
+
+    /**
+     * Show the saved choice in the #protect-end-time checkbox and save changes to it
+     */
+    initialize() {
+        $("#protect-end-time").prop('checked', this.isEnabled())
+            .on('change', (event) => this.setEnabled(event.target.checked));
+    }
+};
+
 $(function () {
     // Initialize theme manager
     ThemeManager.initialize();
+    EndBehavior.initialize();
+    EndTimeProtection.initialize();
+
+    // Audio and vibration alerts follow the timer's lifecycle events
+    if (typeof AlertTrigger !== 'undefined' && typeof TimerEvents !== 'undefined') {
+        AlertTrigger.attach(TimerEvents);
+    }
+
+    // Keep a log of when each section really ran, for after the meeting
+    if (typeof TimingRecorder !== 'undefined' && typeof TimerEvents !== 'undefined') {
+        TimingRecorder.attach(TimerEvents);
+    }
+
+    // Keep every completed run per agenda, to compare rehearsals; after TimingRecorder so its log is closed
+    if (typeof RehearsalHistory !== 'undefined' && typeof TimerEvents !== 'undefined') {
+        RehearsalHistory.attach(TimerEvents);
+    }
+
+    // Save the running meeting on every change, and offer to resume one the page lost
+    if (typeof SessionStore !== 'undefined') {
+        if (typeof TimerEvents !== 'undefined') {
+            SessionStore.attach(TimerEvents);
+        }
+        let session = SessionStore.load();
+        if (session) {
+            SessionStore.showResumePrompt(session, resumeMeeting);
+        }
+    }
 
     // Initialize keyboard shortcuts (Requirements: 2.1-2.9)
     if (typeof KeyboardShortcuts !== 'undefined') {
@@ -609,12 +1687,9 @@ $(function () {
                 console.log('⌨️ Reset timer');
                 // Reset timer to beginning (0:00) while keeping it running (Requirements: 5.2)
                 if (window.running && currentAgenda && currentAgenda.length > 0) {
-                    // Reset to the start of the first section
-                    const firstSection = currentAgenda[0];
-                    const firstSectionStart = firstSection.commencesAt.getTime();
-                    
-                    // Calculate new offset to make "now" appear at the start of first section
-                    timeOffset = firstSectionStart - Date.now() + 100;
+                    // Drop jumps and paused time, then go back to the start of the first section
+                    timerEngine.reset();
+                    timerEngine.seek(0);
                     
                     // Reset pause state and clear accumulated paused time (Requirements: 5.2)
                     if (typeof PauseController !== 'undefined') {
@@ -646,20 +1721,20 @@ $(function () {
                     console.log('⌨️ Timer not running, nothing to reset');
                 }
             },
-            onNextSection: function(index) {
+            onNextSection: function(index, options) {
                 console.log('⌨️ Next section: jumping to index', index);
                 // Use SectionNavigator if available (Requirements: 5.3)
                 if (typeof SectionNavigator !== 'undefined') {
-                    SectionNavigator.nextSection();
+                    SectionNavigator.nextSection(options);
                 } else {
                     jumpToSectionByIndex(index);
                 }
             },
-            onPrevSection: function(index) {
+            onPrevSection: function(index, options) {
                 console.log('⌨️ Previous section: jumping to index', index);
                 // Use SectionNavigator if available (Requirements: 5.4)
                 if (typeof SectionNavigator !== 'undefined') {
-                    SectionNavigator.previousSection();
+                    SectionNavigator.previousSection(options);
                 } else {
                     jumpToSectionByIndex(index);
                 }
@@ -671,6 +1746,9 @@ $(function () {
                     AudioManager.toggleMute();
                 }
             },
+            onTogglePresenterView: function() {
+                togglePresenterView();
+            },
             onJumpToSection: function(index) {
                 console.log('⌨️ Jump to section: jumping to index', index);
                 // Use SectionNavigator if available (Requirements: 5.5)
@@ -699,6 +1777,45 @@ $(function () {
         }
     }
 
+    // Wire up the import button to its hidden file input
+    $("#import-agenda").click(function() {
+        $("#import-file").click();
+    });
+    $("#import-file").on('change', function() {
+        let input = this;
+        if (!input.files || !input.files[0]) return;
+        importAgendaFile(input.files[0]).catch(function(error) {
+            console.error('📥 Could not import file:', error);
+        }).then(function() {
+            // Allow picking the same file again
+            input.value = '';
+        });
+    });
+
+    // Time a run-through and write the agenda from it
+    $("#record-agenda").click(function() {
+        if (typeof RecordMode !== 'undefined') {
+            RecordMode.start();
+        }
+    });
+
+    // Past runs of the agenda in the text box
+    $("#rehearsal-history").click(function() {
+        if (typeof RehearsalHistory !== 'undefined') {
+            RehearsalHistory.show($("#agenda").val());
+        }
+    });
+
+    // Wire up the export menu
+    if (typeof AgendaExport !== 'undefined') {
+        AgendaExport.initialize();
+    }
+
+    // Diagnostics describe the text as it was when GO was pressed
+    $("#agenda").on('input', function () {
+        showDiagnostics([]);
+    });
+
     // Handle hash changes
     window.addEventListener("hashchange", function () {
         const urlText = UrlSharing.loadUrlHash();
@@ -716,6 +1833,13 @@ $(function () {
         }
     });
 
+    // Move on from a section held for manual advance
+    $("#advance-button").click(function() {
+        if (typeof SectionNavigator !== 'undefined') {
+            SectionNavigator.nextSection();
+        }
+    });
+
     // Wire up time adjustment buttons to TimeAdjuster (Requirements: 3.1, 3.2, 4.5)
     $("#add-time-btn").click(function() {
         if (typeof TimeAdjuster !== 'undefined') {
@@ -802,5 +1926,5 @@ function drawSampleAgenda(event) {
 }
 
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {AgendaItem, Agenda, drawSampleAgenda, runMeeting, stopMeeting};
+    module.exports = {AgendaItem, Agenda, EndBehavior, EndTimeProtection, drawSampleAgenda, runMeeting, resumeMeeting, stopMeeting, jumpToSectionByIndex, showDiagnostics, setPresenterView, togglePresenterView, importAgendaFile};
 }
@@ -0,0 +1,313 @@
+/**
+ * AgendaExport Module
+ *
+ * Downloads the resolved schedule of an agenda as iCalendar (.ics), CSV or JSON.
+ * While a meeting runs, or after one as long as the text hasn't been edited, the
+ * exported times are those of the run, including any time adjustments. Otherwise
+ * the text in the editor is parsed afresh.
+ */
+
+const AgendaExport = (function() {
+    'use strict';
+
+    const FORMATS = {
+        ics: {extension: 'ics', mimeType: 'text/calendar'},
+        csv: {extension: 'csv', mimeType: 'text/csv'},
+        json: {extension: 'json', mimeType: 'application/json'}
+    };
+
+    /**
+     * Format a Date as an iCalendar UTC DATE-TIME, e.g. 20261103T140000Z
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted value
+     */
+    function formatIcsDate(date) {
+        return date.getUTCFullYear() + TimeUtils.pad(date.getUTCMonth() + 1) + TimeUtils.pad(date.getUTCDate()) +
+            'T' + TimeUtils.pad(date.getUTCHours()) + TimeUtils.pad(date.getUTCMinutes()) +
+            TimeUtils.pad(date.getUTCSeconds()) + 'Z';
+    }
+
+    /**
+     * Escape a value for an iCalendar TEXT property
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    function escapeIcsText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Count the UTF-8 octets of a code point
+     * @param {number} codePoint - Unicode code point
+     * @returns {number} 1 to 4
+     */
+    function utf8Length(codePoint) {
+        if (codePoint < 0x80) return 1;
+        if (codePoint < 0x800) return 2;
+        return codePoint < 0x10000 ? 3 : 4;
+    }
+
+    /**
+     * Fold a content line at 75 octets as iCalendar requires, never inside a character
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    function foldIcsLine(line) {
+        const parts = [];
+        let part = '';
+        let octets = 0;
+        for (const character of line) {
+            const length = utf8Length(character.codePointAt(0));
+            if (octets + length > 75) {
+                parts.push(part);
+                // The space that marks a continuation counts towards the 75
+                part = ' ';
+                octets = 1;
+            }
+            part += character;
+            octets += length;
+        }
+        parts.push(part);
+        return parts.join('\r\n');
+    }
+
+    /**
+     * Format a Date as local "YYYY-MM-DD HH:MM:SS"
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted date and time
+     */
+    function formatLocalDateTime(date) {
+        return date.getFullYear() + '-' + TimeUtils.pad(date.getMonth() + 1) + '-' + TimeUtils.pad(date.getDate()) +
+            ' ' + TimeUtils.pad(date.getHours()) + ':' + TimeUtils.pad(date.getMinutes()) + ':' +
+            TimeUtils.pad(date.getSeconds());
+    }
+
+    /**
+     * Get a section's title without its time prefix
+     * @param {Object} item - Agenda item
+     * @returns {string} Title
+     */
+    function getTitle(item) {
+        return item.title !== undefined ? item.title : item.text;
+    }
+
+    /**
+     * Write the schedule as an iCalendar file with one VEVENT per section
+     * @param {Array} agenda - Scheduled agenda items
+     * @returns {string} iCalendar text
+     */
+    function toIcs(agenda) {
+        const stamp = formatIcsDate(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Time My Talk//Agenda Export//EN',
+            'CALSCALE:GREGORIAN'
+        ];
+        agenda.forEach(function(item, index) {
+            const description = [];
+            if (item.owners && item.owners.length > 0) description.push('Owner: ' + item.owners.join(', '));
+            if (item.notes) description.push(item.notes);
+            (item.children || []).forEach(function(child) {
+                description.push(formatLocalDateTime(child.commencesAt).slice(11, 16) + ' ' + getTitle(child));
+            });
+
+            lines.push('BEGIN:VEVENT');
+            lines.push('UID:' + item.commencesAt.getTime() + '-' + index + '@timemytalk.app');
+            lines.push('DTSTAMP:' + stamp);
+            lines.push('DTSTART:' + formatIcsDate(item.commencesAt));
+            lines.push('DTEND:' + formatIcsDate(item.concludesAt));
+            lines.push('SUMMARY:' + escapeIcsText(getTitle(item)));
+            if (description.length > 0) lines.push('DESCRIPTION:' + escapeIcsText(description.join('\n')));
+            if (item.tags && item.tags.length > 0) lines.push('CATEGORIES:' + item.tags.map(escapeIcsText).join(','));
+            lines.push('END:VEVENT');
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when it needs it
+     * @param {string} value - Field value
+     * @returns {string} CSV field
+     */
+    function csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * Write the schedule as CSV with start, end, duration and title columns
+     * @param {Array} agenda - Scheduled agenda items
+     * @returns {string} CSV text
+     */
+    function toCsv(agenda) {
+        const rows = [['start', 'end', 'duration', 'title']];
+        agenda.forEach(function(item) {
+            rows.push([
+                formatLocalDateTime(item.commencesAt),
+                formatLocalDateTime(item.concludesAt),
+                TimeUtils.formatLength(item.concludesAt - item.commencesAt, true),
+                getTitle(item)
+            ]);
+        });
+        return rows.map(function(row) { return row.map(csvField).join(','); }).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Describe a section, with its metadata, as plain data
+     * @param {Object} item - Agenda item or sub-section
+     * @returns {Object} JSON-ready section
+     */
+    function toJsonSection(item) {
+        const section = {
+            title: getTitle(item),
+            text: item.text,
+            start: item.commencesAt.toISOString(),
+            end: item.concludesAt.toISOString(),
+            durationMs: item.concludesAt - item.commencesAt,
+            color: item.color || null,
+            owners: item.owners || [],
+            tags: item.tags || [],
+            notes: item.notes || '',
+            thresholds: item.thresholds || null,
+            line: item.line !== undefined ? item.line : null
+        };
+        if (item.children && item.children.length > 0) {
+            section.children = item.children.map(toJsonSection);
+        }
+        return section;
+    }
+
+    /**
+     * Write the schedule as JSON including colors and metadata
+     * @param {Array} agenda - Scheduled agenda items
+     * @returns {string} JSON text
+     */
+    function toJson(agenda) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            sections: agenda.map(toJsonSection)
+        }, null, 2);
+    }
+
+    /**
+     * Find the schedule to export: the running meeting, the last run if the text is
+     * unchanged since, or else the agenda in the editor
+     * @returns {Array|null} Scheduled agenda items, or null if the editor agenda has errors
+     */
+    function getSchedule() {
+        if (window.running && window.currentAgenda) {
+            return window.currentAgenda;
+        }
+
+        const textarea = document.getElementById('agenda');
+        const text = textarea ? textarea.value : '';
+        if (window.lastRun && window.lastRun.text === text) {
+            return window.lastRun.agenda;
+        }
+
+        const result = Agenda.analyze(text);
+        if (typeof showDiagnostics === 'function') {
+            showDiagnostics(result.diagnostics);
+        }
+        const hasErrors = result.diagnostics.some(function(diagnostic) {
+            return diagnostic.severity === Agenda.SEVERITY.ERROR;
+        });
+        return hasErrors ? null : result.items;
+    }
+
+    /**
+     * Render a schedule in one of the export formats
+     * @param {Array} agenda - Scheduled agenda items
+     * @param {string} format - 'ics', 'csv' or 'json'
+     * @returns {string} File contents
+     */
+    function render(agenda, format) {
+        switch (format) {
+            case 'ics': return toIcs(agenda);
+            case 'csv': return toCsv(agenda);
+            case 'json': return toJson(agenda);
+            default: throw new Error('Unknown export format: ' + format);
+        }
+    }
+
+    /**
+     * Offer text to the user as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type
+     */
+    function download(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], {type: mimeType}));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+    }
+
+    /**
+     * Download the current schedule
+     * @param {string} format - 'ics', 'csv' or 'json'
+     * @returns {boolean} Whether a file was offered
+     */
+    function exportAgenda(format) {
+        const agenda = getSchedule();
+        if (!agenda || agenda.length === 0) {
+            console.warn('📤 Nothing to export');
+            return false;
+        }
+        const start = agenda[0].commencesAt;
+        const filename = 'agenda-' + start.getFullYear() + '-' + TimeUtils.pad(start.getMonth() + 1) + '-' +
+            TimeUtils.pad(start.getDate()) + '.' + FORMATS[format].extension;
+        download(filename, render(agenda, format), FORMATS[format].mimeType);
+        console.log('📤 Exported agenda as ' + filename);
+        return true;
+    }
+
+    /**
+     * Wire the export button and its menu
+     */
+    function initialize() {
+        const button = document.getElementById('export-agenda');
+        const menu = document.getElementById('export-menu');
+        if (!button || !menu) return;
+
+        button.addEventListener('click', function(event) {
+            event.stopPropagation();
+            menu.hidden = !menu.hidden;
+            button.setAttribute('aria-expanded', String(!menu.hidden));
+        });
+        menu.addEventListener('click', function(event) {
+            const format = event.target.getAttribute('data-format');
+            if (!format) return;
+            menu.hidden = true;
+            button.setAttribute('aria-expanded', 'false');
+            exportAgenda(format);
+        });
+        document.addEventListener('click', function() {
+            menu.hidden = true;
+            button.setAttribute('aria-expanded', 'false');
+        });
+    }
+
+    // Public API
+    return {
+        FORMATS: FORMATS,
+        toIcs: toIcs,
+        toCsv: toCsv,
+        toJson: toJson,
+        getSchedule: getSchedule,
+        exportAgenda: exportAgenda,
+        download: download,
+        initialize: initialize
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AgendaExport;
+}
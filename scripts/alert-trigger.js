@@ -2,7 +2,8 @@
  * AlertTrigger Module
  * 
  * Coordinates audio and vibration alerts based on timer state.
- * Tracks alert states to prevent duplicate triggers and manages timing.
+ * In the app it listens to the TimerEvents bus (see attach). checkAlerts is the
+ * older polling entry point: it applies the same TimerEngine alert rules to raw numbers.
  * 
  * Requirements: 1.1, 1.2, 1.3, 1.4, 4.1, 4.2, 4.3
  * @see .kiro/specs/audio-alerts/design.md
@@ -11,17 +12,75 @@
 const AlertTrigger = (function() {
     'use strict';
 
-    // Track alert states to prevent duplicate triggers
-    let lastWarningTriggered = false;
-    let lastSectionIndex = -1;
-    let lastOvertimeAlert = 0;
-
-    // Thresholds (in milliseconds)
+    // Thresholds (in milliseconds), as TimerEngine applies them
     const THRESHOLDS = {
-        WARNING: 10000,           // 10 seconds
-        OVERTIME_REPEAT: 30000    // 30 seconds
+        get WARNING() { return TimerEngine.WARNING_MS; },
+        get OVERTIME_REPEAT() { return TimerEngine.OVERTIME_REPEAT_MS; }
     };
 
+    // Unsubscribe functions for the bus we are attached to
+    let subscriptions = [];
+    // Alert rules behind checkAlerts, from TimerEngine.createAlerts
+    let alerts = null;
+
+    /**
+     * Get the alert rules behind checkAlerts, creating them on first use
+     * @returns {Object} From TimerEngine.createAlerts()
+     */
+    function getAlerts() {
+        if (!alerts) {
+            alerts = TimerEngine.createAlerts();
+        }
+        return alerts;
+    }
+
+    /**
+     * Play a sound and vibrate, using whichever managers are loaded
+     * @param {string} sound - AudioManager method, e.g. 'playWarning'
+     * @param {string} vibration - VibrationManager method, e.g. 'vibrateWarning'
+     */
+    function signal(sound, vibration) {
+        if (typeof AudioManager !== 'undefined') {
+            AudioManager[sound]();
+        }
+        if (typeof VibrationManager !== 'undefined') {
+            VibrationManager[vibration]();
+        }
+    }
+
+    /**
+     * Play alerts for timer events instead of polling
+     * @param {Object} bus - TimerEvents, or anything with the same on() and EVENTS
+     * @returns {Function} Call to detach
+     */
+    function attach(bus) {
+        detach();
+        subscriptions = [
+            // Moving on from a section, by time or by a jump
+            bus.on(bus.EVENTS.SECTION_ENTER, function(event) {
+                if (event.previousIndex !== -1) {
+                    signal('playSectionEnd', 'vibrateSectionEnd');
+                }
+            }),
+            bus.on(bus.EVENTS.WARNING, function() {
+                signal('playWarning', 'vibrateWarning');
+            }),
+            // The bus repeats overtime events, so every one is signalled
+            bus.on(bus.EVENTS.OVERTIME, function() {
+                signal('playOvertime', 'vibrateOvertime');
+            })
+        ];
+        return detach;
+    }
+
+    /**
+     * Stop listening to the bus passed to attach
+     */
+    function detach() {
+        subscriptions.forEach(function(unsubscribe) { unsubscribe(); });
+        subscriptions = [];
+    }
+
     /**
      * Check and trigger alerts based on remaining time
      * Requirements: 1.1, 1.2, 1.3, 1.4, 4.1, 4.2, 4.3
@@ -29,70 +88,27 @@ const AlertTrigger = (function() {
      * @param {number} remainingMs - Remaining time in milliseconds
      * @param {number} sectionIndex - Current section index
      * @param {boolean} isOvertime - Whether the talk is overtime
+     * @param {Object} [thresholds] - Per-section overrides; critical (ms) replaces the warning threshold
      * @returns {Object} Object indicating which alerts were triggered
      */
-    function checkAlerts(remainingMs, sectionIndex, isOvertime) {
-        const triggered = {
-            warning: false,
-            sectionEnd: false,
-            overtime: false
-        };
-
-        // Get references to AudioManager and VibrationManager if available
-        const audioManager = typeof AudioManager !== 'undefined' ? AudioManager : null;
-        const vibrationManager = typeof VibrationManager !== 'undefined' ? VibrationManager : null;
-
-        // Section changed - reset warning state and play section end
-        // Requirements: 1.2, 4.2
-        if (sectionIndex !== lastSectionIndex && lastSectionIndex !== -1) {
-            if (audioManager) {
-                audioManager.playSectionEnd();
-            }
-            if (vibrationManager) {
-                vibrationManager.vibrateSectionEnd();
-            }
-            lastWarningTriggered = false;
-            triggered.sectionEnd = true;
+    function checkAlerts(remainingMs, sectionIndex, isOvertime, thresholds) {
+        const due = getAlerts().check({
+            index: sectionIndex,
+            remaining: remainingMs,
+            now: TimeUtils.now(),
+            overtime: !!isOvertime,
+            warningMs: TimerEngine.getWarningMs({thresholds: thresholds})
+        });
+        if (due.sectionEnd) {
+            signal('playSectionEnd', 'vibrateSectionEnd');
         }
-        lastSectionIndex = sectionIndex;
-
-        // Warning at 10 seconds
-        // Requirements: 1.1, 4.1
-        if (remainingMs <= THRESHOLDS.WARNING && remainingMs > 0 && !lastWarningTriggered) {
-            if (audioManager) {
-                audioManager.playWarning();
-            }
-            if (vibrationManager) {
-                vibrationManager.vibrateWarning();
-            }
-            lastWarningTriggered = true;
-            triggered.warning = true;
+        if (due.warning) {
+            signal('playWarning', 'vibrateWarning');
         }
-
-        // Reset warning flag when above threshold
-        if (remainingMs > THRESHOLDS.WARNING) {
-            lastWarningTriggered = false;
+        if (due.overtime) {
+            signal('playOvertime', 'vibrateOvertime');
         }
-
-        // Overtime alerts (every 30 seconds)
-        // Requirements: 1.3, 1.4, 4.3
-        if (isOvertime) {
-            const now = Date.now();
-            if (lastOvertimeAlert === 0 || now - lastOvertimeAlert >= THRESHOLDS.OVERTIME_REPEAT) {
-                if (audioManager) {
-                    audioManager.playOvertime();
-                }
-                if (vibrationManager) {
-                    vibrationManager.vibrateOvertime();
-                }
-                lastOvertimeAlert = now;
-                triggered.overtime = true;
-            }
-        } else {
-            lastOvertimeAlert = 0;
-        }
-
-        return triggered;
+        return due;
     }
 
     /**
@@ -100,9 +116,7 @@ const AlertTrigger = (function() {
      * Call this when starting a new timer session
      */
     function reset() {
-        lastWarningTriggered = false;
-        lastSectionIndex = -1;
-        lastOvertimeAlert = 0;
+        getAlerts().reset();
     }
 
     /**
@@ -110,11 +124,7 @@ const AlertTrigger = (function() {
      * @returns {Object} Current alert tracking state
      */
     function getState() {
-        return {
-            lastWarningTriggered: lastWarningTriggered,
-            lastSectionIndex: lastSectionIndex,
-            lastOvertimeAlert: lastOvertimeAlert
-        };
+        return getAlerts().getState();
     }
 
     /**
@@ -122,15 +132,7 @@ const AlertTrigger = (function() {
      * @param {Object} state - State to set
      */
     function setState(state) {
-        if (typeof state.lastWarningTriggered === 'boolean') {
-            lastWarningTriggered = state.lastWarningTriggered;
-        }
-        if (typeof state.lastSectionIndex === 'number') {
-            lastSectionIndex = state.lastSectionIndex;
-        }
-        if (typeof state.lastOvertimeAlert === 'number') {
-            lastOvertimeAlert = state.lastOvertimeAlert;
-        }
+        getAlerts().setState(state);
     }
 
     /**
@@ -138,7 +140,7 @@ const AlertTrigger = (function() {
      * @returns {boolean} Whether warning was triggered
      */
     function wasWarningTriggered() {
-        return lastWarningTriggered;
+        return getState().lastWarningTriggered;
     }
 
     /**
@@ -146,7 +148,7 @@ const AlertTrigger = (function() {
      * @returns {number} Last section index
      */
     function getLastSectionIndex() {
-        return lastSectionIndex;
+        return getState().lastSectionIndex;
     }
 
     /**
@@ -154,11 +156,13 @@ const AlertTrigger = (function() {
      * @returns {number} Timestamp of last overtime alert
      */
     function getLastOvertimeAlert() {
-        return lastOvertimeAlert;
+        return getState().lastOvertimeAlert;
     }
 
     // Public API
     return {
+        attach: attach,
+        detach: detach,
         checkAlerts: checkAlerts,
         reset: reset,
         getState: getState,
@@ -25,10 +25,10 @@ const AudioManager = (function() {
         OVERTIME: { frequency: 1200, duration: 0.1, type: 'sine' }      // Urgent beep
     };
 
-    // Thresholds (in milliseconds)
+    // Thresholds (in milliseconds), as TimerEngine applies them
     const THRESHOLDS = {
-        WARNING: 10000,           // 10 seconds
-        OVERTIME_REPEAT: 30000    // 30 seconds
+        get WARNING() { return TimerEngine.WARNING_MS; },
+        get OVERTIME_REPEAT() { return TimerEngine.OVERTIME_REPEAT_MS; }
     };
 
     // localStorage keys
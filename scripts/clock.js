@@ -0,0 +1,177 @@
+/**
+ * Clock Module
+ *
+ * Monotonic time source and render loop for the meeting timer.
+ * now() is a fixed epoch plus performance.now(), so NTP corrections and manual
+ * clock changes no longer make the countdown jump. The loop renders on
+ * requestAnimationFrame, falls back to a slow interval while the tab is hidden
+ * (browsers pause animation frames there) and catches up when the tab is shown.
+ *
+ * When the tab is shown again, a wall clock that got ahead while it was hidden is
+ * followed, since that is how a laptop waking from sleep looks. An NTP correction or
+ * manual change forward in that time looks the same and is followed too; changes
+ * made while the tab is visible, and any move backwards, never are.
+ */
+
+const Clock = (function() {
+    'use strict';
+
+    // Tick rate when requestAnimationFrame is not available
+    const FALLBACK_INTERVAL_MS = 50;
+    // Tick rate in a hidden tab; browsers throttle timers to about once a second anyway
+    const HIDDEN_INTERVAL_MS = 1000;
+    // How far the wall clock may move away from the monotonic clock before we follow it
+    const DRIFT_TOLERANCE_MS = 2000;
+
+    let epoch = null;
+    let loop = null;
+
+    /**
+     * Check whether a monotonic time source is available
+     * @returns {boolean} True if performance.now() can be used
+     */
+    function hasMonotonicSource() {
+        return typeof performance !== 'undefined' && typeof performance.now === 'function';
+    }
+
+    /**
+     * Line the monotonic clock up with the wall clock
+     * Called when a meeting starts, so parsed clock times and the countdown agree
+     * @returns {number} New epoch in ms since the Unix epoch
+     */
+    function sync() {
+        epoch = hasMonotonicSource() ? Date.now() - performance.now() : 0;
+        return epoch;
+    }
+
+    /**
+     * Get the current time
+     * @returns {number} Milliseconds since the Unix epoch, never going backwards between syncs
+     */
+    function now() {
+        if (!hasMonotonicSource()) {
+            return Date.now();
+        }
+        if (epoch === null) {
+            sync();
+        }
+        return epoch + performance.now();
+    }
+
+    /**
+     * Get how far the wall clock has moved away from the monotonic clock
+     * @returns {number} Wall clock minus monotonic time, in ms
+     */
+    function getDrift() {
+        return Date.now() - now();
+    }
+
+    /**
+     * Follow the wall clock again after it got well ahead, e.g. when the laptop wakes up
+     * Small corrections are ignored so the countdown stays smooth. The monotonic clock may
+     * stand still but never runs fast, so a wall clock that went back is never followed.
+     * @param {number} [since] - Drift to measure from, e.g. getDrift() when the tab was hidden (default 0)
+     * @returns {boolean} True if the clock was re-synced
+     */
+    function resyncIfDrifted(since) {
+        if (getDrift() - (since || 0) <= DRIFT_TOLERANCE_MS) {
+            return false;
+        }
+        console.log('⏱️ Wall clock moved by', Math.round(getDrift()), 'ms, re-syncing');
+        sync();
+        return true;
+    }
+
+    /**
+     * Check whether the page is currently hidden
+     * @returns {boolean} True if the tab is in the background
+     */
+    function isHidden() {
+        return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    }
+
+    /**
+     * Start calling a function on every frame
+     * Any loop that is already running is stopped first.
+     * @param {Function} callback - Called with no arguments on every tick
+     */
+    function start(callback) {
+        stop();
+
+        const state = {callback: callback, frame: null, interval: null, onVisibilityChange: null, hiddenDrift: 0};
+        loop = state;
+
+        if (typeof requestAnimationFrame !== 'function') {
+            state.interval = setInterval(callback, FALLBACK_INTERVAL_MS);
+            return;
+        }
+
+        const onFrame = function() {
+            if (loop !== state) return;
+            state.frame = requestAnimationFrame(onFrame);
+            callback();
+        };
+        state.frame = requestAnimationFrame(onFrame);
+
+        // Animation frames stop in background tabs, but alerts should still fire
+        state.interval = setInterval(function() {
+            if (isHidden()) callback();
+        }, HIDDEN_INTERVAL_MS);
+
+        state.onVisibilityChange = function() {
+            if (isHidden()) {
+                state.hiddenDrift = getDrift();
+                return;
+            }
+            // Only what the wall clock did while the tab was hidden counts
+            resyncIfDrifted(state.hiddenDrift);
+            callback();
+        };
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', state.onVisibilityChange);
+        }
+    }
+
+    /**
+     * Stop the running loop, if any
+     */
+    function stop() {
+        if (!loop) return;
+
+        if (loop.frame !== null && typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(loop.frame);
+        }
+        if (loop.interval !== null) {
+            clearInterval(loop.interval);
+        }
+        if (loop.onVisibilityChange && typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', loop.onVisibilityChange);
+        }
+        loop = null;
+    }
+
+    /**
+     * Check whether a loop is running
+     * @returns {boolean} True between start() and stop()
+     */
+    function isRunning() {
+        return loop !== null;
+    }
+
+    // Public API
+    return {
+        DRIFT_TOLERANCE_MS: DRIFT_TOLERANCE_MS,
+        now: now,
+        sync: sync,
+        getDrift: getDrift,
+        resyncIfDrifted: resyncIfDrifted,
+        start: start,
+        stop: stop,
+        isRunning: isRunning
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Clock;
+}
@@ -0,0 +1,168 @@
+/**
+ * TimerEvents Module
+ *
+ * Public event bus for the meeting timer lifecycle. Integrations subscribe here
+ * instead of polling StateManager or wrapping globals:
+ *   TimerEvents.on('section:enter', function(event) { console.log(event.title); });
+ *
+ * Every event carries the section it concerns: index, title, planned and actual
+ * start/end times and the remaining milliseconds, plus event-specific fields.
+ */
+
+const TimerEvents = (function() {
+    'use strict';
+
+    const EVENTS = {
+        MEETING_START: 'meeting:start',
+        SECTION_ENTER: 'section:enter',
+        SECTION_EXIT: 'section:exit',
+        WARNING: 'warning',
+        OVERTIME: 'overtime',
+        PAUSE: 'pause',
+        RESUME: 'resume',
+        ADJUST: 'adjust',
+        JUMP: 'jump',
+        MEETING_COMPLETE: 'meeting:complete',
+        MEETING_STOP: 'meeting:stop'
+    };
+
+    let listeners = {};
+
+    /**
+     * Subscribe to an event
+     * @param {string} name - Event name, one of EVENTS
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    function on(name, listener) {
+        (listeners[name] = listeners[name] || []).push(listener);
+        return function() {
+            off(name, listener);
+        };
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} name - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    function off(name, listener) {
+        if (!listeners[name]) return;
+        listeners[name] = listeners[name].filter(function(other) {
+            return other !== listener && other.original !== listener;
+        });
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} name - Event name
+     * @param {Function} listener - Called once with the event payload
+     * @returns {Function} Call to unsubscribe before it fires
+     */
+    function once(name, listener) {
+        const wrapper = function(payload) {
+            off(name, wrapper);
+            listener(payload);
+        };
+        wrapper.original = listener;
+        return on(name, wrapper);
+    }
+
+    /**
+     * Fire an event. A failing listener is logged and does not stop the others.
+     * @param {string} name - Event name
+     * @param {Object} [payload] - Event data; its type is set to the event name
+     */
+    function emit(name, payload) {
+        const event = Object.assign({type: name}, payload);
+        (listeners[name] || []).slice().forEach(function(listener) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('📣 Listener for ' + name + ' failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Remove every listener, or every listener of one event
+     * @param {string} [name] - Event name
+     */
+    function clear(name) {
+        if (name) {
+            delete listeners[name];
+        } else {
+            listeners = {};
+        }
+    }
+
+    /**
+     * Describe a section for an event payload
+     * @param {Object} section - Agenda item
+     * @param {number} index - Section index
+     * @param {number} remaining - Milliseconds left in the section
+     * @returns {Object} index, title, plannedStart, plannedEnd, scheduledStart, scheduledEnd,
+     *     actualStart, actualEnd and remaining
+     */
+    function describeSection(section, index, remaining) {
+        return {
+            index: index,
+            title: section.title,
+            // As written in the agenda, before any adjustments
+            plannedStart: section.plannedCommencesAt || section.commencesAt,
+            plannedEnd: section.plannedConcludesAt || section.concludesAt,
+            // As currently scheduled, after adjustments
+            scheduledStart: section.commencesAt,
+            scheduledEnd: section.concludesAt,
+            // When the section really started and ended, or null if it has not
+            actualStart: section.actualCommencesAt || null,
+            actualEnd: section.actualConcludesAt || null,
+            remaining: remaining
+        };
+    }
+
+    /**
+     * Describe the current section of a running TimerEngine
+     * @param {Object} engine - TimerEngine instance
+     * @param {Object} [extra] - Event-specific fields to add
+     * @returns {Object} Event payload
+     */
+    function describe(engine, extra) {
+        const snapshot = engine.getSnapshot();
+        return Object.assign(describeSection(snapshot.section, snapshot.index, snapshot.remaining), extra);
+    }
+
+    /**
+     * Fire the warning and overtime events a TimerEngine tick found due
+     * (see TimerEngine WARNING_MS and OVERTIME_REPEAT_MS for when they are)
+     * @param {Object} snapshot - From engine.tick(), with alerts
+     */
+    function emitAlerts(snapshot) {
+        const due = snapshot.alerts || {};
+        if (due.warning) {
+            emit(EVENTS.WARNING, describeSection(snapshot.section, snapshot.index, snapshot.remaining));
+        }
+        if (due.overtime) {
+            emit(EVENTS.OVERTIME, Object.assign(describeSection(snapshot.section, snapshot.index, snapshot.remaining),
+                {overtimeMs: -snapshot.remaining}));
+        }
+    }
+
+    // Public API
+    return {
+        EVENTS: EVENTS,
+        on: on,
+        off: off,
+        once: once,
+        emit: emit,
+        clear: clear,
+        describeSection: describeSection,
+        describe: describe,
+        emitAlerts: emitAlerts
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimerEvents;
+}
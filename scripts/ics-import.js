@@ -0,0 +1,294 @@
+/**
+ * IcsImport Module
+ *
+ * Builds an absolute-mode agenda from the VEVENTs of an iCalendar (.ics) file.
+ * Each timed event becomes a section titled with its SUMMARY, gaps between events
+ * become "Break" sections and the latest DTEND becomes FINISH. Times are converted
+ * from their TZID to local time; all-day events are kept as comments.
+ * Recurring events are imported as their first occurrence only.
+ */
+
+const IcsImport = (function() {
+    'use strict';
+
+    // File name extensions this importer reads
+    const EXTENSIONS = ['ics'];
+
+    const BREAK_TITLE = 'Break';
+    const FINISH_TITLE = 'FINISH';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Split iCalendar text into content lines, joining folded continuation lines
+     * @param {string} icsText - Raw file contents
+     * @returns {Array<string>} Unfolded content lines
+     */
+    function unfold(icsText) {
+        return icsText.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(function(line) {
+            return line !== '';
+        });
+    }
+
+    /**
+     * Parse a content line such as "DTSTART;TZID=Europe/Berlin:20261103T140000"
+     * @param {string} line - Unfolded content line
+     * @returns {{name: string, params: Object, value: string}|null} Property, or null if the line is malformed
+     */
+    function parseProperty(line) {
+        // The value starts at the first colon outside a quoted parameter value
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) return null;
+
+        const segments = line.slice(0, colon).split(';');
+        const params = {};
+        segments.slice(1).forEach(function(segment) {
+            const equals = segment.indexOf('=');
+            if (equals > 0) {
+                params[segment.slice(0, equals).toUpperCase()] = segment.slice(equals + 1).replace(/^"|"$/g, '');
+            }
+        });
+        return {name: segments[0].toUpperCase(), params: params, value: line.slice(colon + 1)};
+    }
+
+    /**
+     * Undo iCalendar TEXT escaping and flatten line breaks
+     * @param {string} value - Escaped TEXT value
+     * @returns {string} Plain single-line text
+     */
+    function unescapeText(value) {
+        return value
+            .replace(/\\[nN]/g, ' ')
+            .replace(/\\([,;\\])/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Find how far a time zone is ahead of UTC at a given instant
+     * @param {number} utcMs - Instant in ms since epoch
+     * @param {string} timeZone - IANA time zone name
+     * @returns {number} Offset in milliseconds
+     */
+    function getTimeZoneOffset(utcMs, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(utcMs));
+        const get = function(type) {
+            return parseInt(parts.find(function(part) { return part.type === type; }).value, 10);
+        };
+        const wallAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+        return wallAsUtc - Math.floor(utcMs / 1000) * 1000;
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value into a Date
+     * @param {string} value - e.g. "20261103", "20261103T140000Z" or "20261103T140000"
+     * @param {Object} params - Property parameters (TZID, VALUE)
+     * @returns {{date: Date, allDay: boolean}|null} Parsed value, or null if it is not understood
+     */
+    function parseDateValue(value, params) {
+        const tokens = /^(\d{4})(\d\d)(\d\d)(?:T(\d\d)(\d\d)(\d\d)(Z)?)?$/.exec(value.trim());
+        if (!tokens) return null;
+
+        const fields = tokens.slice(1, 7).map(function(token) { return parseInt(token || '0', 10); });
+        const year = fields[0], month = fields[1] - 1, day = fields[2];
+        const hour = fields[3], minute = fields[4], second = fields[5];
+
+        if (tokens[4] === undefined) {
+            // All-day dates have no time zone
+            return {date: new Date(year, month, day), allDay: true};
+        }
+        if (tokens[7]) {
+            return {date: new Date(Date.UTC(year, month, day, hour, minute, second)), allDay: false};
+        }
+        if (params.TZID) {
+            try {
+                const wall = Date.UTC(year, month, day, hour, minute, second);
+                // A second pass settles times next to a daylight saving change
+                let utc = wall - getTimeZoneOffset(wall, params.TZID);
+                utc = wall - getTimeZoneOffset(utc, params.TZID);
+                return {date: new Date(utc), allDay: false};
+            } catch (error) {
+                console.warn('📅 Unknown time zone ' + params.TZID + ', using local time');
+            }
+        }
+        // Floating time: the same wall clock time everywhere
+        return {date: new Date(year, month, day, hour, minute, second), allDay: false};
+    }
+
+    /**
+     * Parse an iCalendar DURATION such as "PT1H30M" or "P1D"
+     * @param {string} value - Duration value
+     * @returns {number|null} Length in milliseconds, or null if it is not understood
+     */
+    function parseIsoDuration(value) {
+        const tokens = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!tokens) return null;
+        const number = function(index) { return parseInt(tokens[index] || '0', 10); };
+        const ms = ((((number(2) * 7 + number(3)) * 24 + number(4)) * 60 + number(5)) * 60 + number(6)) * 1000;
+        return tokens[1] === '-' ? -ms : ms;
+    }
+
+    /**
+     * Read the VEVENTs of an iCalendar file
+     * @param {string} icsText - Raw file contents
+     * @returns {Array<{summary: string, start: Date, end: Date, allDay: boolean}>} Events in file order
+     */
+    function parseEvents(icsText) {
+        const events = [];
+        let event = null;
+        let depth = 0; // Nesting below the VEVENT, e.g. a VALARM
+
+        unfold(icsText).forEach(function(line) {
+            const property = parseProperty(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN') {
+                if (property.value.toUpperCase() === 'VEVENT' && !event) {
+                    event = {};
+                } else if (event) {
+                    depth++;
+                }
+                return;
+            }
+            if (property.name === 'END') {
+                if (event && depth > 0) {
+                    depth--;
+                } else if (event && property.value.toUpperCase() === 'VEVENT') {
+                    events.push(event);
+                    event = null;
+                }
+                return;
+            }
+            if (event && depth === 0) {
+                event[property.name] = property;
+            }
+        });
+
+        return events.map(toEvent).filter(function(parsed) { return parsed !== null; });
+    }
+
+    /**
+     * Turn the raw properties of one VEVENT into an event
+     * @param {Object} properties - Properties keyed by name
+     * @returns {{summary: string, start: Date, end: Date, allDay: boolean}|null} Event, or null if it has no usable start or was cancelled
+     */
+    function toEvent(properties) {
+        if (!properties.DTSTART) return null;
+        if (properties.STATUS && properties.STATUS.value.toUpperCase() === 'CANCELLED') return null;
+
+        const start = parseDateValue(properties.DTSTART.value, properties.DTSTART.params);
+        if (!start) return null;
+
+        let end = properties.DTEND ? parseDateValue(properties.DTEND.value, properties.DTEND.params) : null;
+        if (!end && properties.DURATION) {
+            const duration = parseIsoDuration(properties.DURATION.value);
+            if (duration !== null) end = {date: new Date(start.date.getTime() + duration)};
+        }
+        if (!end) {
+            // Without an end, an all-day event lasts one day and a timed one is a moment
+            end = {date: new Date(start.date.getTime() + (start.allDay ? DAY_MS : 0))};
+        }
+
+        return {
+            summary: properties.SUMMARY ? unescapeText(properties.SUMMARY.value) : '',
+            start: start.date,
+            end: end.date,
+            allDay: start.allDay
+        };
+    }
+
+    /**
+     * Get local midnight of a date, for grouping lines under date headers
+     * @param {Date} date - Any time on that day
+     * @returns {Date} Local midnight
+     */
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /**
+     * Write events as absolute-mode agenda text
+     * @param {Array<{summary: string, start: Date, end: Date, allDay: boolean}>} events - Events from parseEvents
+     * @returns {string} Agenda text with date headers, one line per section and a FINISH line
+     */
+    function toAgendaText(events) {
+        const nodes = [];
+        const timed = events.filter(function(event) { return !event.allDay; })
+            .sort(function(a, b) { return a.start - b.start; });
+
+        events.filter(function(event) { return event.allDay; }).forEach(function(event) {
+            nodes.push({type: 'comment', text: '// All day: ' + Agenda.cleanTitle(event.summary, 'Untitled') +
+                ' (' + formatDate(event.start) + ')'});
+        });
+
+        let day = null;
+        const addLine = function(time, title) {
+            if (!day || startOfDay(time).getTime() !== day.getTime()) {
+                day = startOfDay(time);
+                nodes.push({type: 'date', date: day});
+            }
+            const timestamp = [time.getHours(), time.getMinutes()];
+            if (time.getSeconds()) timestamp.push(time.getSeconds());
+            nodes.push({type: 'item', timestamp: timestamp, duration: null, title: title});
+        };
+
+        let finish = null;
+        timed.forEach(function(event) {
+            if (finish && event.start > finish) {
+                addLine(finish, BREAK_TITLE);
+            }
+            addLine(event.start, Agenda.cleanTitle(event.summary, 'Untitled'));
+            if (!finish || event.end > finish) finish = event.end;
+        });
+        if (finish) {
+            addLine(finish, FINISH_TITLE);
+        }
+
+        return Agenda.serialize({type: 'agenda', nodes: nodes});
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted date
+     */
+    function formatDate(date) {
+        return date.getFullYear() + '-' + TimeUtils.pad(date.getMonth() + 1) + '-' + TimeUtils.pad(date.getDate());
+    }
+
+    /**
+     * Convert iCalendar text to agenda text and check it with the agenda parser
+     * @param {string} icsText - Raw file contents
+     * @returns {{text: string, items: Array, diagnostics: Array}} Agenda text plus the result of Agenda.analyze
+     */
+    function importText(icsText) {
+        const text = toAgendaText(parseEvents(icsText));
+        const result = Agenda.analyze(text);
+        return {text: text, items: result.items, diagnostics: result.diagnostics};
+    }
+
+    // Public API
+    return {
+        EXTENSIONS: EXTENSIONS,
+        parseEvents: parseEvents,
+        toAgendaText: toAgendaText,
+        importText: importText
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IcsImport;
+}
@@ -34,9 +34,18 @@ const KeyboardShortcuts = (function() {
         onNextSection: null,
         onPrevSection: null,
         onToggleMute: null,
+        onTogglePresenterView: null,
         onJumpToSection: null
     };
 
+    // Keys handled by the built-in shortcuts; registerShortcut refuses them
+    const RESERVED_CODES = ['Space', 'KeyR', 'KeyN', 'ArrowRight', 'KeyP', 'ArrowLeft', 'KeyF', 'KeyM', 'KeyS',
+        'Escape', 'Slash', 'Equal', 'Minus', 'NumpadAdd', 'NumpadSubtract',
+        'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9'];
+
+    // Shortcuts added by plugins, keyed by shortcutId()
+    let customShortcuts = {};
+
     /**
      * Debug log helper
      */
@@ -168,6 +177,7 @@ const KeyboardShortcuts = (function() {
             'ArrowLeft': prevSection,           // Requirements: 2.4
             'KeyF': toggleFullscreen,           // Requirements: 2.5
             'KeyM': toggleMute,                 // Requirements: 2.6
+            'KeyS': togglePresenterView,        // Speaker notes
             'Escape': handleEscape,             // Requirements: 2.9
             'Slash': toggleHelpOverlay,         // ? key for help (with shift)
             'Equal': addTime,                   // Requirements: 5.6 - + or = key
@@ -190,6 +200,21 @@ const KeyboardShortcuts = (function() {
             return;
         }
 
+        // Handle Shift + N/→ and Shift + P/← to skip over sub-sections
+        if (event.shiftKey && (event.code === 'KeyN' || event.code === 'ArrowRight')) {
+            event.preventDefault();
+            log('Action: nextSection (skip sub-sections)');
+            nextSection({ skipChildren: true });
+            return;
+        }
+
+        if (event.shiftKey && (event.code === 'KeyP' || event.code === 'ArrowLeft')) {
+            event.preventDefault();
+            log('Action: prevSection (skip sub-sections)');
+            prevSection({ skipChildren: true });
+            return;
+        }
+
         // Handle numpad + and - keys for time adjustment
         if (event.code === 'NumpadAdd') {
             event.preventDefault();
@@ -220,8 +245,104 @@ const KeyboardShortcuts = (function() {
                 event.preventDefault();
                 log('Action: jumpToSection', num);
                 jumpToSection(num - 1);  // Convert to 0-based index
+                return;
             }
         }
+
+        // Shortcuts registered by plugins
+        const custom = customShortcuts[shortcutId(event.code, event.shiftKey)];
+        if (custom) {
+            event.preventDefault();
+            log('Action: custom shortcut', custom.label);
+            custom.handler(event);
+        }
+    }
+
+    /**
+     * Build the lookup key of a shortcut
+     * @param {string} code - KeyboardEvent.code, e.g. 'KeyT'
+     * @param {boolean} shift - Whether Shift is held
+     * @returns {string} Key such as 'Shift+KeyT'
+     */
+    function shortcutId(code, shift) {
+        return (shift ? 'Shift+' : '') + code;
+    }
+
+    /**
+     * Add a keyboard shortcut, e.g. from a plugin
+     * Built-in keys cannot be taken over, and it is listed in the help overlay.
+     * @param {string} code - KeyboardEvent.code, e.g. 'KeyT'
+     * @param {Function} handler - Called with the keydown event
+     * @param {Object} [options] - Shortcut options
+     * @param {boolean} [options.shift] - Require Shift
+     * @param {string} [options.description] - Text for the help overlay
+     * @returns {boolean} Whether the shortcut was registered
+     */
+    function registerShortcut(code, handler, options) {
+        options = options || {};
+        const id = shortcutId(code, !!options.shift);
+        if (RESERVED_CODES.includes(code)) {
+            console.warn('⌨️ Cannot register ' + id + ': used by a built-in shortcut');
+            return false;
+        }
+        if (customShortcuts[id]) {
+            console.warn('⌨️ Cannot register ' + id + ': already registered');
+            return false;
+        }
+
+        // Show "Shift+T" rather than "Shift+KeyT"
+        const label = (options.shift ? 'Shift+' : '') + code.replace(/^(Key|Digit)/, '');
+        customShortcuts[id] = {handler: handler, label: label, description: options.description || ''};
+        renderCustomShortcuts();
+        log('Registered shortcut', id);
+        return true;
+    }
+
+    /**
+     * Remove a shortcut added with registerShortcut
+     * @param {string} code - KeyboardEvent.code
+     * @param {Object} [options] - Same options as when registering ({shift})
+     * @returns {boolean} Whether a shortcut was removed
+     */
+    function unregisterShortcut(code, options) {
+        const id = shortcutId(code, !!(options && options.shift));
+        if (!customShortcuts[id]) return false;
+        delete customShortcuts[id];
+        renderCustomShortcuts();
+        return true;
+    }
+
+    /**
+     * List registered shortcuts in their own group of the help overlay
+     */
+    function renderCustomShortcuts() {
+        const grid = document.querySelector('#keyboard-help-overlay .keyboard-help-grid');
+        if (!grid) return;
+
+        let group = grid.querySelector('.shortcut-group-custom');
+        const ids = Object.keys(customShortcuts);
+        if (ids.length === 0) {
+            if (group) group.remove();
+            return;
+        }
+        if (!group) {
+            group = document.createElement('div');
+            group.className = 'shortcut-group shortcut-group-custom';
+            grid.appendChild(group);
+        }
+
+        group.innerHTML = '<h3>Extensions</h3>';
+        ids.forEach(function(id) {
+            const item = document.createElement('div');
+            item.className = 'shortcut-item';
+            const kbd = document.createElement('kbd');
+            kbd.textContent = customShortcuts[id].label;
+            const span = document.createElement('span');
+            span.textContent = customShortcuts[id].description;
+            item.appendChild(kbd);
+            item.appendChild(span);
+            group.appendChild(item);
+        });
     }
 
     /**
@@ -254,11 +375,27 @@ const KeyboardShortcuts = (function() {
         }
     }
 
+    /**
+     * Check whether SectionNavigator can still step through sub-sections
+     * when the section index alone says there is nowhere to go
+     * @param {string} direction - 'next' or 'previous'
+     * @param {Object} [options] - Navigation options
+     * @returns {boolean} True if a sub-section step is available
+     */
+    function canStepWithinSection(direction, options) {
+        if ((options && options.skipChildren) || typeof SectionNavigator === 'undefined') {
+            return false;
+        }
+        return direction === 'next' ? SectionNavigator.hasNext() : SectionNavigator.hasPrevious();
+    }
+
     /**
      * Skip to next section
      * Requirements: 2.3
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.skipChildren] - Skip over sub-sections
      */
-    function nextSection() {
+    function nextSection(options) {
         // Get actual current section from timer if available
         if (typeof getCurrentSectionIndex === 'function') {
             timerState.currentSectionIndex = getCurrentSectionIndex();
@@ -271,7 +408,11 @@ const KeyboardShortcuts = (function() {
             timerState.currentSectionIndex++;
             
             if (callbacks.onNextSection) {
-                callbacks.onNextSection(timerState.currentSectionIndex);
+                callbacks.onNextSection(timerState.currentSectionIndex, options);
+            }
+        } else if (canStepWithinSection('next', options)) {
+            if (callbacks.onNextSection) {
+                callbacks.onNextSection(timerState.currentSectionIndex, options);
             }
         } else {
             log('Already at last section');
@@ -281,8 +422,10 @@ const KeyboardShortcuts = (function() {
     /**
      * Go to previous section
      * Requirements: 2.4
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.skipChildren] - Skip over sub-sections
      */
-    function prevSection() {
+    function prevSection(options) {
         // Get actual current section from timer if available
         if (typeof getCurrentSectionIndex === 'function') {
             timerState.currentSectionIndex = getCurrentSectionIndex();
@@ -295,7 +438,11 @@ const KeyboardShortcuts = (function() {
             timerState.currentSectionIndex--;
             
             if (callbacks.onPrevSection) {
-                callbacks.onPrevSection(timerState.currentSectionIndex);
+                callbacks.onPrevSection(timerState.currentSectionIndex, options);
+            }
+        } else if (canStepWithinSection('previous', options)) {
+            if (callbacks.onPrevSection) {
+                callbacks.onPrevSection(timerState.currentSectionIndex, options);
             }
         } else {
             log('Already at first section');
@@ -334,6 +481,18 @@ const KeyboardShortcuts = (function() {
         }
     }
 
+    /**
+     * Show or hide speaker notes in the ticker
+     */
+    function togglePresenterView() {
+        log('togglePresenterView called');
+        if (callbacks.onTogglePresenterView) {
+            callbacks.onTogglePresenterView();
+        } else {
+            log('Warning: onTogglePresenterView callback not set');
+        }
+    }
+
     /**
      * Add time to the timer
      * Requirements: 5.6
@@ -449,6 +608,10 @@ const KeyboardShortcuts = (function() {
                             <kbd>P</kbd> or <kbd>←</kbd>
                             <span>Previous section</span>
                         </div>
+                        <div class="shortcut-item">
+                            <kbd>Shift</kbd>+<kbd>N</kbd> / <kbd>P</kbd>
+                            <span>Skip sub-sections</span>
+                        </div>
                         <div class="shortcut-item">
                             <kbd>1</kbd>-<kbd>9</kbd>
                             <span>Jump to section</span>
@@ -464,6 +627,10 @@ const KeyboardShortcuts = (function() {
                             <kbd>M</kbd>
                             <span>Toggle mute</span>
                         </div>
+                        <div class="shortcut-item">
+                            <kbd>S</kbd>
+                            <span>Show / hide speaker notes</span>
+                        </div>
                         <div class="shortcut-item">
                             <kbd>Esc</kbd>
                             <span>Exit / Close</span>
@@ -488,6 +655,7 @@ const KeyboardShortcuts = (function() {
         });
 
         document.body.appendChild(overlay);
+        renderCustomShortcuts();
         log('Help overlay created');
     }
 
@@ -552,6 +720,8 @@ const KeyboardShortcuts = (function() {
         destroy: destroy,
         setDebug: setDebug,
         setCallbacks: setCallbacks,
+        registerShortcut: registerShortcut,
+        unregisterShortcut: unregisterShortcut,
         updateTimerState: updateTimerState,
         getTimerState: getTimerState,
         setEnabled: setEnabled,
@@ -564,6 +734,7 @@ const KeyboardShortcuts = (function() {
         prevSection: prevSection,
         toggleFullscreen: toggleFullscreen,
         toggleMute: toggleMute,
+        togglePresenterView: togglePresenterView,
         handleEscape: handleEscape,
         jumpToSection: jumpToSection,
         addTime: addTime,
@@ -0,0 +1,230 @@
+/**
+ * MarkdownImport Module
+ *
+ * Builds a relative-mode agenda (MM:SS title) from a Markdown talk outline.
+ * Headings carry their length in a comment, e.g. "## Demo <!-- 5m -->"; a timing
+ * comment on a line of its own times the slide it sits on. Slides are separated by
+ * "---" lines (reveal.js/Marp style). When nothing is timed, each slide, or each
+ * top-level heading if there are no slides, becomes a section of defaultDuration;
+ * otherwise untimed slides are left out, and importText warns about each one.
+ */
+
+const MarkdownImport = (function() {
+    'use strict';
+
+    // File name extensions this importer reads
+    const EXTENSIONS = ['md', 'markdown'];
+
+    const DEFAULT_OPTIONS = {
+        defaultDuration: 5 * 60 * 1000
+    };
+
+    const TIMING_COMMENT = /<!--\s*(?:time:\s*)?(\S+?)\s*-->/i;
+    // Bullet or numbered list item
+    const LIST_ITEM = /^([-*+]|\d+[.)])(\s|$)/;
+
+    /**
+     * Remove Markdown emphasis, code and link syntax from a heading
+     * @param {string} text - Heading text
+     * @returns {string} Plain title
+     */
+    function plainTitle(text) {
+        return text
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/[*_`~]+/g, '')
+            .replace(/\s+#+\s*$/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Read a timing comment
+     * @param {string} text - Text that may contain "<!-- 5m -->"
+     * @returns {number|null} Length in milliseconds, or null if there is no timing comment
+     */
+    function parseTiming(text) {
+        const tokens = TIMING_COMMENT.exec(text);
+        return tokens ? Agenda.parseDuration(tokens[1]) : null;
+    }
+
+    /**
+     * Split a document into slides with their headings and slide-level timings
+     * @param {string} markdown - Markdown document
+     * @returns {Array<{headings: Array<{level: number, title: string, duration: (number|null)}>, duration: (number|null)}>} Slides
+     */
+    function parseSlides(markdown) {
+        let lines = markdown.split(/\r?\n/);
+
+        // Front matter (Marp settings, reveal.js options) is not part of the talk
+        if (lines[0] === '---') {
+            const end = lines.indexOf('---', 1);
+            if (end > 0) lines = lines.slice(end + 1);
+        }
+
+        const slides = [{headings: [], duration: null}];
+        let fence = null;
+        // Inside a list, up to the next blank line; its lines cannot be setext titles
+        let inList = false;
+        // The line before, when it is paragraph text that "---" or "===" under it makes a setext heading
+        let paragraph = null;
+        lines.forEach(function(line) {
+            const previous = paragraph;
+            const trimmed = line.trim();
+            paragraph = null;
+
+            const fenceTokens = /^\s*(```|~~~)/.exec(line);
+            if (fence) {
+                if (fenceTokens && fenceTokens[1] === fence) fence = null;
+                return;
+            }
+            if (fenceTokens) {
+                fence = fenceTokens[1];
+                return;
+            }
+
+            const slide = slides[slides.length - 1];
+            if (/^\s*---\s*$/.test(line)) {
+                if (previous === null) {
+                    inList = false;
+                    slides.push({headings: [], duration: null});
+                } else {
+                    // "Title\n---" is a setext heading, not a slide break
+                    slide.headings.push({level: 2, title: plainTitle(previous), duration: parseTiming(previous)});
+                }
+                return;
+            }
+            if (/^\s*===+\s*$/.test(line) && previous !== null) {
+                slide.headings.push({level: 1, title: plainTitle(previous), duration: parseTiming(previous)});
+                return;
+            }
+
+            const heading = /^\s{0,3}(#{1,6})\s+(.*)$/.exec(line);
+            if (heading) {
+                inList = false;
+                slide.headings.push({level: heading[1].length, title: plainTitle(heading[2]), duration: parseTiming(heading[2])});
+            } else if (TIMING_COMMENT.test(line) && trimmed.startsWith('<!--')) {
+                slide.duration = parseTiming(line);
+            } else if (trimmed === '') {
+                inList = false;
+            } else if (LIST_ITEM.test(trimmed)) {
+                inList = true;
+            } else if (!inList && !/^(<!--|>)/.test(trimmed)) {
+                paragraph = trimmed;
+            }
+        });
+
+        return slides;
+    }
+
+    /**
+     * Work out the sections of a talk outline, and the slides left out of them
+     * @param {string} markdown - Markdown document
+     * @param {Object} [options] - Import options, see parse
+     * @returns {{sections: Array<{title: string, duration: number}>, skipped: Array<string>}} Sections in order,
+     *     and a name for each untimed slide left out because other slides are timed
+     */
+    function outline(markdown, options) {
+        const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+        const slides = parseSlides(markdown).filter(function(slide) {
+            return slide.headings.length > 0 || slide.duration !== null;
+        });
+        const slideTitle = function(slide, index) {
+            return slide.headings.length > 0 ? slide.headings[0].title : 'Slide ' + (index + 1);
+        };
+
+        // Timed headings are sections; a slide-level timing covers a slide without timed headings
+        const sections = [];
+        const untimed = [];
+        slides.forEach(function(slide, index) {
+            const timed = slide.headings.filter(function(heading) { return heading.duration !== null; });
+            if (timed.length === 0 && slide.duration !== null) {
+                sections.push({title: slideTitle(slide, index), duration: slide.duration});
+            } else if (timed.length === 0) {
+                untimed.push('Slide ' + (index + 1) + (slide.headings.length > 0 ? ' "' + slide.headings[0].title + '"' : ''));
+            }
+            timed.forEach(function(heading) {
+                sections.push({title: heading.title, duration: heading.duration});
+            });
+        });
+        if (sections.length > 0) return {sections: sections, skipped: untimed};
+
+        // Nothing is timed: slides are the sections, or else the top-level headings
+        if (slides.length > 1) {
+            return {sections: slides.map(function(slide, index) {
+                return {title: slideTitle(slide, index), duration: settings.defaultDuration};
+            }), skipped: []};
+        }
+        const headings = slides.length > 0 ? slides[0].headings : [];
+        const topLevel = Math.min.apply(null, headings.map(function(heading) { return heading.level; }));
+        return {sections: headings.filter(function(heading) { return heading.level === topLevel; }).map(function(heading) {
+            return {title: heading.title, duration: settings.defaultDuration};
+        }), skipped: []};
+    }
+
+    /**
+     * Work out the sections of a talk outline. Once anything is timed, untimed slides are
+     * left out; importText warns about each of them.
+     * @param {string} markdown - Markdown document
+     * @param {Object} [options] - Import options
+     * @param {number} [options.defaultDuration] - Length in ms of untimed slides or headings when nothing is timed
+     * @returns {Array<{title: string, duration: number}>} Sections in order
+     */
+    function parse(markdown, options) {
+        return outline(markdown, options).sections;
+    }
+
+    /**
+     * Write sections as a relative agenda ending in FINISH
+     * @param {Array<{title: string, duration: number}>} sections - Sections from parse
+     * @returns {string} Agenda text, empty if there are no sections
+     */
+    function toAgendaText(sections) {
+        if (sections.length === 0) return '';
+
+        let elapsed = 0;
+        const nodes = [];
+        const addLine = function(title) {
+            const totalSeconds = Math.round(elapsed / 1000);
+            nodes.push({type: 'item', timestamp: [Math.floor(totalSeconds / 60), totalSeconds % 60], duration: null, title: title});
+        };
+        sections.forEach(function(section) {
+            addLine(Agenda.cleanTitle(section.title, 'Untitled'));
+            elapsed += section.duration;
+        });
+        addLine('FINISH');
+        return Agenda.serialize({type: 'agenda', nodes: nodes});
+    }
+
+    /**
+     * Convert a Markdown outline to agenda text and check it with the agenda parser
+     * @param {string} markdown - Markdown document
+     * @param {Object} [options] - Import options, see parse
+     * @returns {{text: string, items: Array, diagnostics: Array}} Agenda text plus the result of Agenda.analyze,
+     *     with a warning first for each untimed slide that was left out
+     */
+    function importText(markdown, options) {
+        const parsed = outline(markdown, options);
+        const text = toAgendaText(parsed.sections);
+        const result = Agenda.analyze(text);
+        const skipped = parsed.skipped.map(function(slide) {
+            return {line: null, kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, severity: Agenda.SEVERITY.WARNING,
+                message: slide + ' has no timing comment while other slides do, so it was left out'};
+        });
+        return {text: text, items: result.items, diagnostics: skipped.concat(result.diagnostics)};
+    }
+
+    // Public API
+    return {
+        EXTENSIONS: EXTENSIONS,
+        DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+        parse: parse,
+        toAgendaText: toAgendaText,
+        importText: importText
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownImport;
+}
@@ -0,0 +1,310 @@
+/**
+ * MeetingReport Module
+ *
+ * Summary shown after each run: every section with its planned and actual duration,
+ * the difference and the adjustments made to it, the total overrun and the sections
+ * that ran over the most. Built from the TimingRecorder log, and downloadable as
+ * Markdown (for retro notes) or JSON.
+ */
+
+const MeetingReport = (function() {
+    'use strict';
+
+    // How many of the worst overruns to call out
+    const TOP_OVERRUNS = 3;
+
+    let overlay = null;
+
+    /**
+     * Close the report on Escape
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function onKeydown(event) {
+        if (event.key === 'Escape') hide();
+    }
+
+    /**
+     * Format a difference with its sign, e.g. +1:30 or -0:45
+     * @param {number} ms - Difference in milliseconds
+     * @returns {string} Formatted difference
+     */
+    function formatDelta(ms) {
+        if (Math.round(ms / 1000) === 0) return '0:00';
+        return (ms > 0 ? '+' : '-') + TimeUtils.formatLength(ms);
+    }
+
+    /**
+     * Format a Date as local "YYYY-MM-DD HH:MM"
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted date and time
+     */
+    function formatDateTime(date) {
+        return date.getFullYear() + '-' + TimeUtils.pad(date.getMonth() + 1) + '-' +
+            TimeUtils.pad(date.getDate()) + ' ' + TimeUtils.pad(date.getHours()) + ':' + TimeUtils.pad(date.getMinutes());
+    }
+
+    /**
+     * Work out the report for a run. Actual durations leave out the time spent paused.
+     * @param {Object} log - From TimingRecorder.getLog()
+     * @returns {Object} Report with startedAt, endedAt, completed, plannedMs, actualMs,
+     *     overrunMs, adjustmentsMs, pausedMs, sections and topOverruns
+     */
+    function build(log) {
+        const sections = log.sections.map(function(entry) {
+            const actualMs = entry.actualDuration - entry.pausedMs;
+            return {
+                index: entry.index,
+                title: entry.title,
+                plannedMs: entry.plannedDuration,
+                actualMs: actualMs,
+                deltaMs: actualMs - entry.plannedDuration,
+                adjustmentsMs: entry.adjustmentsMs,
+                pausedMs: entry.pausedMs,
+                skipped: entry.visits === 0
+            };
+        });
+        const sum = function(key) {
+            return sections.reduce(function(total, section) { return total + section[key]; }, 0);
+        };
+        const plannedMs = sum('plannedMs');
+        const actualMs = sum('actualMs');
+
+        return {
+            startedAt: log.startedAt,
+            endedAt: log.endedAt,
+            completed: log.completed,
+            plannedMs: plannedMs,
+            actualMs: actualMs,
+            overrunMs: actualMs - plannedMs,
+            adjustmentsMs: log.adjustmentsMs,
+            pausedMs: log.pausedMs,
+            sections: sections,
+            topOverruns: sections
+                .filter(function(section) { return section.deltaMs >= 1000; })
+                .sort(function(a, b) { return b.deltaMs - a.deltaMs; })
+                .slice(0, TOP_OVERRUNS)
+        };
+    }
+
+    /**
+     * Sum up the run in one sentence
+     * @param {Object} report - From build()
+     * @returns {string} Summary
+     */
+    function summarize(report) {
+        const verdict = report.overrunMs >= 1000 ? TimeUtils.formatLength(report.overrunMs) + ' over' :
+            report.overrunMs <= -1000 ? TimeUtils.formatLength(report.overrunMs) + ' under' : 'on time';
+        return 'Ran ' + TimeUtils.formatLength(report.actualMs) + ' of ' + TimeUtils.formatLength(report.plannedMs) +
+            ' planned, ' + verdict + (report.completed ? '.' : ', stopped early.');
+    }
+
+    /**
+     * Escape a value for a Markdown table cell
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    function escapeCell(text) {
+        return String(text).replace(/\|/g, '\\|');
+    }
+
+    /**
+     * Write the report as Markdown
+     * @param {Object} report - From build()
+     * @returns {string} Markdown text
+     */
+    function toMarkdown(report) {
+        const lines = [
+            '# Meeting report',
+            '',
+            'Started ' + formatDateTime(report.startedAt) + '. ' + summarize(report),
+            '',
+            '| Section | Planned | Actual | Delta | Adjustments |',
+            '| --- | ---: | ---: | ---: | ---: |'
+        ];
+        report.sections.forEach(function(section) {
+            lines.push('| ' + [
+                escapeCell(section.title) + (section.skipped ? ' (skipped)' : ''),
+                TimeUtils.formatLength(section.plannedMs),
+                TimeUtils.formatLength(section.actualMs),
+                formatDelta(section.deltaMs),
+                section.adjustmentsMs ? formatDelta(section.adjustmentsMs) : ''
+            ].join(' | ') + ' |');
+        });
+        lines.push('| **Total** | ' + TimeUtils.formatLength(report.plannedMs) + ' | ' +
+            TimeUtils.formatLength(report.actualMs) + ' | ' + formatDelta(report.overrunMs) + ' | ' +
+            (report.adjustmentsMs ? formatDelta(report.adjustmentsMs) : '') + ' |');
+
+        if (report.topOverruns.length > 0) {
+            lines.push('', 'Most time over plan:', '');
+            report.topOverruns.forEach(function(section) {
+                lines.push('- ' + section.title + ' (' + formatDelta(section.deltaMs) + ')');
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write the report as JSON
+     * @param {Object} report - From build()
+     * @returns {string} JSON text
+     */
+    function toJson(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Offer the report as a file
+     * @param {Object} report - From build()
+     * @param {string} format - 'md' or 'json'
+     */
+    function exportReport(report, format) {
+        const start = report.startedAt;
+        const filename = 'meeting-report-' + start.getFullYear() + '-' + TimeUtils.pad(start.getMonth() + 1) + '-' +
+            TimeUtils.pad(start.getDate()) + '.' + format;
+        if (format === 'json') {
+            AgendaExport.download(filename, toJson(report), 'application/json');
+        } else {
+            AgendaExport.download(filename, toMarkdown(report), 'text/markdown');
+        }
+        console.log('📊 Exported meeting report as ' + filename);
+    }
+
+    /**
+     * Build a table cell
+     * @param {string} tag - 'td' or 'th'
+     * @param {string} text - Cell text
+     * @param {string} [className] - Cell class
+     * @returns {HTMLElement} Cell
+     */
+    function cell(tag, text, className) {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        if (className) element.className = className;
+        return element;
+    }
+
+    /**
+     * Build a table row
+     * @param {Array<HTMLElement>} cells - Cells in order
+     * @param {string} [className] - Row class
+     * @returns {HTMLElement} Row
+     */
+    function row(cells, className) {
+        const element = document.createElement('tr');
+        cells.forEach(function(child) { element.appendChild(child); });
+        if (className) element.className = className;
+        return element;
+    }
+
+    /**
+     * Show the report over the page
+     * @param {Object} report - From build()
+     * @returns {HTMLElement} The overlay
+     */
+    function show(report) {
+        hide();
+
+        overlay = document.createElement('div');
+        overlay.className = 'meeting-report-overlay';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-label', 'Meeting report');
+
+        const content = document.createElement('div');
+        content.className = 'meeting-report-content';
+        content.appendChild(cell('h2', 'Meeting report'));
+        content.appendChild(cell('p', summarize(report), 'meeting-report-summary'));
+
+        const table = document.createElement('table');
+        table.className = 'meeting-report-table';
+        table.appendChild(row(['Section', 'Planned', 'Actual', 'Delta', 'Adjustments'].map(function(title) {
+            return cell('th', title);
+        })));
+        report.sections.forEach(function(section) {
+            const deltaClass = section.deltaMs >= 1000 ? 'delta-over' : section.deltaMs <= -1000 ? 'delta-under' : '';
+            table.appendChild(row([
+                cell('td', section.title),
+                cell('td', TimeUtils.formatLength(section.plannedMs)),
+                cell('td', TimeUtils.formatLength(section.actualMs)),
+                cell('td', formatDelta(section.deltaMs), deltaClass),
+                cell('td', section.adjustmentsMs ? formatDelta(section.adjustmentsMs) : '')
+            ], section.skipped ? 'skipped' : ''));
+        });
+        table.appendChild(row([
+            cell('th', 'Total'),
+            cell('th', TimeUtils.formatLength(report.plannedMs)),
+            cell('th', TimeUtils.formatLength(report.actualMs)),
+            cell('th', formatDelta(report.overrunMs)),
+            cell('th', report.adjustmentsMs ? formatDelta(report.adjustmentsMs) : '')
+        ], 'meeting-report-total'));
+        content.appendChild(table);
+
+        if (report.topOverruns.length > 0) {
+            content.appendChild(cell('p', 'Most time over plan: ' + report.topOverruns.map(function(section) {
+                return section.title + ' (' + formatDelta(section.deltaMs) + ')';
+            }).join(', '), 'meeting-report-overruns'));
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'meeting-report-actions';
+        [['md', 'Download Markdown'], ['json', 'Download JSON']].forEach(function(pair) {
+            const button = cell('button', pair[1]);
+            button.setAttribute('data-format', pair[0]);
+            button.addEventListener('click', function() { exportReport(report, pair[0]); });
+            actions.appendChild(button);
+        });
+        const close = cell('button', 'Close', 'meeting-report-close');
+        close.addEventListener('click', hide);
+        actions.appendChild(close);
+        content.appendChild(actions);
+
+        overlay.appendChild(content);
+        // Clicking outside the report closes it
+        overlay.addEventListener('click', function(event) {
+            if (event.target === overlay) hide();
+        });
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', onKeydown);
+        return overlay;
+    }
+
+    /**
+     * Close the report
+     */
+    function hide() {
+        if (overlay) {
+            overlay.remove();
+            overlay = null;
+            document.removeEventListener('keydown', onKeydown);
+        }
+    }
+
+    /**
+     * Show the report of the run that just ended, if any section ran
+     * @param {Object|null} log - From TimingRecorder.getLog()
+     * @returns {Object|null} The report shown, or null
+     */
+    function showForLog(log) {
+        if (!log || !log.sections.some(function(entry) { return entry.visits > 0; })) {
+            return null;
+        }
+        const report = build(log);
+        show(report);
+        return report;
+    }
+
+    // Public API
+    return {
+        build: build,
+        toMarkdown: toMarkdown,
+        toJson: toJson,
+        exportReport: exportReport,
+        show: show,
+        hide: hide,
+        showForLog: showForLog
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeetingReport;
+}
@@ -1,40 +1,46 @@
 /**
  * PauseController Module
  * Manages pause/resume functionality with accurate time tracking
- * Integrates with the existing timer architecture using timeOffset
+ * The pause itself belongs to the running meeting's TimerEngine
  */
 
 (function() {
     'use strict';
 
-    // Pause state management
-    let pauseState = {
-        isPaused: false,
-        pausedAt: null,           // Timestamp when paused
-        totalPausedDuration: 0    // Accumulated paused time in ms
-    };
+    /**
+     * Get the engine of the running meeting, which owns the pause state
+     * @returns {Object|null} TimerEngine instance, or null between meetings
+     */
+    function getEngine() {
+        return window.timerEngine || null;
+    }
 
     const PauseController = {
         // State management methods
         isPaused: function() {
-            return pauseState.isPaused;
+            const engine = getEngine();
+            return !!engine && engine.isPaused();
         },
 
         pause: function() {
             // Error handling: prevent multiple pause calls
-            if (pauseState.isPaused) {
+            if (this.isPaused()) {
                 console.warn('Timer is already paused');
                 return false;
             }
             
             // Error handling: cannot pause if timer is not running
-            if (!window.running) {
+            const engine = getEngine();
+            if (!window.running || !engine) {
                 console.warn('Cannot pause: timer is not running');
                 return false;
             }
 
-            pauseState.isPaused = true;
-            pauseState.pausedAt = Date.now();
+            // The running meeting's TimerEngine freezes its effective time
+            engine.pause();
+            if (typeof TimerEvents !== 'undefined') {
+                TimerEvents.emit('pause', TimerEvents.describe(engine));
+            }
             
             // Update UI to show paused state
             this.updatePauseButton();
@@ -45,29 +51,23 @@
                 KeyboardShortcuts.updateTimerState({ isPaused: true });
             }
             
-            console.log('Timer paused at:', new Date(pauseState.pausedAt));
+            console.log('Timer paused at:', new Date());
             return true;
         },
 
         resume: function() {
             // Error handling: handle resume without pause
-            if (!pauseState.isPaused) {
+            if (!this.isPaused()) {
                 console.warn('Timer is not paused');
                 return false;
             }
 
-            // Calculate paused duration and add to total
-            const pauseDuration = Date.now() - pauseState.pausedAt;
-            pauseState.totalPausedDuration += pauseDuration;
-            
-            // Adjust timeOffset to exclude paused time
-            // Since timeOffset is added to Date.now(), we subtract the paused duration
-            if (typeof window.timeOffset !== 'undefined') {
-                window.timeOffset -= pauseDuration;
+            const engine = getEngine();
+            const pauseDuration = engine.getPauseLength();
+            engine.resume();
+            if (typeof TimerEvents !== 'undefined') {
+                TimerEvents.emit('resume', TimerEvents.describe(engine, {pausedMs: pauseDuration}));
             }
-
-            pauseState.isPaused = false;
-            pauseState.pausedAt = null;
             
             // Update UI to show resumed state
             this.updatePauseButton();
@@ -78,12 +78,12 @@
                 KeyboardShortcuts.updateTimerState({ isPaused: false });
             }
             
-            console.log('Timer resumed, total paused duration:', pauseState.totalPausedDuration + 'ms');
+            console.log('Timer resumed, total paused duration:', engine.getPausedDuration() + 'ms');
             return true;
         },
 
         toggle: function() {
-            if (pauseState.isPaused) {
+            if (this.isPaused()) {
                 return this.resume();
             } else {
                 return this.pause();
@@ -92,21 +92,8 @@
 
         // Time calculation methods
         getPausedDuration: function() {
-            let total = pauseState.totalPausedDuration;
-            
-            // Add current pause duration if currently paused
-            if (pauseState.isPaused && pauseState.pausedAt) {
-                total += Date.now() - pauseState.pausedAt;
-            }
-            
-            return total;
-        },
-
-        getEffectiveTime: function() {
-            // Returns the effective time excluding paused duration
-            const now = Date.now();
-            const totalPaused = this.getPausedDuration();
-            return now - totalPaused;
+            const engine = getEngine();
+            return engine ? engine.getPausedDuration() : 0;
         },
 
         // UI update methods
@@ -116,7 +103,7 @@
                 const buttonText = pauseButton.querySelector('.button-text');
                 const svg = pauseButton.querySelector('svg');
                 
-                if (pauseState.isPaused) {
+                if (this.isPaused()) {
                     // Show resume state
                     if (buttonText) {
                         buttonText.textContent = 'Resume';
@@ -194,10 +181,12 @@
 
         // Reset method for cleaning up state
         reset: function() {
-            pauseState.isPaused = false;
-            pauseState.pausedAt = null;
-            pauseState.totalPausedDuration = 0;
-            
+            // Never leave the engine frozen after a reset
+            const engine = getEngine();
+            if (engine) {
+                engine.resume();
+            }
+
             this.hidePausedIndicator();
             this.updatePauseButton();
             
@@ -206,17 +195,16 @@
 
         // Method to check if timer should update (used by ticker)
         shouldUpdate: function() {
-            return !pauseState.isPaused;
+            return !this.isPaused();
         },
 
         // Get current state for debugging/testing
         getState: function() {
+            const engine = getEngine();
             return {
-                isPaused: pauseState.isPaused,
-                pausedAt: pauseState.pausedAt,
-                totalPausedDuration: pauseState.totalPausedDuration,
-                currentPauseDuration: pauseState.isPaused && pauseState.pausedAt ? 
-                    Date.now() - pauseState.pausedAt : 0
+                isPaused: this.isPaused(),
+                totalPausedDuration: this.getPausedDuration(),
+                currentPauseDuration: engine ? engine.getPauseLength() : 0
             };
         }
     };
@@ -0,0 +1,204 @@
+/**
+ * Plugin API
+ *
+ * Lets third-party code extend the timer without editing agenda-defender.js:
+ *
+ *   AgendaDefender.use({
+ *       name: 'standup-bell',
+ *       install: function(api) {
+ *           api.on('section:enter', function(event) { ring(event.title); });
+ *           api.addButton({label: '🔔', title: 'Ring now', onClick: ring});
+ *           api.registerShortcut('KeyB', ring, {description: 'Ring the bell'});
+ *           api.registerDirective('bell', function(args, context) { return args !== 'off'; });
+ *           api.on('meeting:start', function(event) { ... event.directives ... });
+ *       },
+ *       uninstall: function() { ... }   // optional
+ *   });
+ *
+ * Everything a plugin registers through its api is undone by AgendaDefender.remove(name).
+ */
+
+const AgendaDefender = (function() {
+    'use strict';
+
+    // Installed plugins by name: {plugin, disposers}
+    let installed = {};
+
+    /**
+     * Build the api handed to a plugin's install function
+     * @param {string} name - Plugin name, used in log messages
+     * @param {Array<Function>} disposers - Collects undo functions for remove()
+     * @returns {Object} Plugin api
+     */
+    function createApi(name, disposers) {
+        return {
+            name: name,
+
+            /**
+             * Subscribe to a timer event (see TimerEvents.EVENTS)
+             * @param {string} event - Event name, e.g. 'section:enter'
+             * @param {Function} listener - Called with the event payload
+             * @returns {Function|null} Unsubscribe function, or null without the event bus
+             */
+            on: function(event, listener) {
+                if (typeof TimerEvents === 'undefined') {
+                    console.warn('🧩 ' + name + ': TimerEvents not loaded');
+                    return null;
+                }
+                const off = TimerEvents.on(event, listener);
+                disposers.push(off);
+                return off;
+            },
+
+            /**
+             * Add a button to the meeting controls, before the close button
+             * @param {Object} options - Button options
+             * @param {string} options.label - Button text
+             * @param {string} [options.title] - Tooltip
+             * @param {string} [options.id] - Element id
+             * @param {Function} options.onClick - Click handler
+             * @returns {HTMLElement|null} The button, or null if there are no controls
+             */
+            addButton: function(options) {
+                const controls = document.getElementById('ticker-controls');
+                if (!controls) {
+                    console.warn('🧩 ' + name + ': #ticker-controls not found');
+                    return null;
+                }
+                const button = document.createElement('button');
+                button.className = 'plugin-button';
+                button.textContent = options.label;
+                if (options.id) button.id = options.id;
+                if (options.title) {
+                    button.title = options.title;
+                    button.setAttribute('aria-label', options.title);
+                }
+                button.addEventListener('click', options.onClick);
+                controls.insertBefore(button, document.getElementById('close-ticker'));
+                disposers.push(function() { button.remove(); });
+                return button;
+            },
+
+            /**
+             * Add a keyboard shortcut (see KeyboardShortcuts.registerShortcut)
+             * @param {string} code - KeyboardEvent.code, e.g. 'KeyB'
+             * @param {Function} handler - Called with the keydown event
+             * @param {Object} [options] - {shift, description}
+             * @returns {boolean} Whether it was registered
+             */
+            registerShortcut: function(code, handler, options) {
+                if (typeof KeyboardShortcuts === 'undefined' ||
+                    !KeyboardShortcuts.registerShortcut(code, handler, options)) {
+                    return false;
+                }
+                disposers.push(function() { KeyboardShortcuts.unregisterShortcut(code, options); });
+                return true;
+            },
+
+            /**
+             * Add an agenda directive (see Agenda.registerDirective). The handler must be pure,
+             * since every parse runs it; the meeting:start event lists what it returned in
+             * directives, as {line, name, args, value}.
+             * @param {string} directive - Name without the @
+             * @param {Function} handler - Called with (args, context) while parsing
+             * @returns {boolean} Whether it was registered
+             */
+            registerDirective: function(directive, handler) {
+                if (!Agenda.registerDirective(directive, handler)) {
+                    return false;
+                }
+                disposers.push(function() { Agenda.unregisterDirective(directive); });
+                return true;
+            },
+
+            /**
+             * Get the TimerEngine of the running meeting
+             * @returns {Object|null} Engine, or null when no meeting runs
+             */
+            getEngine: function() {
+                return window.timerEngine || null;
+            }
+        };
+    }
+
+    /**
+     * Undo everything a plugin registered, newest first
+     * @param {Array<Function>} disposers - Undo functions
+     */
+    function dispose(disposers) {
+        disposers.slice().reverse().forEach(function(undo) {
+            try {
+                undo();
+            } catch (error) {
+                console.error('🧩 Cleanup failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Install a plugin
+     * @param {Object} plugin - {name, install(api), uninstall()}
+     * @returns {boolean} Whether it was installed
+     */
+    function use(plugin) {
+        if (!plugin || typeof plugin.name !== 'string' || typeof plugin.install !== 'function') {
+            console.error('🧩 A plugin needs a name and an install(api) function');
+            return false;
+        }
+        if (installed[plugin.name]) {
+            console.warn('🧩 Plugin ' + plugin.name + ' is already installed');
+            return false;
+        }
+
+        const disposers = [];
+        try {
+            plugin.install(createApi(plugin.name, disposers));
+        } catch (error) {
+            console.error('🧩 Plugin ' + plugin.name + ' failed to install:', error);
+            dispose(disposers);
+            return false;
+        }
+
+        installed[plugin.name] = {plugin: plugin, disposers: disposers};
+        console.log('🧩 Plugin installed:', plugin.name);
+        return true;
+    }
+
+    /**
+     * Uninstall a plugin and undo what it registered
+     * @param {string} name - Plugin name
+     * @returns {boolean} Whether it was installed
+     */
+    function remove(name) {
+        const entry = installed[name];
+        if (!entry) return false;
+
+        dispose(entry.disposers);
+        if (typeof entry.plugin.uninstall === 'function') {
+            entry.plugin.uninstall();
+        }
+        delete installed[name];
+        console.log('🧩 Plugin removed:', name);
+        return true;
+    }
+
+    /**
+     * List installed plugins
+     * @returns {Array<string>} Plugin names in install order
+     */
+    function getPlugins() {
+        return Object.keys(installed);
+    }
+
+    // Public API
+    return {
+        use: use,
+        remove: remove,
+        getPlugins: getPlugins
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AgendaDefender;
+}
@@ -3,6 +3,7 @@
  * 
  * Provides overall progress visualization showing talk progress across all sections.
  * Displays a horizontal bar with segments proportional to each section's duration.
+ * Sections with sub-sections show them as sub-segments inside their segment.
  * 
  * Requirements: 4.1, 4.2, 4.3, 4.4, 4.5, 4.6
  */
@@ -75,6 +76,28 @@ const ProgressBar = (function() {
         });
     }
 
+    /**
+     * Build sub-segment markup for a section's children, positioned within the parent segment
+     * @param {Object} section - Section with commencesAt, concludesAt and optional children
+     * @param {string} status - Status of the parent segment
+     * @returns {string} HTML for the sub-segments
+     */
+    function renderSubsegments(section, status) {
+        const children = section.children || [];
+        const duration = section.concludesAt - section.commencesAt;
+        if (children.length === 0 || duration <= 0) return '';
+
+        return children.map(function(child) {
+            const left = ((child.commencesAt - section.commencesAt) / duration) * 100;
+            const width = ((child.concludesAt - child.commencesAt) / duration) * 100;
+            const title = child.text || '';
+            return '<div class="progress-subsegment" ' +
+                   'data-status="' + (status === 'current' ? 'upcoming' : status) + '" ' +
+                   'style="left: ' + left + '%; width: ' + width + '%" ' +
+                   'title="' + title.replace(/"/g, '&quot;') + '"></div>';
+        }).join('');
+    }
+
     /**
      * Render the progress bar with segments for each section
      * @param {Array} sections - Array of section objects with commencesAt, concludesAt, and text
@@ -99,7 +122,8 @@ const ProgressBar = (function() {
             return '<div class="progress-segment" ' +
                    'data-status="' + status + '" ' +
                    'style="width: ' + width + '%" ' +
-                   'title="' + title.replace(/"/g, '&quot;') + '"></div>';
+                   'title="' + title.replace(/"/g, '&quot;') + '">' +
+                   renderSubsegments(section, status) + '</div>';
         }).join('');
 
         cont.innerHTML = segmentsHtml;
@@ -109,14 +133,24 @@ const ProgressBar = (function() {
     /**
      * Update segment statuses based on current index
      * @param {number} currentIndex - Index of the current section (0-based)
+     * @param {number} [currentChildIndex] - Index of the current sub-section within it (-1 if none has started)
      */
-    function update(currentIndex) {
+    function update(currentIndex, currentChildIndex) {
         if (!container) return;
 
         const segments = container.querySelectorAll('.progress-segment');
         segments.forEach(function(segment, index) {
             const status = getSegmentStatus(index, currentIndex);
             segment.setAttribute('data-status', status);
+
+            // Sub-segments follow their parent, except inside the current section
+            const subsegments = segment.querySelectorAll('.progress-subsegment');
+            subsegments.forEach(function(subsegment, childIndex) {
+                const childStatus = status === 'current' ?
+                    getSegmentStatus(childIndex, currentChildIndex === undefined ? -1 : currentChildIndex) :
+                    status;
+                subsegment.setAttribute('data-status', childStatus);
+            });
         });
     }
 
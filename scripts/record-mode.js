@@ -0,0 +1,263 @@
+/**
+ * RecordMode Module
+ *
+ * Stopwatch for building an agenda by giving the talk instead of guessing. There is
+ * no agenda while recording: each press of N (or →, or a left swipe on the ticker)
+ * ends the current section and starts the next. Titles can be typed or dictated into
+ * the title field as the talk goes, or filled in afterwards in the text box.
+ *
+ * Finishing writes a relative agenda into #agenda, one "MM:SS title" line per
+ * section and FINISH at the total time:
+ *   00:00 Intro
+ *   04:12 Demo
+ *   15:40 FINISH
+ */
+
+const RecordMode = (function() {
+    'use strict';
+
+    // Marks closer together than this are taken as a double press
+    const MIN_SECTION_MS = 1000;
+    // Stopwatch refresh rate
+    const REFRESH_MS = 250;
+
+    let recording = false;
+    let startedAt = null;
+    // Sections so far: {startMs, title}, startMs relative to startedAt
+    let sections = [];
+    let refreshTimer = null;
+
+    /**
+     * Format an offset as MM:SS, the relative time Agenda.parse reads
+     * @param {number} ms - Offset in milliseconds
+     * @returns {string} e.g. "04:12", or "75:00" past the hour
+     */
+    function formatOffset(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        return TimeUtils.pad(Math.floor(totalSeconds / 60)) + ':' + TimeUtils.pad(totalSeconds % 60);
+    }
+
+    /**
+     * Write recorded sections as a relative agenda
+     * @param {Array<Object>} recorded - Sections: {startMs, title}, the first starting at 0
+     * @param {number} totalMs - Length of the whole run
+     * @returns {string} Agenda text
+     */
+    function toAgendaText(recorded, totalMs) {
+        const lines = recorded.map(function(section, index) {
+            return formatOffset(section.startMs) + ' ' + Agenda.cleanTitle(section.title, 'Section ' + (index + 1));
+        });
+        // Section starts round down, so FINISH rounds up, and never lands on the last start
+        const lastStart = Math.floor(recorded[recorded.length - 1].startMs / 1000) * 1000;
+        lines.push(formatOffset(Math.max(Math.ceil(totalMs / 1000) * 1000, lastStart + 1000)) + ' FINISH');
+        return lines.join('\n');
+    }
+
+    /**
+     * Get the sections recorded so far
+     * @returns {Array<Object>} Copies of the sections: {startMs, title}
+     */
+    function getSections() {
+        return sections.map(function(section) { return Object.assign({}, section); });
+    }
+
+    /**
+     * Check whether a recording is under way
+     * @returns {boolean} True while recording
+     */
+    function isRecording() {
+        return recording;
+    }
+
+    /**
+     * Keep the title of the current section in step with the title field
+     */
+    function onTitleInput() {
+        if (sections.length > 0) {
+            sections[sections.length - 1].title = this.value;
+        }
+    }
+
+    /**
+     * Draw the stopwatch: total time, the current section and its time so far
+     */
+    function render() {
+        const ticker = document.getElementById('ticker');
+        if (!ticker || !recording) return;
+        const elapsed = TimeUtils.now() - startedAt;
+        const current = sections[sections.length - 1];
+
+        let view = ticker.querySelector('.record-mode');
+        if (!view) {
+            ticker.innerHTML = '';
+            view = document.createElement('div');
+            view.className = 'record-mode';
+            view.innerHTML =
+                '<div class="record-status">● REC <span class="record-elapsed"></span></div>' +
+                '<div class="record-section"><span class="record-section-number"></span> ' +
+                '<span class="record-section-elapsed"></span></div>' +
+                '<input type="text" class="record-title" aria-label="Title of this section" ' +
+                'placeholder="Type or dictate a title (optional)"/>' +
+                '<p class="record-hint">Press N or swipe left when the next section starts, ' +
+                'Enter to leave the title field, Escape to discard.</p>' +
+                '<div class="record-actions">' +
+                '<button class="record-mark">Next section</button>' +
+                '<button class="record-finish">Finish</button>' +
+                '<button class="record-cancel">Cancel</button>' +
+                '</div>';
+            view.querySelector('.record-title').addEventListener('input', onTitleInput);
+            view.querySelector('.record-mark').addEventListener('click', mark);
+            view.querySelector('.record-finish').addEventListener('click', finish);
+            view.querySelector('.record-cancel').addEventListener('click', cancel);
+            ticker.appendChild(view);
+        }
+
+        view.querySelector('.record-elapsed').textContent = formatOffset(elapsed);
+        view.querySelector('.record-section-number').textContent = 'Section ' + sections.length;
+        view.querySelector('.record-section-elapsed').textContent = formatOffset(elapsed - current.startMs);
+    }
+
+    /**
+     * Mark sections with N or →, discard the recording with Escape. Enter or Escape in
+     * the title field hands the keys back to the stopwatch.
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function onKeydown(event) {
+        if (event.target.classList && event.target.classList.contains('record-title') &&
+            (event.key === 'Enter' || event.key === 'Escape')) {
+            event.preventDefault();
+            event.target.blur();
+            return;
+        }
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            cancel();
+            return;
+        }
+        const tagName = event.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || event.ctrlKey || event.altKey || event.metaKey) {
+            return;
+        }
+        if (event.code === 'KeyN' || event.code === 'ArrowRight') {
+            event.preventDefault();
+            mark();
+        }
+    }
+
+    /**
+     * Start recording, with the first section starting now
+     * @returns {boolean} False if a meeting or recording is already running
+     */
+    function start() {
+        if (recording || window.running) {
+            return false;
+        }
+        recording = true;
+        startedAt = TimeUtils.now();
+        sections = [{startMs: 0, title: ''}];
+
+        // N belongs to the recording, not to meeting navigation
+        if (typeof KeyboardShortcuts !== 'undefined') {
+            KeyboardShortcuts.setEnabled(false);
+        }
+        document.addEventListener('keydown', onKeydown);
+
+        render();
+        const ticker = document.getElementById('ticker');
+        if (ticker) ticker.style.display = 'block';
+        // Swipes on the ticker mark sections while recording
+        if (typeof TouchGestureHandler !== 'undefined') {
+            TouchGestureHandler.initialize();
+        }
+        refreshTimer = window.setInterval(render, REFRESH_MS);
+        console.log('⏺️ Recording started');
+        return true;
+    }
+
+    /**
+     * End the current section and start the next one
+     * @returns {boolean} False if not recording, or too soon after the last mark
+     */
+    function mark() {
+        if (!recording) return false;
+        const elapsed = TimeUtils.now() - startedAt;
+        if (elapsed - sections[sections.length - 1].startMs < MIN_SECTION_MS) {
+            return false;
+        }
+        sections.push({startMs: elapsed, title: ''});
+
+        const title = document.querySelector('#ticker .record-title');
+        if (title) title.value = '';
+        render();
+        console.log('⏺️ Section', sections.length, 'started at', formatOffset(elapsed));
+        return true;
+    }
+
+    /**
+     * Stop the stopwatch and put the screen back
+     */
+    function stop() {
+        recording = false;
+        window.clearInterval(refreshTimer);
+        refreshTimer = null;
+        document.removeEventListener('keydown', onKeydown);
+        if (typeof KeyboardShortcuts !== 'undefined') {
+            KeyboardShortcuts.setEnabled(true);
+        }
+        if (typeof TouchGestureHandler !== 'undefined') {
+            TouchGestureHandler.destroy();
+        }
+        const ticker = document.getElementById('ticker');
+        if (ticker) {
+            ticker.innerHTML = '';
+            ticker.style.display = 'none';
+        }
+    }
+
+    /**
+     * Stop recording and write the agenda into #agenda
+     * @returns {string|null} Agenda text, or null if not recording
+     */
+    function finish() {
+        if (!recording) return null;
+        const totalMs = TimeUtils.now() - startedAt;
+        const text = toAgendaText(sections, totalMs);
+        stop();
+
+        const textarea = document.getElementById('agenda');
+        if (textarea) {
+            textarea.value = text;
+            // Triggering input lets autosave keep the text in step
+            textarea.dispatchEvent(new Event('input', {bubbles: true}));
+        }
+        console.log('⏺️ Recorded', sections.length, 'sections in', formatOffset(totalMs));
+        return text;
+    }
+
+    /**
+     * Stop recording and throw the recording away
+     */
+    function cancel() {
+        if (!recording) return;
+        stop();
+        sections = [];
+        console.log('⏺️ Recording discarded');
+    }
+
+    // Public API
+    return {
+        MIN_SECTION_MS: MIN_SECTION_MS,
+        start: start,
+        mark: mark,
+        finish: finish,
+        cancel: cancel,
+        isRecording: isRecording,
+        getSections: getSections,
+        toAgendaText: toAgendaText
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordMode;
+}
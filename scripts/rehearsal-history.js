@@ -0,0 +1,378 @@
+/**
+ * RehearsalHistory Module
+ *
+ * Keeps every completed run of an agenda in localStorage, with the actual length of
+ * each section, so a speaker rehearsing the same talk can see whether each section
+ * is converging on its planned length. Runs are stored per agenda, under a key made
+ * from a hash of the agenda text, and can be deleted or downloaded as JSON.
+ */
+
+const RehearsalHistory = (function() {
+    'use strict';
+
+    // One key per agenda: KEY_PREFIX + hash of the text. Distinct from url-sharing's agenda_text.
+    const KEY_PREFIX = 'rehearsal_history_';
+    // Oldest runs are dropped beyond this many per agenda
+    const MAX_RUNS = 20;
+    // Differences smaller than this count as no change
+    const TOLERANCE_MS = 1000;
+
+    const TRENDS = {
+        CONVERGING: 'converging',
+        DIVERGING: 'diverging',
+        STEADY: 'steady'
+    };
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const CHART_WIDTH = 240;
+    const CHART_HEIGHT = 60;
+
+    let overlay = null;
+
+    /**
+     * Hash agenda text to a short stable id (32-bit FNV-1a)
+     * @param {string} text - Agenda text
+     * @returns {string} Hex hash
+     */
+    function hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Get the storage key for an agenda
+     * @param {string} text - Agenda text
+     * @returns {string} localStorage key
+     */
+    function getKey(text) {
+        return KEY_PREFIX + hashText(text.trim());
+    }
+
+    /**
+     * Read the runs of an agenda, oldest first
+     * @param {string} text - Agenda text
+     * @returns {Array<Object>} Runs: {id, recordedAt, sections: [{title, plannedMs, actualMs}]}
+     */
+    function getRuns(text) {
+        try {
+            const runs = JSON.parse(localStorage.getItem(getKey(text)));
+            return Array.isArray(runs) ? runs : [];
+        } catch (error) {
+            console.error('📈 Error loading rehearsal history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the runs of an agenda, removing the key when there are none
+     * @param {string} text - Agenda text
+     * @param {Array<Object>} runs - Runs, oldest first
+     * @returns {boolean} Whether they were saved
+     */
+    function saveRuns(text, runs) {
+        try {
+            if (runs.length === 0) {
+                localStorage.removeItem(getKey(text));
+            } else {
+                localStorage.setItem(getKey(text), JSON.stringify(runs.slice(-MAX_RUNS)));
+            }
+            return true;
+        } catch (error) {
+            console.error('📈 Error saving rehearsal history:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Store a completed run
+     * @param {string} text - Agenda text the run was started from
+     * @param {Object} log - From TimingRecorder.getLog()
+     * @returns {Object|null} The stored run, or null if the run did not complete
+     */
+    function record(text, log) {
+        if (!log || !log.completed) {
+            return null;
+        }
+        const recordedAt = (log.endedAt || new Date()).getTime();
+        const run = {
+            id: String(recordedAt),
+            recordedAt: recordedAt,
+            sections: log.sections.map(function(entry) {
+                // Time spent paused is not part of the talk
+                return {title: entry.title, plannedMs: entry.plannedDuration, actualMs: entry.actualDuration - entry.pausedMs};
+            })
+        };
+        const runs = getRuns(text);
+        runs.push(run);
+        saveRuns(text, runs);
+        console.log('📈 Recorded rehearsal', runs.length, 'of this agenda');
+        return run;
+    }
+
+    /**
+     * Delete one run
+     * @param {string} text - Agenda text
+     * @param {string} id - Run id
+     * @returns {boolean} Whether the run existed
+     */
+    function deleteRun(text, id) {
+        const runs = getRuns(text);
+        const remaining = runs.filter(function(run) { return run.id !== id; });
+        if (remaining.length === runs.length) {
+            return false;
+        }
+        saveRuns(text, remaining);
+        return true;
+    }
+
+    /**
+     * Delete every run of an agenda
+     * @param {string} text - Agenda text
+     */
+    function clear(text) {
+        saveRuns(text, []);
+    }
+
+    /**
+     * Work out how far a list of errors has moved towards zero
+     * @param {Array<number>} errors - Absolute differences from the target, oldest first
+     * @returns {string|null} One of TRENDS, or null with fewer than two runs
+     */
+    function getTrend(errors) {
+        if (errors.length < 2) {
+            return null;
+        }
+        const half = Math.floor(errors.length / 2);
+        const mean = function(values) {
+            return values.reduce(function(total, value) { return total + value; }, 0) / values.length;
+        };
+        // Compare the older half of the runs with the newer half
+        const change = mean(errors.slice(-half)) - mean(errors.slice(0, half));
+        if (change < -TOLERANCE_MS) return TRENDS.CONVERGING;
+        if (change > TOLERANCE_MS) return TRENDS.DIVERGING;
+        return TRENDS.STEADY;
+    }
+
+    /**
+     * Follow each section across runs
+     * @param {Array<Object>} runs - From getRuns()
+     * @returns {Array<Object>} Per section: title, plannedMs, durations (ms, oldest first) and trend
+     */
+    function getTrends(runs) {
+        if (runs.length === 0) {
+            return [];
+        }
+        const latest = runs[runs.length - 1];
+        return latest.sections.map(function(section, index) {
+            const durations = runs.map(function(run) {
+                return run.sections[index] ? run.sections[index].actualMs : null;
+            }).filter(function(duration) { return duration !== null; });
+            return {
+                title: section.title,
+                plannedMs: section.plannedMs,
+                durations: durations,
+                trend: getTrend(durations.map(function(duration) { return Math.abs(duration - section.plannedMs); }))
+            };
+        });
+    }
+
+    /**
+     * Download the runs of an agenda as JSON
+     * @param {string} text - Agenda text
+     * @returns {boolean} Whether there was anything to export
+     */
+    function exportRuns(text) {
+        const runs = getRuns(text);
+        if (runs.length === 0) {
+            console.warn('📈 No rehearsals to export');
+            return false;
+        }
+        const content = JSON.stringify({agenda: text, runs: runs}, null, 2);
+        AgendaExport.download('rehearsals-' + hashText(text.trim()) + '.json', content, 'application/json');
+        return true;
+    }
+
+    /**
+     * Record completed runs as they stop
+     * @param {Object} bus - TimerEvents; TimingRecorder must be attached to it first
+     * @returns {Function} Call to stop recording
+     */
+    function attach(bus) {
+        return bus.on('meeting:stop', function(event) {
+            if (event.completed && window.lastRun && typeof TimingRecorder !== 'undefined') {
+                record(window.lastRun.text, TimingRecorder.getLog());
+            }
+        });
+    }
+
+    /**
+     * Draw a section's durations across runs as bars, with its target as a dashed line
+     * @param {Object} trend - Entry from getTrends()
+     * @returns {SVGElement} Chart
+     */
+    function drawChart(trend) {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', 'rehearsal-chart');
+        svg.setAttribute('viewBox', '0 0 ' + CHART_WIDTH + ' ' + CHART_HEIGHT);
+        svg.setAttribute('width', CHART_WIDTH);
+        svg.setAttribute('height', CHART_HEIGHT);
+
+        const max = Math.max.apply(null, trend.durations.concat(trend.plannedMs)) || 1;
+        const slot = CHART_WIDTH / trend.durations.length;
+        trend.durations.forEach(function(duration, index) {
+            const height = CHART_HEIGHT * duration / max;
+            const bar = document.createElementNS(SVG_NS, 'rect');
+            bar.setAttribute('x', index * slot + slot * 0.15);
+            bar.setAttribute('y', CHART_HEIGHT - height);
+            bar.setAttribute('width', slot * 0.7);
+            bar.setAttribute('height', height);
+            bar.setAttribute('class', duration > trend.plannedMs + TOLERANCE_MS ? 'bar-over' : 'bar');
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = 'Run ' + (index + 1) + ': ' + TimeUtils.formatLength(duration);
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+
+        const targetY = CHART_HEIGHT - CHART_HEIGHT * trend.plannedMs / max;
+        const target = document.createElementNS(SVG_NS, 'line');
+        target.setAttribute('x1', 0);
+        target.setAttribute('x2', CHART_WIDTH);
+        target.setAttribute('y1', targetY);
+        target.setAttribute('y2', targetY);
+        target.setAttribute('class', 'target');
+        svg.appendChild(target);
+        return svg;
+    }
+
+    /**
+     * Build an element with text
+     * @param {string} tag - Tag name
+     * @param {string} text - Text content
+     * @param {string} [className] - Class
+     * @returns {HTMLElement} Element
+     */
+    function element(tag, text, className) {
+        const node = document.createElement(tag);
+        node.textContent = text;
+        if (className) node.className = className;
+        return node;
+    }
+
+    /**
+     * Close the history on Escape
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function onKeydown(event) {
+        if (event.key === 'Escape') hide();
+    }
+
+    /**
+     * Show the rehearsals of an agenda: a chart per section and the list of runs
+     * @param {string} text - Agenda text
+     * @returns {HTMLElement} The overlay
+     */
+    function show(text) {
+        hide();
+        const runs = getRuns(text);
+
+        overlay = document.createElement('div');
+        overlay.className = 'rehearsal-history-overlay';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-label', 'Rehearsal history');
+
+        const content = document.createElement('div');
+        content.className = 'rehearsal-history-content';
+        content.appendChild(element('h2', 'Rehearsal history'));
+
+        if (runs.length === 0) {
+            content.appendChild(element('p', 'No completed runs of this agenda yet.', 'rehearsal-history-empty'));
+        }
+
+        getTrends(runs).forEach(function(trend) {
+            const section = document.createElement('div');
+            section.className = 'rehearsal-section' + (trend.trend ? ' trend-' + trend.trend : '');
+            section.appendChild(element('h3', trend.title));
+            const latest = trend.durations[trend.durations.length - 1];
+            section.appendChild(element('p', 'Target ' + TimeUtils.formatLength(trend.plannedMs) +
+                ', last ' + TimeUtils.formatLength(latest) + (trend.trend ? ', ' + trend.trend : ''),
+                'rehearsal-section-summary'));
+            section.appendChild(drawChart(trend));
+            content.appendChild(section);
+        });
+
+        if (runs.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'rehearsal-runs';
+            runs.forEach(function(run, index) {
+                const total = run.sections.reduce(function(sum, section) { return sum + section.actualMs; }, 0);
+                const item = element('li', 'Run ' + (index + 1) + ' – ' +
+                    new Date(run.recordedAt).toLocaleString() + ' – ' + TimeUtils.formatLength(total));
+                const remove = element('button', 'Delete', 'rehearsal-delete');
+                remove.setAttribute('aria-label', 'Delete run ' + (index + 1));
+                remove.addEventListener('click', function() {
+                    deleteRun(text, run.id);
+                    show(text);
+                });
+                item.appendChild(remove);
+                list.appendChild(item);
+            });
+            content.appendChild(list);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'rehearsal-history-actions';
+        const download = element('button', 'Download JSON', 'rehearsal-export');
+        download.disabled = runs.length === 0;
+        download.addEventListener('click', function() { exportRuns(text); });
+        actions.appendChild(download);
+        const close = element('button', 'Close', 'rehearsal-history-close');
+        close.addEventListener('click', hide);
+        actions.appendChild(close);
+        content.appendChild(actions);
+
+        overlay.appendChild(content);
+        overlay.addEventListener('click', function(event) {
+            if (event.target === overlay) hide();
+        });
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', onKeydown);
+        return overlay;
+    }
+
+    /**
+     * Close the history
+     */
+    function hide() {
+        if (overlay) {
+            overlay.remove();
+            overlay = null;
+            document.removeEventListener('keydown', onKeydown);
+        }
+    }
+
+    // Public API
+    return {
+        KEY_PREFIX: KEY_PREFIX,
+        MAX_RUNS: MAX_RUNS,
+        TRENDS: TRENDS,
+        hashText: hashText,
+        getRuns: getRuns,
+        record: record,
+        deleteRun: deleteRun,
+        clear: clear,
+        getTrends: getTrends,
+        exportRuns: exportRuns,
+        attach: attach,
+        show: show,
+        hide: hide
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RehearsalHistory;
+}
@@ -0,0 +1,117 @@
+/**
+ * ScheduleIndicator Module
+ *
+ * Line at the top of the ticker telling the speaker how the whole run stands against
+ * the original plan, e.g. "+2:15 behind · ends 15:02". Section countdowns alone hide
+ * this: time added with +30s, a jump back or a pause all push the finish out.
+ *
+ * The finish is projected as the wall clock plus what is left of the current section
+ * and every later one, as adjusted, and compared with the end of the schedule as
+ * written (the plannedCommencesAt/plannedConcludesAt TimerEngine keeps before any
+ * adjustment).
+ */
+
+const ScheduleIndicator = (function() {
+    'use strict';
+
+    // Closer to the plan than this counts as on schedule
+    const ON_SCHEDULE_MS = 5000;
+
+    let container = null;
+
+    /**
+     * Work out where the run stands against the plan
+     * @param {Array} agenda - Agenda items, as adjusted by the engine
+     * @param {Object} snapshot - From TimerEngine getSnapshot()
+     * @param {number} wallNow - Wall-clock time in ms since epoch
+     * @returns {Object} plannedEnd and projectedEnd (Dates), and varianceMs: positive when behind
+     */
+    function compute(agenda, snapshot, wallNow) {
+        const last = agenda[agenda.length - 1];
+        const plannedEnd = last.plannedConcludesAt || last.concludesAt;
+
+        let remainingMs;
+        if (!snapshot.started) {
+            remainingMs = snapshot.startsIn + (last.concludesAt - agenda[0].commencesAt);
+        } else {
+            // A section run over (held, or counting overtime) has nothing left, however far over it is
+            remainingMs = Math.max(0, snapshot.remaining);
+            for (let i = snapshot.index + 1; i < agenda.length; i++) {
+                remainingMs += agenda[i].concludesAt - agenda[i].commencesAt;
+            }
+        }
+
+        const projectedEnd = new Date(wallNow + remainingMs);
+        return {
+            plannedEnd: plannedEnd,
+            projectedEnd: projectedEnd,
+            varianceMs: projectedEnd - plannedEnd
+        };
+    }
+
+    /**
+     * Describe where the run stands
+     * @param {Object} status - From compute()
+     * @returns {string} e.g. "+2:15 behind · ends 15:02" or "−0:40 ahead · ends 14:59"
+     */
+    function format(status) {
+        const end = status.projectedEnd;
+        const finish = 'ends ' + TimeUtils.pad(end.getHours()) + ':' + TimeUtils.pad(end.getMinutes());
+        if (Math.abs(status.varianceMs) < ON_SCHEDULE_MS) {
+            return 'On schedule · ' + finish;
+        }
+        return status.varianceMs > 0 ?
+            '+' + TimeUtils.formatLength(status.varianceMs) + ' behind · ' + finish :
+            '−' + TimeUtils.formatLength(status.varianceMs) + ' ahead · ' + finish;
+    }
+
+    /**
+     * Create the indicator element
+     * @returns {HTMLElement} The element, to put in the ticker
+     */
+    function initialize() {
+        container = document.createElement('div');
+        container.id = 'schedule-indicator';
+        container.className = 'schedule-indicator';
+        container.setAttribute('role', 'status');
+        return container;
+    }
+
+    /**
+     * Show where the run stands
+     * @param {Object} status - From compute()
+     */
+    function render(status) {
+        if (!container) return;
+        container.textContent = format(status);
+        const onSchedule = Math.abs(status.varianceMs) < ON_SCHEDULE_MS;
+        container.classList.toggle('behind', !onSchedule && status.varianceMs > 0);
+        container.classList.toggle('ahead', !onSchedule && status.varianceMs < 0);
+    }
+
+    /**
+     * Keep the indicator up to date with a run, paused or not
+     * @param {Object} engine - TimerEngine instance
+     * @returns {Function} Call to stop updating
+     */
+    function attach(engine) {
+        return engine.subscribe(function(snapshot) {
+            render(compute(engine.agenda, snapshot, TimeUtils.now()));
+        });
+    }
+
+    // Public API
+    return {
+        ON_SCHEDULE_MS: ON_SCHEDULE_MS,
+        compute: compute,
+        format: format,
+        initialize: initialize,
+        render: render,
+        attach: attach
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleIndicator;
+}
@@ -3,6 +3,9 @@
  * 
  * Handles section jumping and navigation with visual feedback.
  * Provides methods for navigating between agenda sections during presentations.
+ * Next/previous step through sub-sections too, unless asked to skip over them.
+ * A section held for manual advance only moves on through nextSection: jumps past it
+ * are refused by TimerEngine.seek.
  * 
  * Requirements: 2.1, 2.2, 2.3, 2.4, 2.5, 2.6, 4.3, 4.4
  */
@@ -35,36 +38,24 @@ const SectionNavigator = (function() {
     }
 
     /**
-     * Get the current section index based on time offset
+     * Check whether a meeting is running, with an engine to navigate
+     * @returns {boolean} True while the TimerEngine of a running meeting is available
+     */
+    function isRunning() {
+        return !!window.currentAgenda && !!window.timerEngine && !!window.running;
+    }
+
+    /**
+     * Get the current section index from the running meeting's TimerEngine
      * Requirements: 2.1, 2.2, 2.3, 2.4
      * @returns {number} Current section index (0-based)
      */
     function getCurrentSectionIndex() {
-        // Use the global getCurrentSectionIndex function if available
-        if (typeof window !== 'undefined' && typeof window.getCurrentSectionIndex === 'function') {
-            return window.getCurrentSectionIndex();
-        }
-        
-        // Fallback: calculate from currentAgenda and timeOffset
-        if (!window.currentAgenda || !window.running) {
+        if (!isRunning()) {
             log('Cannot get current section: timer not running or no agenda');
             return 0;
         }
-        
-        let now = Date.now() + (window.timeOffset || 0);
-        
-        // Exclude paused duration if PauseController is available
-        if (typeof PauseController !== 'undefined') {
-            now -= PauseController.getPausedDuration();
-        }
-        
-        for (let i = 0; i < window.currentAgenda.length; i++) {
-            if (now < window.currentAgenda[i].concludesAt.getTime()) {
-                return i;
-            }
-        }
-        
-        return window.currentAgenda.length - 1;
+        return window.timerEngine.getCurrentIndex();
     }
 
     /**
@@ -82,15 +73,133 @@ const SectionNavigator = (function() {
     }
 
     /**
-     * Jump to the next section
+     * Check whether any section of the current agenda has sub-sections
+     * @returns {boolean} True if there are sub-sections to step through
+     */
+    function hasChildren() {
+        return !!window.currentAgenda && window.currentAgenda.some(function(section) {
+            return section.children && section.children.length > 0;
+        });
+    }
+
+    /**
+     * List every place next/previous can land on: each section start and each
+     * sub-section start that doesn't coincide with its section's start
+     * @returns {Array<{sectionIndex: number, childIndex: (number|undefined), time: number}>} Stops in time order
+     */
+    function getStops() {
+        const stops = [];
+        window.currentAgenda.forEach(function(section, sectionIndex) {
+            const sectionStart = section.commencesAt.getTime();
+            stops.push({ sectionIndex: sectionIndex, childIndex: undefined, time: sectionStart });
+            (section.children || []).forEach(function(child, childIndex) {
+                const childStart = child.commencesAt.getTime();
+                if (childStart > sectionStart) {
+                    stops.push({ sectionIndex: sectionIndex, childIndex: childIndex, time: childStart });
+                }
+            });
+        });
+        return stops;
+    }
+
+    /**
+     * Find the stop the timer is currently in
+     * @param {Array} stops - Stops from getStops()
+     * @returns {number} Index into stops
+     */
+    function getCurrentStopIndex(stops) {
+        const sectionIndex = getCurrentSectionIndex();
+        const now = window.timerEngine.now();
+        let current = 0;
+        stops.forEach(function(stop, index) {
+            if (stop.sectionIndex < sectionIndex ||
+                (stop.sectionIndex === sectionIndex && stop.time <= now)) {
+                current = index;
+            }
+        });
+        return current;
+    }
+
+    /**
+     * Jump to a stop
+     * @param {Object} stop - Stop from getStops()
+     * @returns {boolean} True if navigation was successful
+     */
+    function jumpToStop(stop) {
+        if (stop.childIndex === undefined) {
+            return jumpToSection(stop.sectionIndex);
+        }
+        return jumpToChild(stop.sectionIndex, stop.childIndex);
+    }
+
+    /**
+     * Get the section held in overtime for manual advance
+     * @returns {number} Section index, or -1 if none is held
+     */
+    function getHeldIndex() {
+        return isRunning() ? window.timerEngine.getHeldIndex() : -1;
+    }
+
+    /**
+     * Check whether next can still move forward, including into sub-sections of the last section
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.skipChildren] - Only consider top-level sections
+     * @returns {boolean} True if there is somewhere to move to
+     */
+    function hasNext(options) {
+        if (!isRunning()) return false;
+        if (getHeldIndex() !== -1) return true;
+        if ((options && options.skipChildren) || !hasChildren()) {
+            return getCurrentSectionIndex() < getTotalSections() - 1;
+        }
+        const stops = getStops();
+        return getCurrentStopIndex(stops) < stops.length - 1;
+    }
+
+    /**
+     * Check whether previous can still move back, including out of a sub-section of the first section
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.skipChildren] - Only consider top-level sections
+     * @returns {boolean} True if there is somewhere to move to
+     */
+    function hasPrevious(options) {
+        if (!isRunning()) return false;
+        if ((options && options.skipChildren) || !hasChildren()) {
+            return getCurrentSectionIndex() > 0;
+        }
+        return getCurrentStopIndex(getStops()) > 0;
+    }
+
+    /**
+     * Jump to the next section, or the next sub-section within it
      * Requirements: 2.2, 2.5
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.skipChildren] - Skip over sub-sections to the next top-level section
      * @returns {boolean} True if navigation was successful
      */
-    function nextSection() {
+    function nextSection(options) {
         const currentIndex = getCurrentSectionIndex();
         const totalSections = getTotalSections();
         
         log('nextSection called, current:', currentIndex, 'total:', totalSections);
+
+        // A held section ends now and the rest of the agenda moves back by its overtime
+        if (getHeldIndex() !== -1 && typeof TimeAdjuster !== 'undefined' && TimeAdjuster.advanceHeldSection()) {
+            log('Advanced from held section', currentIndex);
+            highlightCurrentSection();
+            scrollToCurrentSection();
+            return true;
+        }
+
+        if (!(options && options.skipChildren) && hasChildren() && isRunning()) {
+            const stops = getStops();
+            const stopIndex = getCurrentStopIndex(stops);
+            if (stopIndex >= stops.length - 1) {
+                log('Already at last section');
+                return false;
+            }
+            return jumpToStop(stops[stopIndex + 1]);
+        }
         
         // Check boundary condition - already at last section
         if (currentIndex >= totalSections - 1) {
@@ -103,14 +212,26 @@ const SectionNavigator = (function() {
     }
 
     /**
-     * Jump to the previous section
+     * Jump to the previous section, or the previous sub-section
      * Requirements: 2.3, 2.5
+     * @param {Object} [options] - Navigation options
+     * @param {boolean} [options.skipChildren] - Skip over sub-sections to the previous top-level section
      * @returns {boolean} True if navigation was successful
      */
-    function previousSection() {
+    function previousSection(options) {
         const currentIndex = getCurrentSectionIndex();
         
         log('previousSection called, current:', currentIndex);
+
+        if (!(options && options.skipChildren) && hasChildren() && isRunning()) {
+            const stops = getStops();
+            const stopIndex = getCurrentStopIndex(stops);
+            if (stopIndex <= 0) {
+                log('Already at first section');
+                return false;
+            }
+            return jumpToStop(stops[stopIndex - 1]);
+        }
         
         // Check boundary condition - already at first section
         if (currentIndex <= 0) {
@@ -122,6 +243,41 @@ const SectionNavigator = (function() {
         return jumpToSection(prevIndex);
     }
 
+    /**
+     * Jump to a sub-section of a section
+     * @param {number} sectionIndex - 0-based section index
+     * @param {number} childIndex - 0-based sub-section index within that section
+     * @returns {boolean} True if navigation was successful
+     */
+    function jumpToChild(sectionIndex, childIndex) {
+        if (!isRunning()) {
+            log('Cannot jump: timer not running or no agenda');
+            return false;
+        }
+
+        const section = window.currentAgenda[sectionIndex];
+        if (!section || !section.children || !section.children[childIndex]) {
+            log('Cannot jump: invalid sub-section', sectionIndex, childIndex);
+            return false;
+        }
+
+        if (typeof window.jumpToSectionByIndex === 'function') {
+            if (!window.jumpToSectionByIndex(sectionIndex, childIndex)) {
+                log('Cannot jump past the section held for manual advance');
+                return false;
+            }
+            log('Jumped to sub-section', sectionIndex, childIndex);
+
+            highlightCurrentSection();
+            scrollToCurrentSection();
+
+            return true;
+        } else {
+            log('Error: jumpToSectionByIndex function not available');
+            return false;
+        }
+    }
+
     /**
      * Jump to a specific section by index
      * Requirements: 2.1, 2.4, 2.5, 2.6
@@ -129,7 +285,7 @@ const SectionNavigator = (function() {
      * @returns {boolean} True if navigation was successful
      */
     function jumpToSection(targetIndex) {
-        if (!window.currentAgenda || !window.running) {
+        if (!isRunning()) {
             log('Cannot jump: timer not running or no agenda');
             return false;
         }
@@ -144,7 +300,10 @@ const SectionNavigator = (function() {
         
         // Use the global jumpToSectionByIndex function
         if (typeof window.jumpToSectionByIndex === 'function') {
-            window.jumpToSectionByIndex(targetIndex);
+            if (!window.jumpToSectionByIndex(targetIndex)) {
+                log('Cannot jump past the section held for manual advance');
+                return false;
+            }
             log('Jumped to section', targetIndex);
             
             // Update UI to reflect new section
@@ -321,7 +480,10 @@ const SectionNavigator = (function() {
         getTotalSections: getTotalSections,
         nextSection: nextSection,
         previousSection: previousSection,
+        hasNext: hasNext,
+        hasPrevious: hasPrevious,
         jumpToSection: jumpToSection,
+        jumpToChild: jumpToChild,
         highlightCurrentSection: highlightCurrentSection,
         scrollToCurrentSection: scrollToCurrentSection,
         createSectionList: createSectionList
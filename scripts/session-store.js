@@ -0,0 +1,289 @@
+/**
+ * SessionStore Module
+ *
+ * Keeps a running meeting alive across page reloads. The session (agenda text,
+ * adjusted schedule, effective time, pause and hold state and adjustments) is saved to
+ * localStorage on every state change. On the next load the page offers to resume
+ * it, at the position the meeting would have reached had the page stayed open.
+ */
+
+const SessionStore = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'agenda_session';
+    // Bump when the saved shape changes; older sessions are discarded
+    const VERSION = 1;
+    // Sessions older than this are not offered for resuming
+    const MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+    // Times saved for every section and sub-section
+    const TIME_KEYS = ['commencesAt', 'concludesAt', 'plannedCommencesAt', 'plannedConcludesAt',
+        'actualCommencesAt', 'actualConcludesAt'];
+
+    // Events after which the session is saved
+    const SAVE_EVENTS = ['meeting:start', 'section:enter', 'pause', 'resume', 'adjust', 'jump'];
+
+    /**
+     * Convert a Date to milliseconds for storage
+     * @param {Date|undefined} date - Date or nothing
+     * @returns {number|null} Milliseconds since epoch, or null
+     */
+    function toTime(date) {
+        return date instanceof Date ? date.getTime() : null;
+    }
+
+    /**
+     * Convert stored milliseconds back to a Date
+     * @param {number|null} time - Milliseconds since epoch, or null
+     * @returns {Date|undefined} Date, or undefined when nothing was stored
+     */
+    function toDate(time) {
+        return typeof time === 'number' ? new Date(time) : undefined;
+    }
+
+    /**
+     * Capture the times of a section or sub-section
+     * @param {Object} item - Agenda item
+     * @returns {Object} Times in ms, null where unset
+     */
+    function captureTimes(item) {
+        const times = {};
+        TIME_KEYS.forEach(function(key) {
+            times[key] = toTime(item[key]);
+        });
+        return times;
+    }
+
+    /**
+     * Put captured times back on a section or sub-section
+     * @param {Object} item - Agenda item
+     * @param {Object} times - From captureTimes
+     */
+    function restoreTimes(item, times) {
+        TIME_KEYS.forEach(function(key) {
+            const date = toDate(times[key]);
+            if (date) {
+                item[key] = date;
+            } else if (key !== 'commencesAt' && key !== 'concludesAt') {
+                delete item[key];
+            }
+        });
+    }
+
+    /**
+     * Describe a running meeting so it can be saved
+     * @param {Object} engine - TimerEngine of the meeting
+     * @param {Array} agenda - The meeting's agenda items
+     * @param {{text: string, startedAt: number}} run - Agenda text and wall-clock start of the run
+     * @returns {Object} Session
+     */
+    function capture(engine, agenda, run) {
+        return {
+            version: VERSION,
+            text: run.text,
+            startedAt: run.startedAt,
+            savedAt: Date.now(),
+            effectiveAt: engine.now(),
+            paused: engine.isPaused(),
+            releasedThrough: engine.getReleasedThrough(),
+            adjustments: typeof TimeAdjuster !== 'undefined' ? TimeAdjuster.getTotalAdjustments() : 0,
+            sections: agenda.map(function(section) {
+                return Object.assign(captureTimes(section), {
+                    children: (section.children || []).map(captureTimes)
+                });
+            })
+        };
+    }
+
+    /**
+     * Write a session to localStorage
+     * @param {Object} session - From capture()
+     * @returns {boolean} Whether it was saved
+     */
+    function save(session) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+            return true;
+        } catch (error) {
+            console.error('💾 Error saving session:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Save the meeting that is running now, if any
+     * @returns {boolean} Whether a session was saved
+     */
+    function saveCurrent() {
+        const engine = window.timerEngine;
+        const run = window.lastRun;
+        if (!engine || !window.currentAgenda || !run) {
+            return false;
+        }
+        return save(capture(engine, window.currentAgenda, run));
+    }
+
+    /**
+     * Forget the saved session
+     */
+    function clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.error('💾 Error clearing session:', error);
+        }
+    }
+
+    /**
+     * Read the saved session, discarding it if it is unreadable or too old
+     * @param {number} [wallNow] - Current wall-clock time in ms, defaults to Date.now()
+     * @returns {Object|null} Session, or null if there is none to resume
+     */
+    function load(wallNow) {
+        let session = null;
+        try {
+            session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.error('💾 Error loading session:', error);
+        }
+        if (!session) {
+            clear();
+            return null;
+        }
+
+        const now = wallNow === undefined ? Date.now() : wallNow;
+        const valid = session.version === VERSION &&
+            typeof session.text === 'string' &&
+            typeof session.savedAt === 'number' &&
+            typeof session.effectiveAt === 'number' &&
+            Array.isArray(session.sections) &&
+            now - session.savedAt <= MAX_AGE_MS;
+        if (!valid) {
+            console.log('💾 Discarding stale saved session');
+            clear();
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Work out where a saved meeting has got to. A running meeting kept going
+     * while the page was gone; a paused one stayed where it was.
+     * @param {Object} session - From load()
+     * @param {number} wallNow - Current wall-clock time in ms
+     * @returns {number} Effective time to resume at, in ms since epoch
+     */
+    function getResumeTime(session, wallNow) {
+        if (session.paused) {
+            return session.effectiveAt;
+        }
+        return session.effectiveAt + Math.max(0, wallNow - session.savedAt);
+    }
+
+    /**
+     * Put a saved schedule back on a freshly parsed agenda
+     * @param {Array} agenda - Items parsed from session.text
+     * @param {Object} session - From load()
+     * @returns {boolean} False if the agenda does not have the saved shape
+     */
+    function applySchedule(agenda, session) {
+        const sections = session.sections;
+        const matches = sections.length === agenda.length && agenda.every(function(section, i) {
+            return (section.children || []).length === (sections[i].children || []).length;
+        });
+        if (!matches) {
+            return false;
+        }
+
+        agenda.forEach(function(section, i) {
+            restoreTimes(section, sections[i]);
+            (section.children || []).forEach(function(child, j) {
+                restoreTimes(child, sections[i].children[j]);
+            });
+        });
+        return true;
+    }
+
+    /**
+     * Save the session on every timer state change, and forget it when the meeting stops
+     * @param {Object} bus - TimerEvents
+     * @returns {Function} Call to stop saving
+     */
+    function attach(bus) {
+        const offs = SAVE_EVENTS.map(function(name) {
+            return bus.on(name, saveCurrent);
+        });
+        offs.push(bus.on('meeting:stop', clear));
+        return function() {
+            offs.forEach(function(off) { off(); });
+        };
+    }
+
+    /**
+     * Offer to resume a saved session above the agenda textarea
+     * @param {Object} session - From load()
+     * @param {Function} onResume - Called with the session when the user resumes
+     * @returns {HTMLElement|null} The prompt, or null without a textarea wrapper
+     */
+    function showResumePrompt(session, onResume) {
+        const wrapper = document.getElementById('textarea-wrapper');
+        if (!wrapper) {
+            return null;
+        }
+
+        const existing = wrapper.querySelector('.resume-banner');
+        if (existing) existing.remove();
+
+        const banner = document.createElement('div');
+        banner.className = 'resume-banner';
+        banner.setAttribute('role', 'alert');
+
+        const message = document.createElement('span');
+        const savedAt = new Date(session.savedAt).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'});
+        message.textContent = (session.paused ? 'A paused meeting' : 'A running meeting') +
+            ' was interrupted at ' + savedAt + '.';
+        banner.appendChild(message);
+
+        const resume = document.createElement('button');
+        resume.className = 'resume-button';
+        resume.textContent = 'Resume';
+        resume.addEventListener('click', function() {
+            banner.remove();
+            onResume(session);
+        });
+        banner.appendChild(resume);
+
+        const discard = document.createElement('button');
+        discard.className = 'discard-button';
+        discard.textContent = 'Discard';
+        discard.addEventListener('click', function() {
+            banner.remove();
+            clear();
+        });
+        banner.appendChild(discard);
+
+        wrapper.appendChild(banner);
+        return banner;
+    }
+
+    // Public API
+    return {
+        STORAGE_KEY: STORAGE_KEY,
+        VERSION: VERSION,
+        MAX_AGE_MS: MAX_AGE_MS,
+        capture: capture,
+        save: save,
+        saveCurrent: saveCurrent,
+        clear: clear,
+        load: load,
+        getResumeTime: getResumeTime,
+        applySchedule: applySchedule,
+        attach: attach,
+        showResumePrompt: showResumePrompt
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+}
@@ -1,7 +1,7 @@
 /**
  * TimeAdjuster Module
  * Provides manual time adjustment capabilities for the timer
- * Integrates with the existing timer architecture using timeOffset
+ * Changes go through the running meeting's TimerEngine, which owns the schedule
  * 
  * Requirements: 3.1, 3.2, 3.3, 3.4, 3.5, 4.5, 5.6, 5.7
  */
@@ -22,6 +22,10 @@
     let adjustmentLock = false;
     const LOCK_TIMEOUT = 50; // ms
 
+    // How long the warning that FINISH moved stays up
+    const END_WARNING_MS = 5000;
+    let endWarningTimer = null;
+
     const TimeAdjuster = {
         /**
          * Add time to the current timer
@@ -64,9 +68,8 @@
                 return false;
             }
 
-            // Get current agenda
-            const agenda = window.currentAgenda;
-            if (!agenda || agenda.length === 0) {
+            // The running meeting's TimerEngine owns the schedule
+            if (!window.timerEngine) {
                 console.warn('TimeAdjuster: No agenda available');
                 return false;
             }
@@ -78,61 +81,18 @@
                 // Convert seconds to milliseconds
                 const deltaMs = deltaSeconds * 1000;
 
-                // Find the current section
-                const currentIndex = this._getCurrentSectionIndex();
-                const currentSection = agenda[currentIndex];
-                
-                if (!currentSection) {
-                    console.warn('TimeAdjuster: No current section found');
+                const engine = window.timerEngine;
+                // Before the start the whole agenda moves, rather than the current section
+                const changedIndex = engine.getSnapshot().started ? engine.getCurrentIndex() : -1;
+                const appliedMs = engine.adjust(deltaMs);
+                if (appliedMs === 0) {
+                    console.log('TimeAdjuster: Nothing to adjust');
                     return false;
                 }
-
-                // Calculate current time remaining in this section
-                const effectiveTime = this.getCurrentEffectiveTime();
-                const currentTimeRemaining = currentSection.concludesAt.getTime() - effectiveTime;
-                
-                // For subtraction, ensure we don't go below minimum (5 seconds remaining)
-                // Requirements: 3.5
-                const MIN_REMAINING_MS = 5000; // 5 seconds minimum
-                if (deltaSeconds < 0) {
-                    const newTimeRemaining = currentTimeRemaining + deltaMs; // deltaMs is negative
-                    if (newTimeRemaining < MIN_REMAINING_MS) {
-                        // Clamp to minimum
-                        const clampedDelta = -(currentTimeRemaining - MIN_REMAINING_MS);
-                        if (clampedDelta >= 0) {
-                            console.log('TimeAdjuster: Already at minimum time remaining');
-                            return false;
-                        }
-                        // Use clamped delta instead
-                        this._adjustSectionDurations(currentIndex, clampedDelta);
-                        console.log('TimeAdjuster: Clamped to minimum 5 seconds remaining');
-                    } else {
-                        this._adjustSectionDurations(currentIndex, deltaMs);
-                    }
-                } else {
-                    // For addition, just extend the section
-                    this._adjustSectionDurations(currentIndex, deltaMs);
-                }
-
-                // Track adjustment
-                adjustmentState.totalAdjustments += deltaMs;
-                adjustmentState.lastAdjustmentTime = Date.now();
-
-                // Record adjustment in StateManager (Requirements: 7.4, 7.5)
-                if (typeof StateManager !== 'undefined') {
-                    StateManager.recordAdjustment(deltaMs);
-                }
-
-                // Update displays immediately (Requirements: 3.6, 3.7)
-                this._triggerDisplayUpdate();
-
-                // Check if adjustment caused timer to complete (Requirements: 7.5)
-                // This handles edge case of adjusting past end time
-                this._checkCompletionAfterAdjustment();
-
-                console.log('TimeAdjuster: Extended/shortened section', currentIndex, 'by', deltaSeconds, 'seconds');
+                this._protectEndTime(changedIndex, appliedMs);
+                this._recordAdjustment(appliedMs);
+                console.log('TimeAdjuster: Engine adjusted schedule by', appliedMs, 'ms');
                 return true;
-
             } finally {
                 // Release lock after timeout
                 setTimeout(function() {
@@ -142,32 +102,101 @@
         },
 
         /**
-         * Adjust section durations by extending/shortening current section and shifting subsequent sections
-         * Requirements: 3.3, 3.4
-         * @param {number} sectionIndex - Index of the section to adjust
-         * @param {number} deltaMs - Milliseconds to add (positive) or subtract (negative)
+         * End a section held for manual advance now. Its overtime is added to it,
+         * so every later section moves back by the same amount.
+         * @returns {boolean} Whether a held section was released
+         */
+        advanceHeldSection: function() {
+            const engine = window.timerEngine;
+            const index = engine && window.running ? engine.getHeldIndex() : -1;
+            if (index === -1) {
+                return false;
+            }
+
+            // The held section is the current one, so adjust() gives it its overtime
+            const overtimeMs = engine.adjust(engine.now() - window.currentAgenda[index].concludesAt.getTime());
+            this._protectEndTime(index, overtimeMs);
+            engine.release(index);
+            if (overtimeMs > 0) {
+                this._recordAdjustment(overtimeMs);
+            }
+
+            console.log('TimeAdjuster: Advanced from held section', index, 'after', overtimeMs, 'ms overtime');
+            return true;
+        },
+
+        /**
+         * With EndTimeProtection on, make up time given to a section (or lost by it) from the
+         * sections after it, so FINISH stays put. Warns when they cannot spare enough.
+         * @param {number} index - Section that changed; -1 after the whole agenda moved
+         * @param {number} deltaMs - Milliseconds it was given (positive) or lost (negative)
          * @private
          */
-        _adjustSectionDurations: function(sectionIndex, deltaMs) {
-            const agenda = window.currentAgenda;
-            if (!agenda || sectionIndex < 0 || sectionIndex >= agenda.length) {
+        _protectEndTime: function(index, deltaMs) {
+            if (typeof EndTimeProtection === 'undefined' || !EndTimeProtection.isEnabled() || !window.timerEngine) {
                 return;
             }
+            const movedMs = window.timerEngine.rebalance(index, deltaMs);
+            if (movedMs > 0) {
+                this._warnEndMoved(movedMs);
+            }
+        },
 
-            // Extend/shorten the current section's end time
-            const currentSection = agenda[sectionIndex];
-            const newEndTime = new Date(currentSection.concludesAt.getTime() + deltaMs);
-            currentSection.concludesAt = newEndTime;
+        /**
+         * Tell the presenter the end time could not be protected
+         * @param {number} movedMs - Milliseconds FINISH moved later by
+         * @private
+         */
+        _warnEndMoved: function(movedMs) {
+            console.warn('TimeAdjuster: Later sections cannot spare the time, FINISH moves', movedMs, 'ms later');
+            const ticker = document.getElementById('ticker');
+            if (!ticker) {
+                return;
+            }
 
-            // Shift all subsequent sections by the same amount (Requirements: 3.3, 3.4)
-            for (let i = sectionIndex + 1; i < agenda.length; i++) {
-                const section = agenda[i];
-                section.commencesAt = new Date(section.commencesAt.getTime() + deltaMs);
-                section.concludesAt = new Date(section.concludesAt.getTime() + deltaMs);
+            let warning = document.getElementById('end-time-warning');
+            if (!warning) {
+                warning = document.createElement('div');
+                warning.id = 'end-time-warning';
+                warning.className = 'end-time-warning';
+                warning.setAttribute('role', 'alert');
+                ticker.appendChild(warning);
             }
+            warning.textContent = 'Later sections cannot spare the time: FINISH moves ' +
+                TimeUtils.formatLength(movedMs) + ' later';
+            warning.style.display = '';
+
+            clearTimeout(endWarningTimer);
+            endWarningTimer = setTimeout(function() {
+                warning.style.display = 'none';
+            }, END_WARNING_MS);
+        },
 
-            console.log('TimeAdjuster: Adjusted section', sectionIndex, 'end time and shifted', 
-                        agenda.length - sectionIndex - 1, 'subsequent sections by', deltaMs, 'ms');
+        /**
+         * Track an adjustment and refresh the displays
+         * @param {number} deltaMs - Milliseconds added (positive) or removed (negative)
+         * @private
+         */
+        _recordAdjustment: function(deltaMs) {
+            // Track adjustment
+            adjustmentState.totalAdjustments += deltaMs;
+            adjustmentState.lastAdjustmentTime = TimeUtils.now();
+
+            // Record adjustment in StateManager (Requirements: 7.4, 7.5)
+            if (typeof StateManager !== 'undefined') {
+                StateManager.recordAdjustment(deltaMs);
+            }
+
+            if (typeof TimerEvents !== 'undefined' && window.timerEngine) {
+                TimerEvents.emit('adjust', TimerEvents.describe(window.timerEngine, {deltaMs: deltaMs}));
+            }
+
+            // Update displays immediately (Requirements: 3.6, 3.7)
+            this._triggerDisplayUpdate();
+
+            // Check if adjustment caused timer to complete (Requirements: 7.5)
+            // This handles edge case of adjusting past end time
+            this._checkCompletionAfterAdjustment();
         },
 
         /**
@@ -175,16 +204,8 @@
          * @returns {number} Current effective time in ms since epoch
          */
         getCurrentEffectiveTime: function() {
-            const now = Date.now();
-            const offset = typeof window.timeOffset !== 'undefined' ? window.timeOffset : 0;
-            
-            // Exclude paused duration if PauseController is available
-            let pausedDuration = 0;
-            if (typeof PauseController !== 'undefined') {
-                pausedDuration = PauseController.getPausedDuration();
-            }
-            
-            return now + offset - pausedDuration;
+            // The engine's time includes section jumps and excludes paused time
+            return window.timerEngine ? window.timerEngine.now() : TimeUtils.now();
         },
 
         /**
@@ -213,6 +234,16 @@
             console.log('TimeAdjuster: State reset');
         },
 
+        /**
+         * Carry over the adjustment total of a meeting resumed after a reload.
+         * The adjusted schedule itself is restored with the session.
+         * @param {number} totalMs - Total adjustments in ms when the session was saved
+         */
+        restoreAdjustments: function(totalMs) {
+            adjustmentState.totalAdjustments = totalMs || 0;
+            adjustmentState.lastAdjustmentTime = null;
+        },
+
         /**
          * Check if timer should complete after adjustment
          * Requirements: 7.5
@@ -286,20 +317,8 @@
          * @returns {number} Current section index
          */
         _getCurrentSectionIndex: function() {
-            const agenda = window.currentAgenda;
-            if (!agenda || agenda.length === 0) {
-                return 0;
-            }
-
-            const effectiveTime = this.getCurrentEffectiveTime();
-
-            for (let i = 0; i < agenda.length; i++) {
-                if (effectiveTime < agenda[i].concludesAt.getTime()) {
-                    return i;
-                }
-            }
-
-            return agenda.length - 1;
+            // The engine knows which sections are held for manual advance
+            return window.timerEngine ? window.timerEngine.getCurrentIndex() : 0;
         },
 
         /**
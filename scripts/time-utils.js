@@ -0,0 +1,54 @@
+/**
+ * TimeUtils Module
+ *
+ * Time source and formatting shared by the timer scripts, so they all read the
+ * same clock and write lengths the same way. Load it after clock.js and before
+ * the scripts that use it.
+ */
+
+const TimeUtils = (function() {
+    'use strict';
+
+    /**
+     * Get the current time from the monotonic Clock, or the wall clock without it
+     * @returns {number} Time in ms since epoch
+     */
+    function now() {
+        return typeof Clock !== 'undefined' ? Clock.now() : Date.now();
+    }
+
+    /**
+     * Pad a number to two digits
+     * @param {number} number - Number to pad
+     * @returns {string} Padded number
+     */
+    function pad(number) {
+        return String(number).padStart(2, '0');
+    }
+
+    /**
+     * Format a length as M:SS, or H:MM:SS from an hour up
+     * @param {number} ms - Length in milliseconds; the sign is dropped
+     * @param {boolean} [withHours] - Always write the hours, e.g. 0:05:00
+     * @returns {string} Formatted length
+     */
+    function formatLength(ms, withHours) {
+        const totalSeconds = Math.round(Math.abs(ms) / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return hours > 0 || withHours ? hours + ':' + pad(minutes) + ':' + pad(seconds) : minutes + ':' + pad(seconds);
+    }
+
+    // Public API
+    return {
+        now: now,
+        pad: pad,
+        formatLength: formatLength
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeUtils;
+}
@@ -3,6 +3,7 @@
  * 
  * Provides traffic light color system for timer display based on remaining time.
  * Colors: green (>30s), yellow (10-30s), red (<10s), overtime (<=0)
+ * Sections can override the yellow and red thresholds from the agenda text.
  * 
  * Requirements: 3.1, 3.2, 3.3, 3.4, 3.6
  */
@@ -34,12 +35,15 @@ const TimeWarnings = (function() {
     /**
      * Get the appropriate warning class based on remaining time
      * @param {number} remainingMs - Remaining time in milliseconds
+     * @param {Object} [thresholds] - Per-section overrides: warn (yellow) and critical (red) in milliseconds
      * @returns {string} CSS class name for the warning state
      */
-    function getWarningClass(remainingMs) {
+    function getWarningClass(remainingMs, thresholds) {
+        const yellow = thresholds && thresholds.warn !== undefined ? thresholds.warn : THRESHOLDS.YELLOW;
+        const red = thresholds && thresholds.critical !== undefined ? thresholds.critical : THRESHOLDS.RED;
         if (remainingMs <= 0) return 'warning-overtime';
-        if (remainingMs <= THRESHOLDS.RED) return 'warning-red';
-        if (remainingMs <= THRESHOLDS.YELLOW) return 'warning-yellow';
+        if (remainingMs <= red) return 'warning-red';
+        if (remainingMs <= yellow) return 'warning-yellow';
         return 'warning-green';
     }
 
@@ -47,8 +51,9 @@ const TimeWarnings = (function() {
      * Apply warning state to a DOM element
      * @param {HTMLElement} element - The element to apply warning to
      * @param {number} remainingMs - Remaining time in milliseconds
+     * @param {Object} [thresholds] - Per-section overrides, see getWarningClass
      */
-    function applyWarning(element, remainingMs) {
+    function applyWarning(element, remainingMs, thresholds) {
         if (!element) return;
 
         // Remove all existing warning classes
@@ -57,7 +62,7 @@ const TimeWarnings = (function() {
         });
 
         // Add the appropriate warning class
-        const warningClass = getWarningClass(remainingMs);
+        const warningClass = getWarningClass(remainingMs, thresholds);
         element.classList.add(warningClass);
     }
 
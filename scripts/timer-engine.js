@@ -0,0 +1,593 @@
+/**
+ * TimerEngine Module
+ *
+ * DOM-free countdown for a parsed agenda. An engine owns the effective time of one
+ * run (wall clock plus section jumps, minus paused time) and answers which section
+ * is current and how long it has left. It can seek, pause and adjust the schedule.
+ * The ticker and other displays subscribe to its snapshots.
+ *
+ * A section marked manualAdvance is held once its time is up: it stays current, in
+ * overtime, until release() lets the run move on.
+ *
+ * rebalance() keeps the end of the agenda in place after adjust(), by resizing the
+ * sections still to come.
+ *
+ * Every tick() also works out the alerts due: the warning before a section ends and
+ * the repeated overtime alert (snapshot.alerts), so embedders get them without a DOM.
+ *
+ * The clock is injectable, so the engine runs in Node or tests with a fake clock:
+ *   const engine = TimerEngine.create(Agenda.parse(text), {now: () => fakeNow});
+ */
+
+const TimerEngine = (function() {
+    'use strict';
+
+    // Land this far into a section when seeking, so it is clearly the current one
+    const SEEK_BUFFER_MS = 100;
+    // Shortening a section never leaves it with less than this
+    const MIN_REMAINING_MS = 5000;
+    // The warning alert is due this long before a section ends, unless the section sets {critical: ...}
+    const WARNING_MS = 10000;
+    // While a section is over its time, the overtime alert is due again this often
+    const OVERTIME_REPEAT_MS = 30000;
+
+    // Default clock: the monotonic Clock when loaded, otherwise the wall clock
+    const SYSTEM_CLOCK = {
+        now: function() {
+            return TimeUtils.now();
+        }
+    };
+
+    /**
+     * Get how long before a section ends its warning alert is due
+     * @param {Object} section - Agenda item, maybe with thresholds from {critical: ...}
+     * @returns {number} Milliseconds
+     */
+    function getWarningMs(section) {
+        return section.thresholds && section.thresholds.critical !== undefined ?
+            section.thresholds.critical : WARNING_MS;
+    }
+
+    /**
+     * Create the alert rules for one run. A section gets its warning once, and again only
+     * after time was added back above the threshold; a section over its time gets the
+     * overtime alert at once, then every OVERTIME_REPEAT_MS. Moving to another section
+     * starts both over.
+     * @returns {Object} Alerts: check(moment), reset(), getState() and setState(state)
+     */
+    function createAlerts() {
+        let lastSectionIndex = -1;
+        let lastWarningTriggered = false;
+        // When the last overtime alert was due, 0 for none since the section went over
+        let lastOvertimeAlert = 0;
+
+        /**
+         * Work out which alerts are due at a moment of the run
+         * @param {Object} moment - index, remaining (ms), now (ms), and optionally warningMs
+         *     (default WARNING_MS) and overtime (default: remaining <= 0)
+         * @returns {Object} sectionEnd, warning and overtime, true for each alert that is due
+         */
+        function check(moment) {
+            const warningMs = moment.warningMs !== undefined ? moment.warningMs : WARNING_MS;
+            const overtime = moment.overtime !== undefined ? moment.overtime : moment.remaining <= 0;
+            const due = {sectionEnd: false, warning: false, overtime: false};
+
+            if (moment.index !== lastSectionIndex) {
+                due.sectionEnd = lastSectionIndex !== -1;
+                lastWarningTriggered = false;
+                lastOvertimeAlert = 0;
+            }
+            lastSectionIndex = moment.index;
+
+            if (moment.remaining > warningMs) {
+                // Re-arm, e.g. after time was added
+                lastWarningTriggered = false;
+            } else if (moment.remaining > 0 && !lastWarningTriggered) {
+                lastWarningTriggered = true;
+                due.warning = true;
+            }
+
+            if (!overtime) {
+                lastOvertimeAlert = 0;
+            } else if (lastOvertimeAlert === 0 || moment.now - lastOvertimeAlert >= OVERTIME_REPEAT_MS) {
+                lastOvertimeAlert = moment.now;
+                due.overtime = true;
+            }
+            return due;
+        }
+
+        /**
+         * Forget every alert, as at the start of a run
+         */
+        function reset() {
+            lastSectionIndex = -1;
+            lastWarningTriggered = false;
+            lastOvertimeAlert = 0;
+        }
+
+        /**
+         * Get the alert state
+         * @returns {Object} lastSectionIndex, lastWarningTriggered and lastOvertimeAlert
+         */
+        function getState() {
+            return {
+                lastWarningTriggered: lastWarningTriggered,
+                lastSectionIndex: lastSectionIndex,
+                lastOvertimeAlert: lastOvertimeAlert
+            };
+        }
+
+        /**
+         * Set any part of the alert state
+         * @param {Object} state - Fields as returned by getState()
+         */
+        function setState(state) {
+            if (typeof state.lastWarningTriggered === 'boolean') {
+                lastWarningTriggered = state.lastWarningTriggered;
+            }
+            if (typeof state.lastSectionIndex === 'number') {
+                lastSectionIndex = state.lastSectionIndex;
+            }
+            if (typeof state.lastOvertimeAlert === 'number') {
+                lastOvertimeAlert = state.lastOvertimeAlert;
+            }
+        }
+
+        return {
+            check: check,
+            reset: reset,
+            getState: getState,
+            setState: setState
+        };
+    }
+
+    /**
+     * Find the sub-section of a section that has started most recently
+     * @param {Object} section - Agenda item, possibly with children
+     * @param {number} at - Effective time in ms since epoch
+     * @returns {number} Index of the child, or -1 if none has started
+     */
+    function getChildIndexAt(section, at) {
+        const children = (section && section.children) || [];
+        let index = -1;
+        for (let i = 0; i < children.length; i++) {
+            if (at >= children[i].commencesAt.getTime()) index = i;
+        }
+        return index;
+    }
+
+    /**
+     * Move a section and its sub-sections by the same amount
+     * @param {Object} section - Agenda item
+     * @param {number} deltaMs - Milliseconds to shift by
+     */
+    function shiftSection(section, deltaMs) {
+        section.commencesAt = new Date(section.commencesAt.getTime() + deltaMs);
+        section.concludesAt = new Date(section.concludesAt.getTime() + deltaMs);
+        (section.children || []).forEach(function(child) {
+            child.commencesAt = new Date(child.commencesAt.getTime() + deltaMs);
+            child.concludesAt = new Date(child.concludesAt.getTime() + deltaMs);
+        });
+    }
+
+    /**
+     * Move a section to a new start and length, stretching its sub-sections to match
+     * @param {Object} section - Agenda item
+     * @param {number} start - New start in ms since epoch
+     * @param {number} length - New length in ms
+     */
+    function resizeSection(section, start, length) {
+        const oldStart = section.commencesAt.getTime();
+        const oldLength = section.concludesAt.getTime() - oldStart;
+        const scale = oldLength > 0 ? length / oldLength : 1;
+        const place = function(time) {
+            return new Date(start + Math.round((time.getTime() - oldStart) * scale));
+        };
+        (section.children || []).forEach(function(child) {
+            child.commencesAt = place(child.commencesAt);
+            child.concludesAt = place(child.concludesAt);
+        });
+        section.commencesAt = new Date(start);
+        section.concludesAt = new Date(start + length);
+    }
+
+    /**
+     * Get how much time can be taken from a section
+     * @param {Object} section - Agenda item, maybe fixed or with a minDuration
+     * @param {number} length - Its length in ms
+     * @returns {number} Milliseconds it can give up
+     */
+    function getSpareTime(section, length) {
+        if (section.fixed) return 0;
+        return Math.max(0, length - Math.max(section.minDuration || 0, MIN_REMAINING_MS));
+    }
+
+    /**
+     * Share out time to take from sections in proportion to their lengths, without taking
+     * more than any of them can spare
+     * @param {Array<number>} lengths - Section lengths in ms
+     * @param {Array<number>} spare - Time each section can give up, in ms
+     * @param {number} amountMs - Time to take
+     * @returns {Array<number>} Time to take from each section
+     */
+    function shareOut(lengths, spare, amountMs) {
+        const taken = lengths.map(function() { return 0; });
+        let open = lengths.map(function(length, i) { return spare[i] > 0; });
+        let left = amountMs;
+        // Sections that run out of spare time drop out and the rest share what is left
+        // (less than a millisecond left over is rounding, not time to find)
+        while (left > 0.5 && open.indexOf(true) !== -1) {
+            const total = lengths.reduce(function(sum, length, i) { return open[i] ? sum + length : sum; }, 0);
+            let round = 0;
+            lengths.forEach(function(length, i) {
+                if (!open[i]) return;
+                const take = Math.min(spare[i] - taken[i], left * length / total);
+                taken[i] += take;
+                round += take;
+                if (taken[i] >= spare[i]) open[i] = false;
+            });
+            left -= round;
+        }
+        return taken;
+    }
+
+    /**
+     * Create an engine for one run of an agenda
+     * @param {Array} agenda - Items from Agenda.parse; their times are updated in place by adjust(),
+     *     and the original times kept as plannedCommencesAt/plannedConcludesAt
+     * @param {{now: function(): number}} [clock] - Time source in ms since epoch
+     * @returns {Object} Engine
+     */
+    function create(agenda, clock) {
+        clock = clock || SYSTEM_CLOCK;
+
+        // Remember the schedule as written, before adjust() moves it
+        agenda.forEach(function(section) {
+            section.plannedCommencesAt = section.commencesAt;
+            section.plannedConcludesAt = section.concludesAt;
+        });
+
+        let offset = 0;          // Section jumps, in ms
+        let pausedAt = null;     // Clock time when paused, or null
+        let pausedTotal = 0;     // Finished pauses, in ms
+        let releasedThrough = -1; // Sections up to this index are no longer held
+        let listeners = [];
+        const alerts = createAlerts();
+
+        /**
+         * Get the paused time so far, including a pause in progress
+         * @returns {number} Milliseconds
+         */
+        function getPausedDuration() {
+            return pausedTotal + (pausedAt !== null ? clock.now() - pausedAt : 0);
+        }
+
+        /**
+         * Get how long the pause in progress has lasted
+         * @returns {number} Milliseconds, 0 when not paused
+         */
+        function getPauseLength() {
+            return pausedAt !== null ? clock.now() - pausedAt : 0;
+        }
+
+        /**
+         * Get the effective time: where the run is in the schedule
+         * @returns {number} Milliseconds since epoch, comparable with section times
+         */
+        function now() {
+            return clock.now() + offset - getPausedDuration();
+        }
+
+        /**
+         * Check whether a section waits for release() once its time is up
+         * @param {number} index - Section index
+         * @returns {boolean} True for a manual-advance section not released yet
+         */
+        function holds(index) {
+            return !!agenda[index].manualAdvance && index > releasedThrough;
+        }
+
+        /**
+         * Find the section that has not concluded yet at a given time, or is held
+         * @param {number} at - Effective time
+         * @returns {number} Section index, or agenda.length once every section has concluded
+         */
+        function findIndex(at) {
+            let index = 0;
+            while (index < agenda.length && at >= agenda[index].concludesAt.getTime() && !holds(index)) {
+                index++;
+            }
+            return index;
+        }
+
+        /**
+         * Get the section held in overtime waiting for release()
+         * @returns {number} Section index, or -1 if none is held
+         */
+        function getHeldIndex() {
+            const at = now();
+            const index = findIndex(at);
+            return index < agenda.length && at >= agenda[index].concludesAt.getTime() ? index : -1;
+        }
+
+        /**
+         * Let held sections move on
+         * @param {number} index - Release every section up to and including this one
+         */
+        function release(index) {
+            releasedThrough = Math.max(releasedThrough, index);
+        }
+
+        /**
+         * Get the current section, staying on the last one after the end
+         * @returns {number} Section index
+         */
+        function getCurrentIndex() {
+            return Math.min(findIndex(now()), agenda.length - 1);
+        }
+
+        /**
+         * Get the sub-section of the current section that has started most recently
+         * @returns {number} Sub-section index, or -1 if none has started
+         */
+        function getCurrentChildIndex() {
+            const at = now();
+            return getChildIndexAt(agenda[Math.min(findIndex(at), agenda.length - 1)], at);
+        }
+
+        /**
+         * Get the time left in the current section
+         * @returns {number} Milliseconds, negative once a held or the last section has overrun
+         */
+        function getRemaining() {
+            return agenda[getCurrentIndex()].concludesAt.getTime() - now();
+        }
+
+        /**
+         * Describe the state of the run at this moment
+         * @returns {Object} Snapshot with now, startsIn, started, finished, held, isPaused,
+         *     index, section, childIndex, remaining and elapsed
+         */
+        function getSnapshot() {
+            const at = now();
+            const position = findIndex(at);
+            const index = Math.min(position, agenda.length - 1);
+            const section = agenda[index];
+            const startsIn = Math.max(0, agenda[0].commencesAt.getTime() - at);
+            return {
+                now: at,
+                startsIn: startsIn,
+                started: startsIn === 0,
+                finished: position >= agenda.length,
+                held: position < agenda.length && at >= section.concludesAt.getTime(),
+                isPaused: pausedAt !== null,
+                index: index,
+                section: section,
+                childIndex: getChildIndexAt(section, at),
+                remaining: section.concludesAt.getTime() - at,
+                elapsed: at - section.commencesAt.getTime()
+            };
+        }
+
+        /**
+         * Move the run to a given effective time
+         * @param {number} time - Target effective time in ms since epoch
+         */
+        function seekTo(time) {
+            offset += time - now();
+        }
+
+        /**
+         * Jump to the start of a section, or of one of its sub-sections.
+         * Held sections before it are released; it and later ones hold again.
+         * Only release() moves on from a section held in overtime, so while one is held
+         * a jump past it is refused; every jump path goes through this check.
+         * @param {number} index - Section index
+         * @param {number} [childIndex] - Sub-section index within the section
+         * @returns {boolean} True if the target exists and is not past a held section
+         */
+        function seek(index, childIndex) {
+            let target = agenda[index];
+            if (!target) return false;
+            const heldIndex = getHeldIndex();
+            if (heldIndex !== -1 && index > heldIndex) return false;
+            if (childIndex !== undefined && target.children && target.children[childIndex]) {
+                target = target.children[childIndex];
+            }
+            releasedThrough = index - 1;
+            seekTo(target.commencesAt.getTime() + SEEK_BUFFER_MS);
+            return true;
+        }
+
+        /**
+         * Freeze the effective time
+         * @returns {boolean} False if already paused
+         */
+        function pause() {
+            if (pausedAt !== null) return false;
+            pausedAt = clock.now();
+            return true;
+        }
+
+        /**
+         * Let the effective time run again
+         * @returns {boolean} False if not paused
+         */
+        function resume() {
+            if (pausedAt === null) return false;
+            pausedTotal += clock.now() - pausedAt;
+            pausedAt = null;
+            return true;
+        }
+
+        /**
+         * Give the current section more or less time, moving every later section with it.
+         * Before the first section starts the whole agenda moves instead, never to before now.
+         * @param {number} deltaMs - Milliseconds to add (positive) or remove (negative)
+         * @returns {number} Milliseconds actually applied, 0 if nothing changed
+         */
+        function adjust(deltaMs) {
+            const at = now();
+            const startsIn = agenda[0].commencesAt.getTime() - at;
+            if (startsIn > 0) {
+                const shiftMs = Math.max(deltaMs, -startsIn);
+                if (shiftMs !== 0) agenda.forEach(function(section) { shiftSection(section, shiftMs); });
+                return shiftMs;
+            }
+
+            const index = getCurrentIndex();
+            const section = agenda[index];
+            let appliedMs = deltaMs;
+            if (deltaMs < 0) {
+                const remaining = section.concludesAt.getTime() - at;
+                appliedMs = Math.max(deltaMs, -(remaining - MIN_REMAINING_MS));
+                if (appliedMs >= 0) return 0;
+            }
+
+            section.concludesAt = new Date(section.concludesAt.getTime() + appliedMs);
+            // The last sub-section ends with its parent
+            const children = section.children || [];
+            if (children.length > 0) {
+                children[children.length - 1].concludesAt = section.concludesAt;
+            }
+            for (let i = index + 1; i < agenda.length; i++) {
+                shiftSection(agenda[i], appliedMs);
+            }
+            return appliedMs;
+        }
+
+        /**
+         * Keep the end of the agenda where it is after a section was given or lost time:
+         * take the time back from the sections after it in proportion to their lengths, or
+         * share time it lost among them. Fixed sections keep their length and none is
+         * squeezed below its minDuration.
+         * @param {number} index - Section that changed; -1 after the whole agenda moved
+         * @param {number} deltaMs - Time it was given (positive) or lost (negative)
+         * @returns {number} Milliseconds the end still moves by, 0 if it could be kept
+         */
+        function rebalance(index, deltaMs) {
+            const later = agenda.slice(index + 1);
+            const lengths = later.map(function(section) { return section.concludesAt - section.commencesAt; });
+            let changes;
+            if (deltaMs > 0) {
+                const spare = later.map(function(section, i) { return getSpareTime(section, lengths[i]); });
+                changes = shareOut(lengths, spare, deltaMs).map(function(taken) { return -taken; });
+            } else {
+                const flexible = lengths.reduce(function(sum, length, i) {
+                    return later[i].fixed ? sum : sum + length;
+                }, 0);
+                changes = lengths.map(function(length, i) {
+                    return later[i].fixed || flexible === 0 ? 0 : -deltaMs * length / flexible;
+                });
+            }
+
+            // Lay the sections out again from where the changed one ends, rounding to whole ms
+            let start = index >= 0 ? agenda[index].concludesAt.getTime() : agenda[0].commencesAt.getTime();
+            let exact = 0;
+            let rounded = 0;
+            later.forEach(function(section, i) {
+                exact += changes[i];
+                const change = Math.round(exact) - rounded;
+                rounded += change;
+                resizeSection(section, start, lengths[i] + change);
+                start += lengths[i] + change;
+            });
+            return deltaMs + rounded;
+        }
+
+        /**
+         * Undo jumps, pauses and releases, returning to the wall clock
+         */
+        function reset() {
+            offset = 0;
+            pausedAt = null;
+            pausedTotal = 0;
+            releasedThrough = -1;
+            alerts.reset();
+        }
+
+        /**
+         * Work out which alerts are due at a snapshot. None are while paused or before the start.
+         * @param {Object} snapshot - From getSnapshot()
+         * @returns {Object} sectionEnd, warning and overtime, true for each alert that is due
+         */
+        function checkAlerts(snapshot) {
+            if (!snapshot.started || snapshot.isPaused) {
+                return {sectionEnd: false, warning: false, overtime: false};
+            }
+            return alerts.check({
+                index: snapshot.index,
+                remaining: snapshot.remaining,
+                now: snapshot.now,
+                warningMs: getWarningMs(snapshot.section)
+            });
+        }
+
+        /**
+         * Call a function with a snapshot on every tick
+         * @param {Function} listener - Receives the snapshot from getSnapshot
+         * @returns {Function} Call to unsubscribe
+         */
+        function subscribe(listener) {
+            listeners.push(listener);
+            return function() {
+                listeners = listeners.filter(function(other) { return other !== listener; });
+            };
+        }
+
+        /**
+         * Take a snapshot, with the alerts due at it, and pass it to every subscriber
+         * @returns {Object} The snapshot, with alerts from checkAlerts()
+         */
+        function tick() {
+            const snapshot = getSnapshot();
+            snapshot.alerts = checkAlerts(snapshot);
+            // Copy, since a listener may unsubscribe (e.g. when the meeting stops)
+            listeners.slice().forEach(function(listener) { listener(snapshot); });
+            return snapshot;
+        }
+
+        return {
+            agenda: agenda,
+            now: now,
+            getPausedDuration: getPausedDuration,
+            getPauseLength: getPauseLength,
+            isPaused: function() { return pausedAt !== null; },
+            getCurrentIndex: getCurrentIndex,
+            getCurrentChildIndex: getCurrentChildIndex,
+            getRemaining: getRemaining,
+            getHeldIndex: getHeldIndex,
+            getReleasedThrough: function() { return releasedThrough; },
+            release: release,
+            getSnapshot: getSnapshot,
+            seek: seek,
+            seekTo: seekTo,
+            pause: pause,
+            resume: resume,
+            adjust: adjust,
+            rebalance: rebalance,
+            reset: reset,
+            checkAlerts: checkAlerts,
+            subscribe: subscribe,
+            tick: tick
+        };
+    }
+
+    // Public API
+    return {
+        SEEK_BUFFER_MS: SEEK_BUFFER_MS,
+        MIN_REMAINING_MS: MIN_REMAINING_MS,
+        WARNING_MS: WARNING_MS,
+        OVERTIME_REPEAT_MS: OVERTIME_REPEAT_MS,
+        create: create,
+        createAlerts: createAlerts,
+        getWarningMs: getWarningMs,
+        getChildIndexAt: getChildIndexAt,
+        shiftSection: shiftSection
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimerEngine;
+}
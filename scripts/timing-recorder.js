@@ -0,0 +1,226 @@
+/**
+ * TimingRecorder Module
+ *
+ * Keeps a per-section log of what really happened during a run: when each section
+ * started and ended, how long it was planned and actually took, the adjustments
+ * applied to it and the time it spent paused. It listens to the TimerEvents bus,
+ * so jumps, pauses and +/-30s adjustments are all accounted for.
+ *
+ * The log of the last run is kept after the meeting stops:
+ *   TimingRecorder.getLog().sections[0].actualDuration
+ */
+
+const TimingRecorder = (function() {
+    'use strict';
+
+    // Log of the current or last run, or null before the first one
+    let log = null;
+    // Section that is current, and when its current visit started (ms)
+    let openIndex = -1;
+    let openedAt = null;
+
+    /**
+     * Make an empty log entry for a section
+     * @param {Object} section - Agenda item
+     * @param {number} index - Section index
+     * @returns {Object} Entry
+     */
+    function createEntry(section, index) {
+        const plannedStart = section.plannedCommencesAt || section.commencesAt;
+        const plannedEnd = section.plannedConcludesAt || section.concludesAt;
+        return {
+            index: index,
+            title: section.title,
+            plannedStart: plannedStart,
+            plannedEnd: plannedEnd,
+            plannedDuration: plannedEnd - plannedStart,
+            actualStart: null,
+            actualEnd: null,
+            // Time the section was current, pauses included; see pausedMs
+            actualDuration: 0,
+            adjustmentsMs: 0,
+            pausedMs: 0,
+            visits: 0
+        };
+    }
+
+    /**
+     * End the visit to the current section
+     * @param {Date} at - When it ended
+     */
+    function closeVisit(at) {
+        if (openIndex === -1) return;
+        const entry = log.sections[openIndex];
+        entry.actualEnd = at;
+        entry.actualDuration += at.getTime() - openedAt;
+        openIndex = -1;
+        openedAt = null;
+    }
+
+    /**
+     * Fill in a section already run before a reload, from the times the session restored.
+     * The section that was current is left to the section:enter that reopens it.
+     * @param {Object} entry - Log entry
+     * @param {Object} section - Agenda item, with actualCommencesAt/actualConcludesAt
+     */
+    function seedEntry(entry, section) {
+        if (!section.actualCommencesAt || !section.actualConcludesAt) return;
+        entry.actualStart = section.actualCommencesAt;
+        entry.actualEnd = section.actualConcludesAt;
+        entry.actualDuration = section.actualConcludesAt - section.actualCommencesAt;
+        entry.visits = 1;
+    }
+
+    /**
+     * Start a new log for the agenda that is starting
+     * @param {Object} event - meeting:start payload
+     */
+    function onMeetingStart(event) {
+        const agenda = window.currentAgenda || [];
+        log = {
+            startedAt: new Date(TimeUtils.now()),
+            endedAt: null,
+            completed: false,
+            resumed: !!event.resumed,
+            pausedMs: 0,
+            adjustmentsMs: 0,
+            sections: agenda.map(createEntry)
+        };
+        if (log.resumed) {
+            log.sections.forEach(function(entry, index) {
+                seedEntry(entry, agenda[index]);
+            });
+        }
+        openIndex = -1;
+        openedAt = null;
+    }
+
+    /**
+     * Open a visit to a section
+     * @param {Object} event - section:enter payload
+     */
+    function onSectionEnter(event) {
+        if (!log || !log.sections[event.index]) return;
+        const at = event.actualStart || new Date(TimeUtils.now());
+        closeVisit(at);
+
+        const entry = log.sections[event.index];
+        // A section visited again after a jump keeps its first start
+        if (!entry.actualStart) {
+            entry.actualStart = at;
+        }
+        entry.actualEnd = null;
+        entry.visits++;
+        openIndex = event.index;
+        openedAt = at.getTime();
+    }
+
+    /**
+     * Close the visit to a section
+     * @param {Object} event - section:exit payload
+     */
+    function onSectionExit(event) {
+        if (!log || event.index !== openIndex) return;
+        closeVisit(event.actualEnd || new Date(TimeUtils.now()));
+    }
+
+    /**
+     * Count a pause against the section it happened in
+     * @param {Object} event - resume payload, with pausedMs
+     */
+    function onResume(event) {
+        if (!log) return;
+        const pausedMs = event.pausedMs || 0;
+        log.pausedMs += pausedMs;
+        if (openIndex !== -1) {
+            log.sections[openIndex].pausedMs += pausedMs;
+        }
+    }
+
+    /**
+     * Count an adjustment against the section it changed
+     * @param {Object} event - adjust payload, with deltaMs
+     */
+    function onAdjust(event) {
+        if (!log) return;
+        log.adjustmentsMs += event.deltaMs;
+        const entry = log.sections[openIndex !== -1 ? openIndex : event.index];
+        if (entry) {
+            entry.adjustmentsMs += event.deltaMs;
+        }
+    }
+
+    /**
+     * Note whether the run finished
+     */
+    function onMeetingComplete() {
+        if (log) log.completed = true;
+    }
+
+    /**
+     * Close the log when the meeting stops, finished or not
+     */
+    function onMeetingStop() {
+        if (!log) return;
+        const at = new Date(TimeUtils.now());
+        closeVisit(at);
+        log.endedAt = at;
+    }
+
+    /**
+     * Record every run announced on an event bus
+     * @param {Object} bus - TimerEvents
+     * @returns {Function} Call to stop recording
+     */
+    function attach(bus) {
+        const offs = [
+            bus.on('meeting:start', onMeetingStart),
+            bus.on('section:enter', onSectionEnter),
+            bus.on('section:exit', onSectionExit),
+            bus.on('resume', onResume),
+            bus.on('adjust', onAdjust),
+            bus.on('meeting:complete', onMeetingComplete),
+            bus.on('meeting:stop', onMeetingStop)
+        ];
+        return function() {
+            offs.forEach(function(off) { off(); });
+        };
+    }
+
+    /**
+     * Get the log of the current or last run. The section being run counts up to now.
+     * @returns {Object|null} Copy of the log: startedAt, endedAt, completed, resumed,
+     *     pausedMs, adjustmentsMs and one entry per section, or null before the first run
+     */
+    function getLog() {
+        if (!log) return null;
+        const copy = Object.assign({}, log, {
+            sections: log.sections.map(function(entry) { return Object.assign({}, entry); })
+        });
+        if (openIndex !== -1) {
+            copy.sections[openIndex].actualDuration += TimeUtils.now() - openedAt;
+        }
+        return copy;
+    }
+
+    /**
+     * Forget the last run
+     */
+    function reset() {
+        log = null;
+        openIndex = -1;
+        openedAt = null;
+    }
+
+    // Public API
+    return {
+        attach: attach,
+        getLog: getLog,
+        reset: reset
+    };
+})();
+
+// Export for Node.js/testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimingRecorder;
+}
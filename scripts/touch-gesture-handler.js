@@ -257,6 +257,14 @@ const TouchGestureHandler = (function() {
     function handleSwipe(direction) {
         log('Handling swipe:', direction);
 
+        // While recording an agenda, a left swipe starts the next section
+        if (typeof RecordMode !== 'undefined' && RecordMode.isRecording()) {
+            if (direction === 'left') {
+                RecordMode.mark();
+            }
+            return;
+        }
+
         if (typeof SectionNavigator !== 'undefined') {
             if (direction === 'left') {
                 // Swipe left = next section (Requirements: 6.1)
@@ -276,6 +284,11 @@ const TouchGestureHandler = (function() {
      * @param {TouchEvent} event - Touch event
      */
     function handleTap(event) {
+        // Nothing to pause or jump to while recording an agenda
+        if (typeof RecordMode !== 'undefined' && RecordMode.isRecording()) {
+            return;
+        }
+
         // First, check if tap is on an agenda item (for jump-to-section)
         const agendaItem = findAgendaItemFromElement(touchState.targetElement);
         
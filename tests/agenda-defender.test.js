@@ -1,3 +1,4 @@
+const fc = require('fast-check');
 const {AgendaItem, Agenda, runMeeting, stopMeeting} = require('../scripts/agenda-defender.js');
 
 describe('AgendaItem', () => {
@@ -19,6 +20,24 @@ describe('AgendaItem', () => {
             expect(item.color).toBeUndefined();
             expect(item.text).toBe('10:30 Regular item');
         });
+
+        test('should pull owners, tags and notes out of the text', () => {
+            const item = new AgendaItem(10, 30, '10:30 #00ff00 Live demo @alice @bob #demo #Optional // remember the dongle');
+            expect(item.color).toBe('#00ff00');
+            expect(item.owners).toEqual(['alice', 'bob']);
+            expect(item.tags).toEqual(['demo', 'optional']);
+            expect(item.notes).toBe('remember the dongle');
+            expect(item.title).toBe('Live demo');
+            expect(item.text).toBe('10:30 Live demo');
+        });
+
+        test('should default to no metadata', () => {
+            const item = new AgendaItem(10, 30, '10:30 Q&A #2 see https://example.com');
+            expect(item.owners).toEqual([]);
+            expect(item.tags).toEqual([]);
+            expect(item.notes).toBe('');
+            expect(item.text).toBe('10:30 Q&A #2 see https://example.com');
+        });
     });
 
     describe('time calculations', () => {
@@ -118,6 +137,498 @@ describe('Agenda', () => {
             expect(lastItemTime.getSeconds()).toBe(30);
         });
     });
+
+    describe('extended timestamps', () => {
+        test('should parse H:MM:SS lines', () => {
+            const item = Agenda.parseItem('1:30:15 Break');
+            expect(item.timePart1).toBe(1);
+            expect(item.timePart2).toBe(30);
+            expect(item.timePart3).toBe(15);
+            expect(item.text).toBe('1:30:15 Break');
+        });
+
+        test('should leave timePart3 empty for two-part times', () => {
+            expect(Agenda.parseItem('14:30 Test item').timePart3).toBeNull();
+        });
+
+        test('should accept single-digit hours in absolute mode', () => {
+            const result = Agenda.parse('9:05 Standup\n9:20 FINISH');
+            expect(result).toHaveLength(1);
+            expect(result[0].commencesAt.getHours()).toBe(9);
+            expect(result[0].commencesAt.getMinutes()).toBe(5);
+            expect(result[0].concludesAt.getMinutes()).toBe(20);
+        });
+
+        test('should use seconds in absolute mode', () => {
+            const item = Agenda.parseItem('14:30:45 Test item');
+            const time = item.getAbsoluteTime();
+            expect(time.getHours()).toBe(14);
+            expect(time.getMinutes()).toBe(30);
+            expect(time.getSeconds()).toBe(45);
+        });
+
+        test('should treat 0:00:00 as the start of a relative agenda', () => {
+            expect(Agenda.parseItem('0:00:00 Intro').isRelativeMode).toBe(true);
+            expect(Agenda.parseItem('0:00:30 Intro').isRelativeMode).toBe(false);
+        });
+
+        test('should run relative agendas past 99 minutes with MMM:SS', () => {
+            const result = Agenda.parse('00:00 Intro\n95:00 Lunch\n185:00 FINISH');
+            expect(result).toHaveLength(2);
+            expect(result[1].commencesAt - result[0].commencesAt).toBe(95 * 60000);
+            expect(result[1].concludesAt - result[0].commencesAt).toBe(185 * 60000);
+        });
+
+        test('should run relative agendas with H:MM:SS offsets', () => {
+            const result = Agenda.parse('0:00:00 Intro\n1:15:30 Workshop\n3:30:00 FINISH');
+            expect(result[1].commencesAt - result[0].commencesAt).toBe((75 * 60 + 30) * 1000);
+            expect(result[1].concludesAt - result[0].commencesAt).toBe(210 * 60000);
+        });
+
+        test('should mix MM:SS and H:MM:SS offsets in one relative agenda', () => {
+            const result = Agenda.parse('00:00 Intro\n45:30 Break\n1:00:00 FINISH');
+            expect(result[1].commencesAt - result[0].commencesAt).toBe((45 * 60 + 30) * 1000);
+            expect(result[1].concludesAt - result[0].commencesAt).toBe(3600000);
+        });
+    });
+
+    describe('analyze', () => {
+        const kinds = result => result.diagnostics.map(d => d.kind);
+
+        test('should report nothing for a clean agenda', () => {
+            const result = Agenda.analyze('00:00 Intro\n05:00 Demo\n10:00 FINISH');
+            expect(result.items).toHaveLength(2);
+            expect(result.diagnostics).toEqual([]);
+        });
+
+        test('should record the source line of each item', () => {
+            const result = Agenda.analyze('\n00:00 Intro\n\n05:00 Demo\n10:00 FINISH');
+            expect(result.items.map(item => item.line)).toEqual([2, 4]);
+        });
+
+        test('should skip blank lines and comments silently', () => {
+            const result = Agenda.analyze('# Team sync\n// keep it short\n\n00:00 Intro\n05:00 FINISH');
+            expect(result.diagnostics).toEqual([]);
+        });
+
+        test('should warn about unparseable lines with their line number', () => {
+            const result = Agenda.analyze('00:00 Intro\nsomething else\n05:00 FINISH');
+            expect(result.items).toHaveLength(1);
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 2,
+                kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE,
+                severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+
+        test('should report an empty agenda as an error instead of crashing', () => {
+            expect(() => Agenda.parse('')).not.toThrow();
+            const result = Agenda.analyze('\n\n');
+            expect(result.items).toEqual([]);
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: null,
+                kind: Agenda.DIAGNOSTIC_KINDS.EMPTY,
+                severity: Agenda.SEVERITY.ERROR
+            })]);
+        });
+
+        test('should report out-of-order times as errors', () => {
+            const result = Agenda.analyze('00:00 Intro\n10:00 Demo\n05:00 Q&A\n15:00 FINISH');
+            expect(result.diagnostics).toContainEqual(expect.objectContaining({
+                line: 3,
+                kind: Agenda.DIAGNOSTIC_KINDS.OUT_OF_ORDER,
+                severity: Agenda.SEVERITY.ERROR
+            }));
+        });
+
+        test('should warn about duplicate times', () => {
+            const result = Agenda.analyze('00:00 Intro\n05:00 Demo\n05:00 Q&A\n15:00 FINISH');
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 3,
+                kind: Agenda.DIAGNOSTIC_KINDS.DUPLICATE_TIME,
+                severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+
+        test('should warn about zero-length sections in duration mode', () => {
+            const result = Agenda.analyze('5m Intro\n0m Nothing\n5m Outro');
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 2,
+                kind: Agenda.DIAGNOSTIC_KINDS.ZERO_LENGTH,
+                severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+
+        test('should report a lone timestamp as a missing FINISH error', () => {
+            const result = Agenda.analyze('00:00 Intro');
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 1,
+                kind: Agenda.DIAGNOSTIC_KINDS.MISSING_FINISH,
+                severity: Agenda.SEVERITY.ERROR
+            })]);
+        });
+
+        test('should warn when the last line does not look like FINISH', () => {
+            const result = Agenda.analyze('00:00 Intro\n05:00 Demo');
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 2,
+                kind: Agenda.DIAGNOSTIC_KINDS.MISSING_FINISH,
+                severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+
+        test('should warn about lines in the other syntax', () => {
+            const result = Agenda.analyze('5m Intro\n10:00 Stray');
+            expect(kinds(result)).toEqual([Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE]);
+            expect(result.diagnostics[0].line).toBe(2);
+        });
+    });
+
+    describe('midnight rollover and date headers', () => {
+        const nextDay = date => {
+            const day = new Date(date);
+            day.setDate(day.getDate() + 1);
+            return day.toDateString();
+        };
+
+        test('should roll clock times forward past midnight', () => {
+            const { items, diagnostics } = Agenda.analyze('23:30 Late session\n00:15 Night owls\n00:30 FINISH');
+            expect(diagnostics).toEqual([]);
+            expect(items[1].commencesAt.toDateString()).toBe(nextDay(items[0].commencesAt));
+            expect(items[1].commencesAt > items[0].commencesAt).toBe(true);
+            expect(items[1].concludesAt.getHours()).toBe(0);
+            expect(items[1].concludesAt.getMinutes()).toBe(30);
+        });
+
+        test('should still report a small step backwards as out of order', () => {
+            const result = Agenda.analyze('14:00 Intro\n15:00 Demo\n14:30 Q&A\n16:00 FINISH');
+            expect(result.diagnostics).toContainEqual(expect.objectContaining({
+                line: 3,
+                kind: Agenda.DIAGNOSTIC_KINDS.OUT_OF_ORDER,
+                severity: Agenda.SEVERITY.ERROR
+            }));
+        });
+
+        test('should use the date header for the items below it', () => {
+            const result = Agenda.parse(`# 2026-11-03
+09:00 Day one
+17:00 Dinner
+# 2026-11-04
+09:00 Day two
+17:00 FINISH`);
+            expect(result).toHaveLength(3);
+            expect(result[0].commencesAt).toEqual(new Date(2026, 10, 3, 9, 0));
+            expect(result[1].concludesAt).toEqual(new Date(2026, 10, 4, 9, 0));
+            expect(result[2].concludesAt).toEqual(new Date(2026, 10, 4, 17, 0));
+        });
+
+        test('should treat 00:00 under a date header as a clock time', () => {
+            const result = Agenda.parse('# 2026-12-31\n23:00 Countdown\n00:00 Fireworks\n00:30 FINISH');
+            expect(result[1].commencesAt).toEqual(new Date(2027, 0, 1, 0, 0));
+        });
+
+        test('should treat invalid dates as ordinary comments', () => {
+            expect(Agenda.parseDateHeader('# 2026-02-30')).toBeNull();
+            expect(Agenda.parseDateHeader('# Team sync')).toBeNull();
+            expect(Agenda.analyze('# 2026-02-30\n00:00 Intro\n05:00 FINISH').diagnostics).toEqual([]);
+        });
+
+        test('should ignore date headers in a duration agenda with a warning', () => {
+            const result = Agenda.analyze('# 2026-11-03\n5m Intro\n5m Outro');
+            expect(result.items).toHaveLength(2);
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 1, kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE
+            })]);
+        });
+    });
+
+    describe('@start directive', () => {
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should anchor a relative agenda to a clock time', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 13, 50) });
+            const result = Agenda.analyze('@start 14:00\n00:00 Intro\n05:00 Demo\n10:00 FINISH');
+            expect(result.diagnostics).toEqual([]);
+            expect(result.items[0].commencesAt).toEqual(new Date(2026, 10, 3, 14, 0));
+            expect(result.items[1].concludesAt).toEqual(new Date(2026, 10, 3, 14, 10));
+        });
+
+        test('should anchor a duration agenda to a delay', () => {
+            const before = Date.now();
+            const result = Agenda.parse('@start +5m\n10m Intro\n5m Outro');
+            expect(result[0].commencesAt.getTime()).toBeGreaterThanOrEqual(before + 5 * 60000);
+            expect(result[0].commencesAt.getTime()).toBeLessThan(before + 5 * 60000 + 1000);
+        });
+
+        test('should start tomorrow when a start just after midnight is set late in the evening', () => {
+            const now = new Date(2026, 10, 3, 23, 50);
+            expect(Agenda.parseStartTime('00:10', now)).toEqual(new Date(2026, 10, 4, 0, 10));
+            expect(Agenda.parseStartTime('23:40', now)).toEqual(new Date(2026, 10, 3, 23, 40));
+        });
+
+        test('should report an unreadable start time as an error', () => {
+            const result = Agenda.analyze('@start soon\n00:00 Intro\n05:00 FINISH');
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 1, kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, severity: Agenda.SEVERITY.ERROR
+            })]);
+        });
+
+        test('should ignore @start in a clock-time agenda with a warning', () => {
+            const result = Agenda.analyze('@start 14:00\n09:00 Intro\n10:00 FINISH');
+            expect(result.items[0].commencesAt.getHours()).toBe(9);
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 1, severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+
+        test('should warn about unknown directives', () => {
+            const result = Agenda.analyze('@colour red\n00:00 Intro\n05:00 FINISH');
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 1, kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+    });
+
+    describe('manual advance', () => {
+        test('should hold sections tagged #manual', () => {
+            const result = Agenda.analyze('00:00 Panel #manual\n20:00 Wrap-up\n25:00 FINISH');
+            expect(result.diagnostics).toEqual([]);
+            expect(result.items.map(item => item.manualAdvance)).toEqual([true, false]);
+        });
+
+        test('should hold every section under @advance manual', () => {
+            const result = Agenda.analyze('@advance manual\n5m Panel\n5m Q&A');
+            expect(result.diagnostics).toEqual([]);
+            expect(result.items.map(item => item.manualAdvance)).toEqual([true, true]);
+        });
+
+        test('should warn about an unknown @advance mode', () => {
+            const result = Agenda.analyze('@advance later\n00:00 Intro\n05:00 FINISH');
+            expect(result.items[0].manualAdvance).toBe(false);
+            expect(result.diagnostics).toEqual([expect.objectContaining({
+                line: 1, kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+    });
+
+    describe('end time protection', () => {
+        test('should mark sections tagged #fixed and keep {min: ...} lengths', () => {
+            const result = Agenda.analyze('00:00 Intro\n05:00 Keynote #fixed\n25:00 Q&A {min: 2m}\n35:00 FINISH');
+            expect(result.diagnostics).toEqual([]);
+            expect(result.items.map(item => item.fixed)).toEqual([false, true, false]);
+            expect(result.items.map(item => item.minDuration)).toEqual([null, null, 120000]);
+            expect(result.items[2].thresholds).toBeNull();
+        });
+    });
+
+    describe('warning thresholds', () => {
+        test('should store thresholds from a settings block', () => {
+            const result = Agenda.analyze('00:00 Keynote {warn: 2m, critical: 30s} @alice\n20:00 FINISH');
+            expect(result.diagnostics).toEqual([]);
+            expect(result.items[0].thresholds).toEqual({ warn: 120000, critical: 30000 });
+            expect(result.items[0].text).toBe('00:00 Keynote');
+        });
+
+        test('should leave lines without settings on the global defaults', () => {
+            expect(Agenda.parse('00:00 Intro\n05:00 FINISH')[0].thresholds).toBeNull();
+        });
+
+        test('should warn about settings it does not understand', () => {
+            const result = Agenda.analyze('00:00 Intro {warn: soon, colour: red}\n05:00 FINISH');
+            expect(result.items[0].thresholds).toBeNull();
+            expect(result.diagnostics).toHaveLength(2);
+            result.diagnostics.forEach(diagnostic => expect(diagnostic).toEqual(expect.objectContaining({
+                line: 1, kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, severity: Agenda.SEVERITY.WARNING
+            })));
+        });
+    });
+
+    describe('toAst and serialize', () => {
+        const text = `# 2026-11-03
+@start 14:00
+
+// Planning session
+14:00   #ff0000 Welcome   @alice #intro // say hi
+  14:05 Icebreaker {warn: 1m}
+14:30 Something odd
+not an item
+15:00 FINISH\r`;
+
+        test('should write an untouched tree back exactly', () => {
+            expect(Agenda.serialize(Agenda.toAst(text))).toBe(text);
+        });
+
+        test('should round-trip arbitrary mixes of lines', () => {
+            const lines = ['', '   ', '# notes', '// comment', '# 2026-01-02', '@start +5m',
+                '00:00 Intro', '\t1:05:00  Long one #demo', '5m Break @bob', 'garbage', '10:00 #abc Color // n'];
+            fc.assert(fc.property(fc.array(fc.constantFrom(...lines), { maxLength: 12 }), picked => {
+                const agenda = picked.join('\n');
+                return Agenda.serialize(Agenda.toAst(agenda)) === agenda;
+            }));
+        });
+
+        test('should expose structured fields on item nodes', () => {
+            const welcome = Agenda.toAst(text).nodes[4];
+            expect(welcome).toEqual(expect.objectContaining({
+                type: 'item', line: 5, indent: '', timestamp: [14, 0], duration: null, color: '#ff0000',
+                title: 'Welcome', owners: ['alice'], tags: ['intro'], notes: 'say hi'
+            }));
+            expect(Agenda.toAst(text).nodes.map(node => node.type)).toEqual([
+                'date', 'directive', 'blank', 'comment', 'item', 'item', 'item', 'invalid', 'item'
+            ]);
+        });
+
+        test('should rewrite only the edited lines', () => {
+            const ast = Agenda.toAst(text);
+            ast.nodes[5].timestamp = [14, 10];
+            ast.nodes[6].title = 'Breakout';
+            ast.nodes.splice(7, 1, { type: 'item', duration: 90000, title: 'Lightning', owners: ['carol'] });
+
+            const lines = Agenda.serialize(ast).split('\n');
+            expect(lines[4]).toBe('14:00   #ff0000 Welcome   @alice #intro // say hi');
+            expect(lines[5]).toBe('  14:10 Icebreaker {warn: 1m}');
+            expect(lines[6]).toBe('14:30 Breakout');
+            expect(lines[7]).toBe('1m30s Lightning @carol');
+        });
+
+        test('should format durations the way the parser reads them', () => {
+            [0, 90000, 5 * 60000, 90 * 60000, 3600000 + 5000].forEach(ms => {
+                expect(Agenda.parseDuration(Agenda.formatDuration(ms))).toBe(ms);
+            });
+        });
+    });
+
+    describe('parseDuration', () => {
+        test('should parse single-unit durations', () => {
+            expect(Agenda.parseDuration('5m')).toBe(5 * 60000);
+            expect(Agenda.parseDuration('90s')).toBe(90000);
+            expect(Agenda.parseDuration('2h')).toBe(2 * 3600000);
+        });
+
+        test('should parse combined units', () => {
+            expect(Agenda.parseDuration('1h30m')).toBe(90 * 60000);
+            expect(Agenda.parseDuration('1m30s')).toBe(90000);
+        });
+
+        test('should reject non-durations', () => {
+            expect(Agenda.parseDuration('30')).toBeNull();
+            expect(Agenda.parseDuration('m')).toBeNull();
+            expect(Agenda.parseDuration('5m1h')).toBeNull();
+            expect(Agenda.parseDuration('10:00')).toBeNull();
+        });
+    });
+
+    describe('duration mode', () => {
+        test('should parse a duration line', () => {
+            const item = Agenda.parseItem('1h30m Workshop');
+            expect(item).toBeInstanceOf(AgendaItem);
+            expect(item.duration).toBe(90 * 60000);
+            expect(item.isRelativeMode).toBe(false);
+            expect(item.text).toBe('1h30m Workshop');
+        });
+
+        test('should keep timestamp lines free of a duration', () => {
+            expect(Agenda.parseItem('00:00 Intro').duration).toBeNull();
+        });
+
+        test('should build a back-to-back schedule from durations', () => {
+            const before = Date.now();
+            const result = Agenda.parse(`5m Intro
+1h30m Workshop
+90s Lightning demo`);
+            expect(result).toHaveLength(3); // No FINISH line in duration mode
+            expect(result[0].commencesAt.getTime()).toBeGreaterThanOrEqual(before);
+            expect(result[0].concludesAt - result[0].commencesAt).toBe(5 * 60000);
+            expect(result[1].commencesAt).toEqual(result[0].concludesAt);
+            expect(result[1].concludesAt - result[1].commencesAt).toBe(90 * 60000);
+            expect(result[2].commencesAt).toEqual(result[1].concludesAt);
+            expect(result[2].concludesAt - result[2].commencesAt).toBe(90000);
+        });
+
+        test('should match the equivalent relative timestamp schedule', () => {
+            const durations = Agenda.parse('2m Intro\n3m Demo');
+            const timestamps = Agenda.parse('00:00 Intro\n02:00 Demo\n05:00 FINISH');
+            const lengths = agenda => agenda.map(item => item.concludesAt - item.commencesAt);
+            expect(lengths(durations)).toEqual(lengths(timestamps));
+        });
+
+        test('should keep colors on duration lines', () => {
+            const result = Agenda.parse('5m #ff0000 Intro\n5m Outro');
+            expect(result[0].color).toBe('#ff0000');
+            expect(result[0].text).toBe('5m Intro');
+        });
+
+        test('should ignore timestamp lines in a duration agenda', () => {
+            const result = Agenda.parse('5m Intro\n10:00 Stray\n5m Outro');
+            expect(result.map(item => item.text)).toEqual(['5m Intro', '5m Outro']);
+        });
+
+        test('should ignore the sub-sections of an ignored line along with it', () => {
+            const { items, diagnostics } = Agenda.analyze('5m Intro\n  2m Welcome\n10:00 Stray\n  1m Setup\n  2m Exercise\n5m Outro');
+            expect(items.map(item => item.text)).toEqual(['5m Intro', '5m Outro']);
+            expect(items[0].children.map(child => child.text)).toEqual(['2m Welcome']);
+            expect(diagnostics.map(diagnostic => diagnostic.line)).toEqual([3, 4, 5]);
+            expect(diagnostics[1].message).toBe('Sub-section of line 3, which is ignored, so this is ignored too');
+        });
+    });
+
+    describe('sub-sections', () => {
+        test('should nest indented timestamp lines under the previous section', () => {
+            const result = Agenda.parse(`00:00 Intro
+10:00 Workshop
+    10:00 Setup
+    15:00 Exercise
+30:00 FINISH`);
+            expect(result).toHaveLength(2);
+            expect(result[0].children).toEqual([]);
+            expect(result[1].children.map(child => child.text)).toEqual(['10:00 Setup', '15:00 Exercise']);
+            expect(result[1].children[0].concludesAt).toEqual(result[1].children[1].commencesAt);
+            expect(result[1].children[1].concludesAt).toEqual(result[1].concludesAt);
+        });
+
+        test('should lay out duration sub-sections from the start of their section', () => {
+            const result = Agenda.parse(`5m Intro
+20m Workshop
+	5m Setup
+	15m Exercise`);
+            const workshop = result[1];
+            expect(workshop.children).toHaveLength(2);
+            expect(workshop.children[0].commencesAt).toEqual(workshop.commencesAt);
+            expect(workshop.children[1].concludesAt).toEqual(workshop.concludesAt);
+        });
+
+        test('should warn when sub-sections overflow their section', () => {
+            const { items, diagnostics } = Agenda.analyze('10m Workshop\n  5m Setup\n  10m Exercise');
+            expect(items[0].children[1].concludesAt).toEqual(items[0].concludesAt);
+            expect(diagnostics).toContainEqual(expect.objectContaining({
+                line: 3, kind: Agenda.DIAGNOSTIC_KINDS.OUT_OF_ORDER, severity: Agenda.SEVERITY.WARNING
+            }));
+        });
+
+        test('should warn about lines indented under FINISH', () => {
+            const { items, diagnostics } = Agenda.analyze('00:00 Intro\n10:00 FINISH\n  10:00 Encore');
+            expect(items).toHaveLength(1);
+            expect(diagnostics).toEqual([expect.objectContaining({
+                line: 3, kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+
+        test('should warn about nesting deeper than one level and flatten it', () => {
+            const { items, diagnostics } = Agenda.analyze('00:00 Workshop\n  00:00 Setup\n    05:00 Install\n  10:00 Exercise\n20:00 FINISH');
+            expect(items[0].children.map(child => child.title)).toEqual(['Setup', 'Install', 'Exercise']);
+            expect(diagnostics).toEqual([expect.objectContaining({
+                line: 3, kind: Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, severity: Agenda.SEVERITY.WARNING
+            })]);
+        });
+
+        test('should treat an indented first line as a top-level section', () => {
+            const result = Agenda.parse('  00:00 Intro\n05:00 FINISH');
+            expect(result).toHaveLength(1);
+            expect(result[0].children).toEqual([]);
+        });
+    });
 });
 
 describe('Agenda Defender', () => {
@@ -344,6 +855,15 @@ describe('Agenda Defender', () => {
     });
 
     describe('Meeting Controls', () => {
+        beforeAll(() => {
+            // Loaded as a plain script in the browser, before agenda-defender.js
+            global.TimerEngine = require('../scripts/timer-engine.js');
+        });
+
+        afterAll(() => {
+            delete global.TimerEngine;
+        });
+
         beforeEach(() => {
             document.body.innerHTML = `
                 <div id="ticker"></div>
@@ -372,5 +892,378 @@ describe('Agenda Defender', () => {
             stopMeeting();
             expect(themeToggle.style.display).toBe('');
         });
+
+        test('should refuse to start and show errors next to the textarea', () => {
+            document.getElementById('agenda').value = '00:00 Intro\n10:00 Demo\n05:00 FINISH';
+            const themeToggle = document.getElementById('theme-toggle');
+
+            runMeeting();
+
+            expect(themeToggle.style.display).toBe('');
+            const list = document.getElementById('agenda-diagnostics');
+            expect(list).not.toBeNull();
+            expect(list.previousElementSibling.id).toBe('agenda');
+            expect(list.querySelectorAll('li.diagnostic-error')).toHaveLength(1);
+            expect(list.textContent).toContain('Line 3');
+        });
+
+        test('should start despite warnings and clear them once fixed', () => {
+            document.getElementById('agenda').value = '14:30 Test item\nnot an item\n15:00 FINISH';
+
+            runMeeting();
+            expect(document.getElementById('theme-toggle').style.display).toBe('none');
+            expect(document.querySelectorAll('#agenda-diagnostics li.diagnostic-warning')).toHaveLength(1);
+            stopMeeting();
+
+            AgendaDefender.showDiagnostics([]);
+            expect(document.getElementById('agenda-diagnostics')).toBeNull();
+        });
+
+        test('should show owners and keep notes for the presenter view', () => {
+            document.getElementById('agenda').value = '00:00 Intro @alice // welcome everyone\n05:00 FINISH';
+
+            runMeeting();
+
+            const item = document.querySelector('#ticker .agenda-item');
+            expect(item.querySelector('.agenda-item-text').textContent).toBe('00:00 Intro');
+            expect(item.querySelector('.agenda-item-owner').textContent).toBe('alice');
+            expect(item.querySelector('.agenda-item-notes').textContent).toBe('welcome everyone');
+            expect(document.getElementById('ticker').classList.contains('show-notes')).toBe(false);
+
+            AgendaDefender.setPresenterView(true);
+            expect(document.getElementById('ticker').classList.contains('show-notes')).toBe(true);
+
+            AgendaDefender.setPresenterView(false);
+            stopMeeting();
+        });
+
+        test('should toggle the presenter view with the S key', () => {
+            const KeyboardShortcuts = require('../scripts/keyboard-shortcuts.js');
+            KeyboardShortcuts.initialize();
+            KeyboardShortcuts.setCallbacks({ onTogglePresenterView: AgendaDefender.togglePresenterView });
+            const ticker = document.getElementById('ticker');
+            const pressS = () => document.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyS', key: 's' }));
+
+            pressS();
+            expect(ticker.classList.contains('show-notes')).toBe(true);
+            pressS();
+            expect(ticker.classList.contains('show-notes')).toBe(false);
+            KeyboardShortcuts.destroy();
+        });
+
+        test('should import calendar and Markdown files into the textarea', async () => {
+            global.Agenda = Agenda;
+            global.IcsImport = require('../scripts/ics-import.js');
+            global.MarkdownImport = require('../scripts/markdown-import.js');
+            const ics = ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'SUMMARY:Sync', 'DTSTART:20261103T100000',
+                'DTEND:20261103T103000', 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+
+            await AgendaDefender.importAgendaFile(new File([ics], 'sync.ics'));
+            expect(document.getElementById('agenda').value).toBe('# 2026-11-03\n10:00 Sync\n10:30 FINISH');
+
+            await AgendaDefender.importAgendaFile(new File(['## Intro <!-- 2m -->'], 'talk.md'));
+            expect(document.getElementById('agenda').value).toBe('00:00 Intro\n02:00 FINISH');
+
+            await expect(AgendaDefender.importAgendaFile(new File([''], 'notes.txt'))).rejects.toThrow('Unsupported');
+
+            delete global.Agenda;
+            delete global.IcsImport;
+            delete global.MarkdownImport;
+        });
+
+        test('should count down to an @start time before the first section', () => {
+            jest.useFakeTimers();
+            document.getElementById('agenda').value = '@start +5m\n00:00 Intro\n05:00 FINISH';
+
+            runMeeting();
+            jest.advanceTimersByTime(100);
+
+            const preroll = document.querySelector('#ticker .ticker-preroll');
+            expect(preroll.style.display).not.toBe('none');
+            expect(preroll.textContent).toMatch(/^Starts in 4:5\d$/);
+            expect(document.querySelector('#ticker .agenda-item-text').textContent).toBe('00:00 Intro');
+
+            stopMeeting();
+            jest.useRealTimers();
+        });
+
+        test('should announce the meeting lifecycle on the event bus', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.TimerEvents = require('../scripts/event-bus.js');
+            const events = [];
+            Object.values(TimerEvents.EVENTS).forEach(name => {
+                TimerEvents.on(name, event => events.push(event));
+            });
+            document.getElementById('agenda').value = '00:00 Intro\n00:20 Outro\n00:40 FINISH';
+
+            runMeeting();
+            jest.advanceTimersByTime(41000);
+
+            expect(events.map(event => event.type + ' ' + event.index)).toEqual([
+                'meeting:start 0',
+                'section:enter 0',
+                'warning 0',
+                'section:exit 0',
+                'section:enter 1',
+                'warning 1',
+                'section:exit 1',
+                'meeting:complete 1',
+                'meeting:stop 1'
+            ]);
+            expect(events[3]).toEqual(expect.objectContaining({
+                title: 'Intro',
+                plannedEnd: new Date(2026, 10, 3, 14, 0, 20),
+                actualStart: new Date(2026, 10, 3, 14, 0, 0, 50),
+                actualEnd: new Date(2026, 10, 3, 14, 0, 20)
+            }));
+            expect(events[8].completed).toBe(true);
+
+            TimerEvents.clear();
+            delete global.TimerEvents;
+            jest.useRealTimers();
+        });
+
+        test('should list the agenda directives when the meeting starts', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.TimerEvents = require('../scripts/event-bus.js');
+            const starts = [];
+            TimerEvents.on('meeting:start', event => starts.push(event));
+            document.getElementById('agenda').value = '@advance manual\n00:00 Intro\n00:20 FINISH';
+
+            runMeeting();
+            expect(starts).toHaveLength(1);
+            expect(starts[0].directives).toEqual([{ line: 1, name: 'advance', args: 'manual', value: undefined }]);
+
+            stopMeeting();
+            TimerEvents.clear();
+            delete global.TimerEvents;
+            jest.useRealTimers();
+        });
+
+        test('should close an open pause before announcing the stop', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.TimerEvents = require('../scripts/event-bus.js');
+            global.PauseController = require('../scripts/pause-controller.js');
+            const events = [];
+            ['pause', 'resume', 'meeting:stop'].forEach(name => TimerEvents.on(name, event => events.push(event)));
+            document.getElementById('agenda').value = '00:00 Intro\n00:20 Outro\n00:40 FINISH';
+
+            runMeeting();
+            jest.advanceTimersByTime(5000);
+            PauseController.pause();
+            jest.advanceTimersByTime(12000);
+            stopMeeting();
+
+            expect(events.map(event => event.type)).toEqual(['pause', 'resume', 'meeting:stop']);
+            expect(events[1].pausedMs).toBe(12000);
+            expect(PauseController.isPaused()).toBe(false);
+
+            TimerEvents.clear();
+            delete global.TimerEvents;
+            delete global.PauseController;
+            jest.useRealTimers();
+        });
+
+        test('should warn at the section critical threshold instead of the default', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.TimerEvents = require('../scripts/event-bus.js');
+            const warnings = [];
+            TimerEvents.on('warning', event => warnings.push([event.index, event.remaining]));
+            document.getElementById('agenda').value = '00:00 Intro {critical: 15s}\n00:20 Outro\n00:40 FINISH';
+
+            runMeeting();
+            jest.advanceTimersByTime(30000);
+            expect(warnings).toEqual([[0, 15000], [1, 10000]]);
+
+            stopMeeting();
+            TimerEvents.clear();
+            delete global.TimerEvents;
+            jest.useRealTimers();
+        });
+
+        test('should drive the ticker from the monotonic Clock', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.Clock = require('../scripts/clock.js');
+            document.getElementById('agenda').value = '00:00 Intro\n05:00 FINISH';
+
+            runMeeting();
+            expect(Clock.isRunning()).toBe(true);
+
+            // A wall clock correction does not move the countdown
+            jest.setSystemTime(new Date(2026, 10, 3, 14, 3));
+            jest.advanceTimersByTime(1000);
+            expect(document.querySelector('#ticker .agenda-item-text').textContent).toBe('00:00 Intro - 4:59');
+
+            stopMeeting();
+            expect(Clock.isRunning()).toBe(false);
+            delete global.Clock;
+            jest.useRealTimers();
+        });
+
+        test('should hold at 0:00 or count overtime after FINISH when asked to', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.TimerEvents = require('../scripts/event-bus.js');
+            global.TimeWarnings = require('../scripts/time-warnings.js');
+            const overtime = [];
+            TimerEvents.on('overtime', event => overtime.push(event.overtimeMs));
+            document.getElementById('agenda').value = '00:00 Intro\n00:20 FINISH';
+
+            expect(AgendaDefender.EndBehavior.set('hold')).toBe(true);
+            AgendaDefender.runMeeting();
+            jest.advanceTimersByTime(25000);
+            expect(window.running).toBe(true);
+            expect(document.querySelector('#ticker .agenda-item-text').textContent).toBe('00:00 Intro - 0:00');
+            AgendaDefender.stopMeeting();
+            expect(overtime).toEqual([]);
+
+            AgendaDefender.EndBehavior.set('overtime');
+            AgendaDefender.runMeeting();
+            jest.advanceTimersByTime(61000);
+            const item = document.querySelector('#ticker .agenda-item');
+            expect(window.running).toBe(true);
+            expect(item.querySelector('.agenda-item-text').textContent).toBe('00:00 Intro +0:41');
+            expect(item.classList.contains('warning-overtime')).toBe(true);
+            expect(overtime).toHaveLength(2);
+
+            AgendaDefender.stopMeeting();
+            jest.advanceTimersByTime(60000);
+            expect(overtime).toHaveLength(2);
+
+            expect(AgendaDefender.EndBehavior.set('later')).toBe(false);
+            localStorage.removeItem(AgendaDefender.EndBehavior.STORAGE_KEY);
+            TimerEvents.clear();
+            delete global.TimerEvents;
+            delete global.TimeWarnings;
+            jest.useRealTimers();
+        });
+
+        test('should complete again after jumping back from the overtime count', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.TimerEvents = require('../scripts/event-bus.js');
+            const completions = [];
+            TimerEvents.on('meeting:complete', event => completions.push(event.index));
+            document.getElementById('agenda').value = '00:00 Intro\n00:20 Outro\n00:40 FINISH';
+
+            AgendaDefender.EndBehavior.set('overtime');
+            AgendaDefender.runMeeting();
+            jest.advanceTimersByTime(45000);
+            expect(completions).toEqual([1]);
+
+            window.timerEngine.seek(1);
+            jest.advanceTimersByTime(1000);
+            const text = document.querySelectorAll('#ticker .agenda-item-text')[1].textContent;
+            expect(text).toMatch(/^00:20 Outro - /);
+
+            jest.advanceTimersByTime(25000);
+            expect(completions).toEqual([1, 1]);
+            expect(document.querySelectorAll('#ticker .agenda-item-text')[1].textContent).toMatch(/^00:20 Outro \+/);
+
+            AgendaDefender.stopMeeting();
+            localStorage.removeItem(AgendaDefender.EndBehavior.STORAGE_KEY);
+            TimerEvents.clear();
+            delete global.TimerEvents;
+            jest.useRealTimers();
+        });
+
+        test('should log the overtime counted after FINISH against the last section', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.TimerEvents = require('../scripts/event-bus.js');
+            const TimingRecorder = require('../scripts/timing-recorder.js');
+            const detach = TimingRecorder.attach(TimerEvents);
+            const exits = [];
+            TimerEvents.on('section:exit', event => exits.push(event.index));
+            document.getElementById('agenda').value = '00:00 Intro\n00:20 Outro\n00:40 FINISH';
+
+            AgendaDefender.EndBehavior.set('overtime');
+            AgendaDefender.runMeeting();
+            jest.advanceTimersByTime(70000);
+            expect(exits).toEqual([0]);
+
+            AgendaDefender.stopMeeting();
+            const log = TimingRecorder.getLog();
+            expect(log.completed).toBe(true);
+            expect(log.sections[1].actualDuration).toBe(50000);
+            expect(log.sections[1].actualEnd).toEqual(log.endedAt);
+
+            detach();
+            TimingRecorder.reset();
+            localStorage.removeItem(AgendaDefender.EndBehavior.STORAGE_KEY);
+            TimerEvents.clear();
+            delete global.TimerEvents;
+            jest.useRealTimers();
+        });
+
+        test('should remember whether the end time is protected', () => {
+            const { EndTimeProtection } = AgendaDefender;
+            expect(EndTimeProtection.isEnabled()).toBe(false);
+            EndTimeProtection.setEnabled(true);
+            expect(localStorage.getItem(EndTimeProtection.STORAGE_KEY)).toBe('true');
+            expect(EndTimeProtection.isEnabled()).toBe(true);
+            EndTimeProtection.setEnabled(false);
+            expect(EndTimeProtection.isEnabled()).toBe(false);
+            localStorage.removeItem(EndTimeProtection.STORAGE_KEY);
+        });
+
+        test('should hold a manual-advance section in overtime until the presenter moves on', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.SectionNavigator = require('../scripts/section-navigator.js');
+            global.TimeAdjuster = require('../scripts/time-adjuster.js');
+            document.getElementById('ticker').insertAdjacentHTML('afterend', '<button id="advance-button" style="display: none;"></button>');
+            document.getElementById('agenda').value = '00:00 Panel #manual\n00:20 Outro\n00:40 FINISH';
+
+            AgendaDefender.runMeeting();
+            jest.advanceTimersByTime(30000);
+            const items = document.querySelectorAll('#ticker .agenda-item');
+            expect(items[0].querySelector('.agenda-item-text').textContent).toBe('00:00 Panel +0:10');
+            expect(items[0].classList.contains('held')).toBe(true);
+            expect(document.getElementById('advance-button').style.display).not.toBe('none');
+
+            // Number keys, section list taps and direct jumps leave it held
+            window.jumpToSectionByIndex = AgendaDefender.jumpToSectionByIndex;
+            expect(SectionNavigator.jumpToSection(1)).toBe(false);
+            expect(AgendaDefender.jumpToSectionByIndex(1)).toBe(false);
+            delete window.jumpToSectionByIndex;
+            expect(window.timerEngine.getHeldIndex()).toBe(0);
+
+            expect(SectionNavigator.nextSection()).toBe(true);
+            jest.advanceTimersByTime(100);
+            expect(items[1].querySelector('.agenda-item-text').textContent).toBe('00:20 Outro - 0:19');
+            expect(window.currentAgenda[1].concludesAt).toEqual(new Date(2026, 10, 3, 14, 0, 50));
+            expect(TimeAdjuster.getTotalAdjustments()).toBe(10000);
+            expect(document.getElementById('advance-button').style.display).toBe('none');
+
+            AgendaDefender.stopMeeting();
+            TimeAdjuster.reset();
+            delete global.SectionNavigator;
+            delete global.TimeAdjuster;
+            jest.useRealTimers();
+        });
+
+        test('should resume a meeting saved before a reload where it would be now', () => {
+            jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+            global.SessionStore = require('../scripts/session-store.js');
+            localStorage.clear();
+            document.getElementById('agenda').value = '00:00 Intro\n05:00 Talk\n10:00 FINISH';
+
+            AgendaDefender.runMeeting();
+            jest.advanceTimersByTime(2 * 60000);
+            SessionStore.saveCurrent();
+            AgendaDefender.stopMeeting();
+
+            // The page was gone for four minutes
+            jest.setSystemTime(new Date(2026, 10, 3, 14, 6));
+            document.getElementById('agenda').value = '';
+            const session = SessionStore.load();
+            AgendaDefender.resumeMeeting(session);
+            jest.advanceTimersByTime(1000);
+
+            expect(document.getElementById('agenda').value).toBe('00:00 Intro\n05:00 Talk\n10:00 FINISH');
+            expect(document.querySelectorAll('#ticker .agenda-item-text')[1].textContent).toBe('05:00 Talk - 3:59');
+            expect(window.currentAgenda[0].actualCommencesAt).toEqual(new Date(2026, 10, 3, 14, 0, 0, 50));
+
+            AgendaDefender.stopMeeting();
+            delete global.SessionStore;
+            jest.useRealTimers();
+        });
     });
 });
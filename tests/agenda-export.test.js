@@ -0,0 +1,131 @@
+/**
+ * Tests for AgendaExport
+ */
+
+const { Agenda } = require('../scripts/agenda-defender.js');
+const AgendaExport = require('../scripts/agenda-export.js');
+const IcsImport = require('../scripts/ics-import.js');
+
+describe('AgendaExport', () => {
+    const text = `# 2026-11-03
+14:00 #ff0000 Welcome, everyone @alice #intro // say "hi"
+14:10 Workshop {warn: 2m}
+  14:10 Setup
+  14:25 Exercise
+15:00 FINISH`;
+    let agenda;
+
+    beforeAll(() => {
+        // Loaded as plain scripts in the browser, where Agenda is a global
+        global.Agenda = Agenda;
+    });
+
+    afterAll(() => {
+        delete global.Agenda;
+    });
+
+    beforeEach(() => {
+        agenda = Agenda.parse(text);
+        window.running = false;
+        window.currentAgenda = null;
+        window.lastRun = undefined;
+        document.body.innerHTML = '<textarea id="agenda"></textarea>';
+    });
+
+    describe('toIcs', () => {
+        test('writes one event per section that the importer reads back', () => {
+            const ics = AgendaExport.toIcs(agenda);
+            expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+            expect(ics).toContain('SUMMARY:Welcome\\, everyone');
+            expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+
+            const events = IcsImport.parseEvents(ics);
+            expect(events.map(event => event.summary)).toEqual(['Welcome, everyone', 'Workshop']);
+            expect(events[0].start).toEqual(new Date(2026, 10, 3, 14, 0));
+            expect(events[1].end).toEqual(new Date(2026, 10, 3, 15, 0));
+        });
+
+        test('folds long lines at 75 octets without splitting a character', () => {
+            const title = 'Überblick 🚀 ' + 'données et 测试 '.repeat(8) + '🎉';
+            const ics = AgendaExport.toIcs(Agenda.parse('# 2026-11-03\n14:00 ' + title + '\n14:30 FINISH'));
+            const lines = ics.split('\r\n');
+
+            expect(lines.every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+            expect(lines.some(line => /[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/.test(line))).toBe(false);
+            expect(IcsImport.parseEvents(ics)[0].summary).toBe(title.trim());
+        });
+    });
+
+    describe('toCsv', () => {
+        test('lists start, end, duration and title', () => {
+            expect(AgendaExport.toCsv(agenda).split('\r\n')).toEqual([
+                'start,end,duration,title',
+                '2026-11-03 14:00:00,2026-11-03 14:10:00,0:10:00,"Welcome, everyone"',
+                '2026-11-03 14:10:00,2026-11-03 15:00:00,0:50:00,Workshop',
+                ''
+            ]);
+        });
+    });
+
+    describe('toJson', () => {
+        test('includes colors, metadata and sub-sections', () => {
+            const data = JSON.parse(AgendaExport.toJson(agenda));
+            expect(data.sections[0]).toEqual(expect.objectContaining({
+                title: 'Welcome, everyone',
+                color: '#ff0000',
+                owners: ['alice'],
+                tags: ['intro'],
+                notes: 'say "hi"',
+                durationMs: 600000,
+                line: 2
+            }));
+            expect(data.sections[1].thresholds).toEqual({ warn: 120000 });
+            expect(data.sections[1].children.map(child => child.title)).toEqual(['Setup', 'Exercise']);
+        });
+    });
+
+    describe('getSchedule', () => {
+        test('parses the editor text when there is no run', () => {
+            document.getElementById('agenda').value = text;
+            expect(AgendaExport.getSchedule().map(item => item.title)).toEqual(['Welcome, everyone', 'Workshop']);
+        });
+
+        test('refuses an agenda with errors', () => {
+            document.getElementById('agenda').value = '00:00 Intro';
+            expect(AgendaExport.getSchedule()).toBeNull();
+        });
+
+        test('prefers the running meeting and then the last run of the same text', () => {
+            window.running = true;
+            window.currentAgenda = agenda;
+            expect(AgendaExport.getSchedule()).toBe(agenda);
+
+            window.running = false;
+            window.currentAgenda = null;
+            window.lastRun = { text: text, agenda: agenda };
+            document.getElementById('agenda').value = text;
+            expect(AgendaExport.getSchedule()).toBe(agenda);
+
+            document.getElementById('agenda').value = text + '\n';
+            expect(AgendaExport.getSchedule()).not.toBe(agenda);
+        });
+    });
+
+    describe('exportAgenda', () => {
+        test('offers the file as a download', () => {
+            document.getElementById('agenda').value = text;
+            URL.createObjectURL = jest.fn(() => 'blob:agenda');
+            URL.revokeObjectURL = jest.fn();
+            const clicks = [];
+            const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function() {
+                clicks.push(this.download);
+            });
+
+            expect(AgendaExport.exportAgenda('csv')).toBe(true);
+            expect(clicks).toEqual(['agenda-2026-11-03.csv']);
+            expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/csv');
+
+            click.mockRestore();
+        });
+    });
+});
@@ -781,6 +781,8 @@ const AlertTrigger = require('../scripts/alert-trigger.js');
 // Make AudioManager and VibrationManager available globally for AlertTrigger
 global.AudioManager = AudioManager;
 global.VibrationManager = VibrationManager;
+// AlertTrigger applies the TimerEngine alert rules, as in the browser
+global.TimerEngine = require('../scripts/timer-engine.js');
 
 describe('AlertTrigger', () => {
     let playWarningSpy;
@@ -813,6 +815,7 @@ describe('AlertTrigger', () => {
         test('THRESHOLDS are defined correctly', () => {
             expect(AlertTrigger.THRESHOLDS.WARNING).toBe(10000);
             expect(AlertTrigger.THRESHOLDS.OVERTIME_REPEAT).toBe(30000);
+            expect(AudioManager.THRESHOLDS).toEqual(AlertTrigger.THRESHOLDS);
         });
 
         test('reset clears all state', () => {
@@ -834,6 +837,14 @@ describe('AlertTrigger', () => {
             expect(result).toHaveProperty('sectionEnd');
             expect(result).toHaveProperty('overtime');
         });
+
+        test('uses the section critical threshold instead of the global warning', () => {
+            const thresholds = { warn: 120000, critical: 30000 };
+
+            expect(AlertTrigger.checkAlerts(45000, 0, false, thresholds).warning).toBe(false);
+            expect(AlertTrigger.checkAlerts(25000, 0, false, thresholds).warning).toBe(true);
+            expect(playWarningSpy).toHaveBeenCalledTimes(1);
+        });
     });
 
     /**
@@ -842,28 +853,71 @@ describe('AlertTrigger', () => {
      * - If remaining time crosses from above 10000ms to at or below 10000ms, the warning sound SHALL be triggered exactly once
      * - If a section transition occurs, the section end sound SHALL be triggered exactly once
      * Validates: Requirements 1.1, 1.2
+     *
+     * Driven the way the app runs: a TimerEngine ticks, the bus fires what it found due,
+     * and the attached AlertTrigger plays it.
      */
     describe('Property 1: Sound trigger based on remaining time', () => {
+        const TimerEvents = require('../scripts/event-bus.js');
+        const { INTRO_DEMO, at, createClock, createEngine } = require('./helpers/fake-clock.js');
+        // Intro runs 14:00 to 14:05, Demo 14:05 to 14:15
+        const INTRO_END = at(14, 5);
+        const DEMO_END = at(14, 15);
+        let clock;
+        let engine;
+        let enteredIndex;
+
+        /**
+         * Start a fresh run on the fake clock, with every spy cleared
+         */
+        function startRun() {
+            clock = createClock(at(14, 0));
+            ({ engine } = createEngine(INTRO_DEMO, clock));
+            enteredIndex = -1;
+            jest.clearAllMocks();
+        }
+
+        /**
+         * Tick at a time and put the result on the bus, as the ticker does
+         * @param {number} time - Clock time in ms since epoch
+         * @returns {Object} The snapshot
+         */
+        function tickAt(time) {
+            clock.time = time;
+            const snapshot = engine.tick();
+            if (snapshot.index !== enteredIndex) {
+                TimerEvents.emit(TimerEvents.EVENTS.SECTION_ENTER, { index: snapshot.index, previousIndex: enteredIndex });
+                enteredIndex = snapshot.index;
+            }
+            TimerEvents.emitAlerts(snapshot);
+            return snapshot;
+        }
+
+        beforeEach(() => {
+            AlertTrigger.attach(TimerEvents);
+        });
+
+        afterEach(() => {
+            AlertTrigger.detach();
+            TimerEvents.clear();
+        });
+
         test('warning triggers exactly once when remaining time crosses 10s threshold', () => {
             fc.assert(
                 fc.property(
                     fc.integer({ min: 1, max: 10000 }),  // remainingMs at or below threshold
-                    fc.integer({ min: 0, max: 10 }),     // sectionIndex
-                    (remainingMs, sectionIndex) => {
-                        AlertTrigger.reset();
-                        playWarningSpy.mockClear();
-                        vibrateWarningSpy.mockClear();
+                    (remainingMs) => {
+                        startRun();
                         
-                        // First call - should trigger warning
-                        const result1 = AlertTrigger.checkAlerts(remainingMs, sectionIndex, false);
-                        
-                        // Second call with same remaining time - should NOT trigger again
-                        const result2 = AlertTrigger.checkAlerts(remainingMs, sectionIndex, false);
+                        const result1 = tickAt(INTRO_END - remainingMs);
+                        // Next tick with the clock held - should NOT trigger again
+                        const result2 = tickAt(INTRO_END - remainingMs);
                         
                         // Warning should be triggered exactly once
-                        return result1.warning === true && 
-                               result2.warning === false &&
-                               playWarningSpy.mock.calls.length === 1;
+                        return result1.alerts.warning === true &&
+                               result2.alerts.warning === false &&
+                               playWarningSpy.mock.calls.length === 1 &&
+                               vibrateWarningSpy.mock.calls.length === 1;
                     }
                 ),
                 { numRuns: 100 }
@@ -873,17 +927,14 @@ describe('AlertTrigger', () => {
         test('warning does not trigger when remaining time is above 10s threshold', () => {
             fc.assert(
                 fc.property(
-                    fc.integer({ min: 10001, max: 100000 }),  // remainingMs above threshold
-                    fc.integer({ min: 0, max: 10 }),          // sectionIndex
-                    (remainingMs, sectionIndex) => {
-                        AlertTrigger.reset();
-                        playWarningSpy.mockClear();
+                    fc.integer({ min: 10001, max: 300000 }),  // remainingMs above threshold
+                    (remainingMs) => {
+                        startRun();
                         
-                        const result = AlertTrigger.checkAlerts(remainingMs, sectionIndex, false);
+                        tickAt(INTRO_END - remainingMs);
                         
                         // Warning should NOT be triggered
-                        return result.warning === false && 
-                               playWarningSpy.mock.calls.length === 0;
+                        return playWarningSpy.mock.calls.length === 0;
                     }
                 ),
                 { numRuns: 100 }
@@ -893,27 +944,19 @@ describe('AlertTrigger', () => {
         test('section end triggers exactly once when section changes', () => {
             fc.assert(
                 fc.property(
-                    fc.integer({ min: 0, max: 100000 }),  // remainingMs
-                    fc.integer({ min: 0, max: 9 }),       // initialSection
-                    fc.integer({ min: 1, max: 10 }),      // sectionDelta (to ensure different section)
-                    (remainingMs, initialSection, sectionDelta) => {
-                        AlertTrigger.reset();
-                        playSectionEndSpy.mockClear();
-                        vibrateSectionEndSpy.mockClear();
-                        
-                        // First call to establish initial section
-                        AlertTrigger.checkAlerts(remainingMs, initialSection, false);
-                        playSectionEndSpy.mockClear();
-                        
-                        // Calculate new section (ensure it's different)
-                        const newSection = (initialSection + sectionDelta) % 20;
+                    fc.integer({ min: 1, max: 300000 }),  // remainingMs in the first section
+                    fc.integer({ min: 0, max: 590000 }),  // elapsedMs in the second section
+                    (remainingMs, elapsedMs) => {
+                        startRun();
                         
-                        // Second call with different section - should trigger section end
-                        const result = AlertTrigger.checkAlerts(remainingMs, newSection, false);
+                        tickAt(INTRO_END - remainingMs);
+                        const result = tickAt(INTRO_END + elapsedMs);
+                        tickAt(INTRO_END + elapsedMs);
                         
                         // Section end should be triggered exactly once
-                        return result.sectionEnd === true && 
-                               playSectionEndSpy.mock.calls.length === 1;
+                        return result.alerts.sectionEnd === true &&
+                               playSectionEndSpy.mock.calls.length === 1 &&
+                               vibrateSectionEndSpy.mock.calls.length === 1;
                     }
                 ),
                 { numRuns: 100 }
@@ -923,22 +966,16 @@ describe('AlertTrigger', () => {
         test('section end does not trigger when section stays the same', () => {
             fc.assert(
                 fc.property(
-                    fc.integer({ min: 0, max: 100000 }),  // remainingMs
-                    fc.integer({ min: 0, max: 10 }),      // sectionIndex
-                    (remainingMs, sectionIndex) => {
-                        AlertTrigger.reset();
-                        playSectionEndSpy.mockClear();
+                    fc.integer({ min: 1, max: 300000 }),  // remainingMs
+                    fc.integer({ min: 0, max: 300000 }),  // elapsedMs between the ticks
+                    (remainingMs, elapsedMs) => {
+                        startRun();
                         
-                        // First call to establish section
-                        AlertTrigger.checkAlerts(remainingMs, sectionIndex, false);
-                        playSectionEndSpy.mockClear();
-                        
-                        // Second call with same section - should NOT trigger section end
-                        const result = AlertTrigger.checkAlerts(remainingMs, sectionIndex, false);
+                        tickAt(INTRO_END - remainingMs);
+                        tickAt(INTRO_END - remainingMs + Math.min(elapsedMs, remainingMs - 1));
                         
                         // Section end should NOT be triggered
-                        return result.sectionEnd === false && 
-                               playSectionEndSpy.mock.calls.length === 0;
+                        return playSectionEndSpy.mock.calls.length === 0;
                     }
                 ),
                 { numRuns: 100 }
@@ -949,24 +986,18 @@ describe('AlertTrigger', () => {
             fc.assert(
                 fc.property(
                     fc.integer({ min: 1, max: 10000 }),   // remainingMs at or below threshold
-                    fc.integer({ min: 0, max: 9 }),       // initialSection
-                    (remainingMs, initialSection) => {
-                        AlertTrigger.reset();
-                        playWarningSpy.mockClear();
+                    (remainingMs) => {
+                        startRun();
                         
                         // Trigger warning in first section
-                        AlertTrigger.checkAlerts(remainingMs, initialSection, false);
-                        
-                        // Change section
-                        const newSection = initialSection + 1;
-                        AlertTrigger.checkAlerts(remainingMs + 20000, newSection, false);
-                        playWarningSpy.mockClear();
+                        tickAt(INTRO_END - remainingMs);
+                        // Change section, then close in on its end
+                        tickAt(INTRO_END);
+                        const result = tickAt(DEMO_END - remainingMs);
                         
                         // Warning should trigger again in new section
-                        const result = AlertTrigger.checkAlerts(remainingMs, newSection, false);
-                        
-                        return result.warning === true && 
-                               playWarningSpy.mock.calls.length === 1;
+                        return result.alerts.warning === true &&
+                               playWarningSpy.mock.calls.length === 2;
                     }
                 ),
                 { numRuns: 100 }
@@ -978,24 +1009,42 @@ describe('AlertTrigger', () => {
                 fc.property(
                     fc.integer({ min: 1, max: 10000 }),      // remainingMs at or below threshold
                     fc.integer({ min: 10001, max: 50000 }), // remainingMs above threshold
-                    fc.integer({ min: 0, max: 10 }),         // sectionIndex
-                    (belowThreshold, aboveThreshold, sectionIndex) => {
-                        AlertTrigger.reset();
-                        playWarningSpy.mockClear();
+                    (belowThreshold, aboveThreshold) => {
+                        startRun();
                         
                         // Trigger warning
-                        AlertTrigger.checkAlerts(belowThreshold, sectionIndex, false);
+                        tickAt(INTRO_END - belowThreshold);
                         expect(playWarningSpy).toHaveBeenCalledTimes(1);
                         
-                        // Go back above threshold (simulating time adjustment)
-                        AlertTrigger.checkAlerts(aboveThreshold, sectionIndex, false);
-                        playWarningSpy.mockClear();
+                        // Go back above threshold by adding time
+                        engine.adjust(aboveThreshold - belowThreshold);
+                        tickAt(clock.time);
                         
                         // Warning should trigger again when crossing threshold
-                        const result = AlertTrigger.checkAlerts(belowThreshold, sectionIndex, false);
+                        const result = tickAt(clock.time + aboveThreshold - belowThreshold);
                         
-                        return result.warning === true && 
-                               playWarningSpy.mock.calls.length === 1;
+                        return result.alerts.warning === true &&
+                               playWarningSpy.mock.calls.length === 2;
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        test('overtime repeats every 30 seconds once the last section runs over', () => {
+            fc.assert(
+                fc.property(
+                    fc.integer({ min: 1, max: 29999 }),  // overtimeMs before the first repeat
+                    (overtimeMs) => {
+                        startRun();
+                        
+                        tickAt(DEMO_END + overtimeMs);
+                        tickAt(DEMO_END + overtimeMs + 29999);
+                        const result = tickAt(DEMO_END + overtimeMs + 30000);
+                        
+                        return result.alerts.overtime === true &&
+                               playOvertimeSpy.mock.calls.length === 2 &&
+                               vibrateOvertimeSpy.mock.calls.length === 2;
                     }
                 ),
                 { numRuns: 100 }
@@ -1131,4 +1180,39 @@ describe('AlertTrigger', () => {
             expect(AlertTrigger.getLastSectionIndex()).toBe(3);
         });
     });
+
+    describe('Timer events', () => {
+        const TimerEvents = require('../scripts/event-bus.js');
+
+        afterEach(() => {
+            AlertTrigger.detach();
+            TimerEvents.clear();
+        });
+
+        test('plays alerts for section changes, warnings and overtime', () => {
+            AlertTrigger.attach(TimerEvents);
+
+            TimerEvents.emit('section:enter', { index: 0, previousIndex: -1 });
+            expect(playSectionEndSpy).not.toHaveBeenCalled();
+
+            TimerEvents.emit('section:enter', { index: 1, previousIndex: 0 });
+            TimerEvents.emit('warning', { index: 1, remaining: 9000 });
+            TimerEvents.emit('overtime', { index: 1, remaining: -1000 });
+
+            expect(playSectionEndSpy).toHaveBeenCalledTimes(1);
+            expect(vibrateSectionEndSpy).toHaveBeenCalledTimes(1);
+            expect(playWarningSpy).toHaveBeenCalledTimes(1);
+            expect(vibrateWarningSpy).toHaveBeenCalledTimes(1);
+            expect(playOvertimeSpy).toHaveBeenCalledTimes(1);
+            expect(vibrateOvertimeSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('stops playing once detached', () => {
+            const detach = AlertTrigger.attach(TimerEvents);
+            detach();
+
+            TimerEvents.emit('warning', { index: 0, remaining: 9000 });
+            expect(playWarningSpy).not.toHaveBeenCalled();
+        });
+    });
 });
@@ -0,0 +1,110 @@
+/**
+ * Tests for Clock
+ */
+
+const Clock = require('../scripts/clock.js');
+
+describe('Clock', () => {
+    const start = new Date(2026, 10, 3, 14, 0).getTime();
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: start });
+        Clock.sync();
+    });
+
+    afterEach(() => {
+        Clock.stop();
+        delete document.visibilityState;
+        jest.useRealTimers();
+    });
+
+    const setVisibility = (state) => {
+        Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+        document.dispatchEvent(new window.Event('visibilitychange'));
+    };
+
+    describe('now', () => {
+        test('follows the monotonic clock rather than the wall clock', () => {
+            jest.advanceTimersByTime(1000);
+            expect(Clock.now()).toBe(start + 1000);
+
+            // An NTP correction or a manual clock change moves only the wall clock
+            jest.setSystemTime(start - 60000);
+            expect(Clock.now()).toBe(start + 1000);
+            expect(Clock.getDrift()).toBe(-61000);
+        });
+
+        test('follows the wall clock again after a large jump', () => {
+            jest.setSystemTime(start + Clock.DRIFT_TOLERANCE_MS / 2);
+            expect(Clock.resyncIfDrifted()).toBe(false);
+
+            jest.setSystemTime(start + 3600000);
+            expect(Clock.resyncIfDrifted()).toBe(true);
+            expect(Clock.now()).toBe(start + 3600000);
+        });
+    });
+
+    describe('start', () => {
+        test('calls back on animation frames until stopped', () => {
+            const callback = jest.fn();
+            Clock.start(callback);
+            expect(Clock.isRunning()).toBe(true);
+
+            jest.advanceTimersByTime(100);
+            expect(callback.mock.calls.length).toBeGreaterThanOrEqual(5);
+
+            Clock.stop();
+            callback.mockClear();
+            jest.advanceTimersByTime(2000);
+            expect(callback).not.toHaveBeenCalled();
+            expect(Clock.isRunning()).toBe(false);
+        });
+
+        test('catches up when the tab is shown again', () => {
+            const callback = jest.fn();
+            Clock.start(callback);
+
+            setVisibility('hidden');
+            jest.setSystemTime(start + 3600000);
+            callback.mockClear();
+            setVisibility('visible');
+
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(Clock.now()).toBe(start + 3600000);
+        });
+
+        test('keeps the monotonic clock when the wall clock is set back while hidden', () => {
+            Clock.start(jest.fn());
+
+            setVisibility('hidden');
+            jest.advanceTimersByTime(5000);
+            jest.setSystemTime(start - 3600000);
+            setVisibility('visible');
+
+            expect(Clock.now()).toBe(start + 5000);
+        });
+
+        test('ignores a wall clock change made while the tab was visible', () => {
+            Clock.start(jest.fn());
+            jest.setSystemTime(start + 60000);
+
+            setVisibility('hidden');
+            jest.advanceTimersByTime(1000);
+            setVisibility('visible');
+
+            expect(Clock.now()).toBe(start + 1000);
+        });
+
+        test('falls back to an interval without requestAnimationFrame', () => {
+            const requestAnimationFrame = global.requestAnimationFrame;
+            delete global.requestAnimationFrame;
+            const callback = jest.fn();
+
+            Clock.start(callback);
+            jest.advanceTimersByTime(200);
+            expect(callback).toHaveBeenCalledTimes(4);
+
+            global.requestAnimationFrame = requestAnimationFrame;
+        });
+    });
+});
@@ -80,6 +80,15 @@ describe('Core UX Improvements', () => {
                 { numRuns: 100 }
             );
         });
+
+        test('per-section thresholds replace the defaults they set', () => {
+            const thresholds = { warn: 120000, critical: 30000 };
+            expect(TimeWarnings.getWarningClass(150000, thresholds)).toBe('warning-green');
+            expect(TimeWarnings.getWarningClass(60000, thresholds)).toBe('warning-yellow');
+            expect(TimeWarnings.getWarningClass(20000, thresholds)).toBe('warning-red');
+            expect(TimeWarnings.getWarningClass(20000, { warn: 120000 })).toBe('warning-yellow');
+            expect(TimeWarnings.getWarningClass(0, thresholds)).toBe('warning-overtime');
+        });
     });
 
     describe('ProgressBar Module', () => {
@@ -146,6 +155,30 @@ describe('Core UX Improvements', () => {
                 { numRuns: 100 }
             );
         });
+
+        test('renders sub-section markers inside their section segment', () => {
+            const sections = [
+                { commencesAt: 0, concludesAt: 1000, text: 'Intro', children: [] },
+                {
+                    commencesAt: 1000, concludesAt: 3000, text: 'Workshop',
+                    children: [
+                        { commencesAt: 1000, concludesAt: 1500, text: 'Setup' },
+                        { commencesAt: 1500, concludesAt: 3000, text: 'Exercise' }
+                    ]
+                }
+            ];
+
+            const container = ProgressBar.render(sections, 1);
+            const subsegments = container.querySelectorAll('.progress-segment')[1]
+                .querySelectorAll('.progress-subsegment');
+            expect(subsegments).toHaveLength(2);
+            expect(subsegments[1].style.left).toBe('25%');
+            expect(subsegments[1].style.width).toBe('75%');
+
+            ProgressBar.update(1, 1);
+            expect(subsegments[0].getAttribute('data-status')).toBe('complete');
+            expect(subsegments[1].getAttribute('data-status')).toBe('current');
+        });
     });
 
     describe('FullscreenManager Module', () => {
@@ -0,0 +1,113 @@
+/**
+ * Tests for TimerEvents
+ */
+
+const TimerEvents = require('../scripts/event-bus.js');
+
+describe('TimerEvents', () => {
+    afterEach(() => {
+        TimerEvents.clear();
+        jest.restoreAllMocks();
+    });
+
+    describe('on and emit', () => {
+        test('passes the payload and event type to listeners', () => {
+            const listener = jest.fn();
+            TimerEvents.on('section:enter', listener);
+
+            TimerEvents.emit('section:enter', { index: 2, title: 'Demo' });
+            TimerEvents.emit('section:exit', { index: 2 });
+
+            expect(listener).toHaveBeenCalledTimes(1);
+            expect(listener).toHaveBeenCalledWith({ type: 'section:enter', index: 2, title: 'Demo' });
+        });
+
+        test('keeps calling other listeners when one fails', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const listener = jest.fn();
+            TimerEvents.on('pause', () => { throw new Error('broken plugin'); });
+            TimerEvents.on('pause', listener);
+
+            TimerEvents.emit('pause', {});
+            expect(listener).toHaveBeenCalled();
+            expect(console.error).toHaveBeenCalled();
+        });
+    });
+
+    describe('off and once', () => {
+        test('unsubscribe by function or by the returned handle', () => {
+            const first = jest.fn();
+            const second = jest.fn();
+            TimerEvents.on('jump', first);
+            const unsubscribe = TimerEvents.on('jump', second);
+
+            TimerEvents.off('jump', first);
+            unsubscribe();
+            TimerEvents.emit('jump', {});
+
+            expect(first).not.toHaveBeenCalled();
+            expect(second).not.toHaveBeenCalled();
+        });
+
+        test('once fires a single time and can be removed with off', () => {
+            const listener = jest.fn();
+            TimerEvents.once('warning', listener);
+            TimerEvents.emit('warning', {});
+            TimerEvents.emit('warning', {});
+            expect(listener).toHaveBeenCalledTimes(1);
+
+            const removed = jest.fn();
+            TimerEvents.once('warning', removed);
+            TimerEvents.off('warning', removed);
+            TimerEvents.emit('warning', {});
+            expect(removed).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('describeSection', () => {
+        test('reports planned, scheduled and actual times', () => {
+            const section = {
+                title: 'Demo',
+                plannedCommencesAt: new Date(2026, 10, 3, 14, 0),
+                plannedConcludesAt: new Date(2026, 10, 3, 14, 10),
+                commencesAt: new Date(2026, 10, 3, 14, 0),
+                concludesAt: new Date(2026, 10, 3, 14, 12),
+                actualCommencesAt: new Date(2026, 10, 3, 14, 1)
+            };
+
+            expect(TimerEvents.describeSection(section, 1, 30000)).toEqual({
+                index: 1,
+                title: 'Demo',
+                plannedStart: new Date(2026, 10, 3, 14, 0),
+                plannedEnd: new Date(2026, 10, 3, 14, 10),
+                scheduledStart: new Date(2026, 10, 3, 14, 0),
+                scheduledEnd: new Date(2026, 10, 3, 14, 12),
+                actualStart: new Date(2026, 10, 3, 14, 1),
+                actualEnd: null,
+                remaining: 30000
+            });
+        });
+    });
+
+    describe('emitAlerts', () => {
+        test('fires the warning and overtime events a tick found due', () => {
+            const warning = jest.fn();
+            const overtime = jest.fn();
+            TimerEvents.on(TimerEvents.EVENTS.WARNING, warning);
+            TimerEvents.on(TimerEvents.EVENTS.OVERTIME, overtime);
+            const section = { title: 'Demo' };
+
+            TimerEvents.emitAlerts({ section, index: 1, remaining: 9000,
+                alerts: { sectionEnd: false, warning: true, overtime: false } });
+            TimerEvents.emitAlerts({ section, index: 1, remaining: -4000,
+                alerts: { sectionEnd: false, warning: false, overtime: true } });
+            TimerEvents.emitAlerts({ section, index: 1, remaining: -5000,
+                alerts: { sectionEnd: false, warning: false, overtime: false } });
+
+            expect(warning).toHaveBeenCalledTimes(1);
+            expect(warning).toHaveBeenCalledWith(expect.objectContaining({ index: 1, title: 'Demo', remaining: 9000 }));
+            expect(overtime).toHaveBeenCalledTimes(1);
+            expect(overtime).toHaveBeenCalledWith(expect.objectContaining({ index: 1, overtimeMs: 4000 }));
+        });
+    });
+});
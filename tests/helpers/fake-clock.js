@@ -0,0 +1,51 @@
+/**
+ * Fake clock shared by the tests that drive a TimerEngine
+ *
+ * Every run takes place on 3 November 2026, on a clock that only moves when the test
+ * moves it:
+ *   const clock = createClock(at(14, 2));
+ *   const { agenda, engine } = createEngine(INTRO_DEMO, clock);
+ *   clock.time = at(14, 5);
+ */
+
+const { Agenda } = require('../../scripts/agenda-defender.js');
+const TimerEngine = require('../../scripts/timer-engine.js');
+
+// Date header that puts clock times on the test day
+const DATE_HEADER = '# 2026-11-03\n';
+
+// Two sections, used wherever the agenda itself does not matter
+const INTRO_DEMO = '14:00 Intro\n14:05 Demo\n14:15 FINISH';
+
+/**
+ * Get a time on the test day
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ * @param {number} [seconds] - Seconds
+ * @returns {number} Milliseconds since epoch
+ */
+function at(hours, minutes, seconds) {
+    return new Date(2026, 10, 3, hours, minutes, seconds || 0).getTime();
+}
+
+/**
+ * Make a clock that stays where the test puts it
+ * @param {number} time - Starting time in ms since epoch
+ * @returns {Object} Clock for TimerEngine.create; set its time to move it
+ */
+function createClock(time) {
+    return { time: time, now() { return this.time; } };
+}
+
+/**
+ * Parse agenda lines for the test day and run them on an engine
+ * @param {string} lines - Agenda lines, without a date header
+ * @param {Object} clock - From createClock()
+ * @returns {{agenda: Array, engine: Object}} Parsed agenda and its TimerEngine
+ */
+function createEngine(lines, clock) {
+    const agenda = Agenda.parse(DATE_HEADER + lines);
+    return { agenda: agenda, engine: TimerEngine.create(agenda, clock) };
+}
+
+module.exports = { DATE_HEADER, INTRO_DEMO, at, createClock, createEngine };
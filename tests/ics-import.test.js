@@ -0,0 +1,134 @@
+/**
+ * Tests for IcsImport
+ */
+
+const { Agenda } = require('../scripts/agenda-defender.js');
+const IcsImport = require('../scripts/ics-import.js');
+
+const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+    'END:VCALENDAR'
+].join('\r\n');
+
+describe('IcsImport', () => {
+    beforeAll(() => {
+        // Loaded as a plain script in the browser, where Agenda is a global
+        global.Agenda = Agenda;
+    });
+
+    afterAll(() => {
+        delete global.Agenda;
+    });
+
+    describe('parseEvents', () => {
+        test('reads UTC, zoned and floating times', () => {
+            const events = IcsImport.parseEvents(calendar(
+                ['SUMMARY:UTC', 'DTSTART:20261103T140000Z', 'DTEND:20261103T150000Z'],
+                ['SUMMARY:Zoned', 'DTSTART;TZID=America/New_York:20260701T090000', 'DTEND;TZID=America/New_York:20260701T100000'],
+                ['SUMMARY:Floating', 'DTSTART:20261103T090000', 'DURATION:PT45M']
+            ));
+
+            expect(events.map(event => event.summary)).toEqual(['UTC', 'Zoned', 'Floating']);
+            expect(events[0].start.getTime()).toBe(Date.UTC(2026, 10, 3, 14, 0));
+            expect(events[1].start.getTime()).toBe(Date.UTC(2026, 6, 1, 13, 0));
+            expect(events[1].end.getTime()).toBe(Date.UTC(2026, 6, 1, 14, 0));
+            expect(events[2].start).toEqual(new Date(2026, 10, 3, 9, 0));
+            expect(events[2].end).toEqual(new Date(2026, 10, 3, 9, 45));
+        });
+
+        test('applies standard time after a daylight saving change', () => {
+            const [event] = IcsImport.parseEvents(calendar(
+                ['SUMMARY:Winter', 'DTSTART;TZID="America/New_York":20261103T090000', 'DTEND;TZID=America/New_York:20261103T100000']
+            ));
+            expect(event.start.getTime()).toBe(Date.UTC(2026, 10, 3, 14, 0));
+        });
+
+        test('unfolds long lines, unescapes text and ignores nested components', () => {
+            const [event] = IcsImport.parseEvents(calendar([
+                'SUMMARY:Planning\\, part one',
+                '  and two',
+                'DTSTART:20261103T140000Z',
+                'BEGIN:VALARM',
+                'SUMMARY:Reminder',
+                'END:VALARM',
+                'DTEND:20261103T150000Z'
+            ]));
+            expect(event.summary).toBe('Planning, part one and two');
+            expect(event.end.getTime()).toBe(Date.UTC(2026, 10, 3, 15, 0));
+        });
+
+        test('marks all-day events and skips cancelled ones', () => {
+            const events = IcsImport.parseEvents(calendar(
+                ['SUMMARY:Offsite', 'DTSTART;VALUE=DATE:20261103', 'DTEND;VALUE=DATE:20261104'],
+                ['SUMMARY:Cancelled', 'STATUS:CANCELLED', 'DTSTART:20261103T140000Z']
+            ));
+            expect(events).toHaveLength(1);
+            expect(events[0].allDay).toBe(true);
+            expect(events[0].start).toEqual(new Date(2026, 10, 3));
+        });
+    });
+
+    describe('importText', () => {
+        test('builds an absolute agenda with breaks and a FINISH at the last end', () => {
+            const result = IcsImport.importText(calendar(
+                ['SUMMARY:Review', 'DTSTART:20261103T110000', 'DTEND:20261103T113000'],
+                ['SUMMARY:Kick-off', 'DTSTART:20261103T100000', 'DTEND:20261103T110000'],
+                ['SUMMARY:Offsite', 'DTSTART;VALUE=DATE:20261103']
+            ));
+
+            expect(result.text).toBe([
+                '// All day: Offsite (2026-11-03)',
+                '# 2026-11-03',
+                '10:00 Kick-off',
+                '11:00 Review',
+                '11:30 FINISH'
+            ].join('\n'));
+            expect(result.diagnostics).toEqual([]);
+            expect(result.items.map(item => item.title)).toEqual(['Kick-off', 'Review']);
+            expect(result.items[0].commencesAt).toEqual(new Date(2026, 10, 3, 10, 0));
+        });
+
+        test('fills gaps with breaks and starts a new date header each day', () => {
+            const result = IcsImport.importText(calendar(
+                ['SUMMARY:Day one', 'DTSTART:20261103T090000', 'DTEND:20261103T170000'],
+                ['SUMMARY:Day two', 'DTSTART:20261104T090000', 'DTEND:20261104T120000']
+            ));
+
+            expect(result.text).toBe([
+                '# 2026-11-03',
+                '09:00 Day one',
+                '17:00 Break',
+                '# 2026-11-04',
+                '09:00 Day two',
+                '12:00 FINISH'
+            ].join('\n'));
+            expect(result.items).toHaveLength(3);
+            expect(result.items[2].concludesAt).toEqual(new Date(2026, 10, 4, 12, 0));
+        });
+
+        test('keeps event summaries from being read as settings, notes, tags or owners', () => {
+            const result = IcsImport.importText(calendar(
+                ['SUMMARY:#1 Sync with @ops {draft} // see doc\\nAgenda', 'DTSTART:20261103T100000', 'DTEND:20261103T110000'],
+                ['SUMMARY:{}', 'DTSTART:20261103T110000', 'DTEND:20261103T113000']
+            ));
+
+            expect(result.text).toBe([
+                '# 2026-11-03',
+                '10:00 1 Sync with ops draft',
+                '11:00 Untitled',
+                '11:30 FINISH'
+            ].join('\n'));
+            expect(result.items.map(item => item.title)).toEqual(['1 Sync with ops draft', 'Untitled']);
+            expect(result.items[0].owners).toEqual([]);
+        });
+
+        test('reports an empty agenda when there are no timed events', () => {
+            const result = IcsImport.importText(calendar(['SUMMARY:Offsite', 'DTSTART;VALUE=DATE:20261103']));
+            expect(result.items).toEqual([]);
+            expect(result.diagnostics[0].kind).toBe(Agenda.DIAGNOSTIC_KINDS.EMPTY);
+        });
+    });
+});
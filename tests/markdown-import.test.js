@@ -0,0 +1,166 @@
+/**
+ * Tests for MarkdownImport
+ */
+
+const { Agenda } = require('../scripts/agenda-defender.js');
+const MarkdownImport = require('../scripts/markdown-import.js');
+
+describe('MarkdownImport', () => {
+    beforeAll(() => {
+        // Loaded as a plain script in the browser, where Agenda is a global
+        global.Agenda = Agenda;
+    });
+
+    afterAll(() => {
+        delete global.Agenda;
+    });
+
+    describe('parse', () => {
+        test('uses timing comments on headings', () => {
+            const sections = MarkdownImport.parse(`# My talk
+
+## Intro <!-- 2m -->
+Some words.
+
+## **Live** demo <!-- 1h5m -->
+
+### Details
+More words.
+
+## [Q&A](https://example.com) <!-- time: 90s -->`);
+
+            expect(sections).toEqual([
+                { title: 'Intro', duration: 120000 },
+                { title: 'Live demo', duration: 65 * 60000 },
+                { title: 'Q&A', duration: 90000 }
+            ]);
+        });
+
+        test('times a slide from a timing comment on its own line', () => {
+            const sections = MarkdownImport.parse(`---
+marp: true
+---
+
+# Welcome
+<!-- 3m -->
+
+---
+
+<!-- 1m -->
+Just a picture`);
+
+            expect(sections).toEqual([
+                { title: 'Welcome', duration: 180000 },
+                { title: 'Slide 2', duration: 60000 }
+            ]);
+        });
+
+        test('uses slides as sections when nothing is timed', () => {
+            const sections = MarkdownImport.parse(`# One
+
+---
+
+# Two
+## Sub-point
+
+---
+
+# Three`, { defaultDuration: 60000 });
+
+            expect(sections.map(section => section.title)).toEqual(['One', 'Two', 'Three']);
+            expect(sections.every(section => section.duration === 60000)).toBe(true);
+        });
+
+        test('uses top-level headings when there are no slides or times', () => {
+            const sections = MarkdownImport.parse('## Alpha\n### Detail\n## Beta');
+            expect(sections).toEqual([
+                { title: 'Alpha', duration: MarkdownImport.DEFAULT_OPTIONS.defaultDuration },
+                { title: 'Beta', duration: MarkdownImport.DEFAULT_OPTIONS.defaultDuration }
+            ]);
+        });
+
+        test('ignores code blocks and reads setext headings', () => {
+            const sections = MarkdownImport.parse(`Overview <!-- 4m -->
+========
+
+\`\`\`md
+## Not a heading <!-- 9m -->
+\`\`\`
+
+Wrap-up <!-- 1m -->
+---`);
+
+            expect(sections).toEqual([
+                { title: 'Overview', duration: 240000 },
+                { title: 'Wrap-up', duration: 60000 }
+            ]);
+        });
+
+        test('breaks slides on "---" after a code block or a list', () => {
+            const sections = MarkdownImport.parse(`# Setup <!-- 2m -->
+
+\`\`\`sh
+npm install
+\`\`\`
+---
+# Steps <!-- 3m -->
+
+- one
+lazy continuation
+---
+# Done <!-- 1m -->`);
+
+            expect(sections).toEqual([
+                { title: 'Setup', duration: 120000 },
+                { title: 'Steps', duration: 180000 },
+                { title: 'Done', duration: 60000 }
+            ]);
+        });
+    });
+
+    describe('importText', () => {
+        test('emits a relative agenda that Agenda.parse accepts', () => {
+            const result = MarkdownImport.importText('## Intro <!-- 2m -->\n## Demo <!-- 5m30s -->\n## Q&A <!-- 100m -->');
+
+            expect(result.text).toBe('00:00 Intro\n02:00 Demo\n07:30 Q&A\n107:30 FINISH');
+            expect(result.diagnostics).toEqual([]);
+            expect(result.items.map(item => item.concludesAt - item.commencesAt)).toEqual([120000, 330000, 6000000]);
+        });
+
+        test('keeps headings from being read as settings, notes, tags or owners', () => {
+            const result = MarkdownImport.importText('## Step #2: ask @audience {poll} <!-- 2m -->\n## Wrap up // thanks <!-- 1m -->\n## {} <!-- 1m -->');
+
+            expect(result.text).toBe('00:00 Step 2: ask audience poll\n02:00 Wrap up\n03:00 Untitled\n04:00 FINISH');
+            expect(result.diagnostics).toEqual([]);
+            expect(result.items[0].owners).toEqual([]);
+            expect(result.items[0].tags).toEqual([]);
+        });
+
+        test('warns about each untimed slide left out when other slides are timed', () => {
+            const result = MarkdownImport.importText(`# Intro <!-- 2m -->
+
+---
+
+# Demo
+
+---
+
+A picture
+
+---
+
+# Q&A <!-- 3m -->`);
+
+            expect(result.text).toBe('00:00 Intro\n02:00 Q&A\n05:00 FINISH');
+            expect(result.diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.message])).toEqual([
+                [Agenda.SEVERITY.WARNING, 'Slide 2 "Demo" has no timing comment while other slides do, so it was left out']
+            ]);
+        });
+
+        test('reports an empty agenda for a document without headings', () => {
+            const result = MarkdownImport.importText('Just a paragraph.');
+            expect(result.text).toBe('');
+            expect(result.diagnostics[0].kind).toBe(Agenda.DIAGNOSTIC_KINDS.EMPTY);
+        });
+    });
+});
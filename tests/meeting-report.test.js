@@ -0,0 +1,99 @@
+/**
+ * Tests for MeetingReport
+ */
+
+const MeetingReport = require('../scripts/meeting-report.js');
+
+describe('MeetingReport', () => {
+    const at = (minutes, seconds) => new Date(2026, 10, 3, 14, minutes, seconds || 0);
+    const entry = (index, title, plannedMinutes, actualMs, extra) => Object.assign({
+        index, title,
+        plannedDuration: plannedMinutes * 60000,
+        actualDuration: actualMs,
+        adjustmentsMs: 0,
+        pausedMs: 0,
+        visits: 1
+    }, extra);
+    const log = {
+        startedAt: at(0),
+        endedAt: at(21),
+        completed: true,
+        pausedMs: 60000,
+        adjustmentsMs: 30000,
+        sections: [
+            entry(0, 'Intro', 5, 7.5 * 60000, { adjustmentsMs: 30000, pausedMs: 60000 }),
+            entry(1, 'Demo | live', 10, 12 * 60000),
+            entry(2, 'Q&A', 5, 2.5 * 60000),
+            entry(3, 'Wrap-up', 1, 0, { visits: 0 })
+        ]
+    };
+
+    afterEach(() => {
+        MeetingReport.hide();
+        delete global.AgendaExport;
+    });
+
+    test('compares planned and actual durations and finds the worst overruns', () => {
+        const report = MeetingReport.build(log);
+        expect(report).toEqual(expect.objectContaining({
+            plannedMs: 21 * 60000, actualMs: 21 * 60000, overrunMs: 0, adjustmentsMs: 30000
+        }));
+        // Time spent paused is left out of the actual duration
+        expect(report.sections[0]).toEqual(expect.objectContaining({ actualMs: 6.5 * 60000, deltaMs: 1.5 * 60000, pausedMs: 60000 }));
+        expect(report.sections[2]).toEqual(expect.objectContaining({ deltaMs: -2.5 * 60000, skipped: false }));
+        expect(report.sections[3].skipped).toBe(true);
+        expect(report.topOverruns.map(section => section.title)).toEqual(['Demo | live', 'Intro']);
+    });
+
+    test('writes Markdown for retro notes', () => {
+        expect(MeetingReport.toMarkdown(MeetingReport.build(log))).toBe([
+            '# Meeting report',
+            '',
+            'Started 2026-11-03 14:00. Ran 21:00 of 21:00 planned, on time.',
+            '',
+            '| Section | Planned | Actual | Delta | Adjustments |',
+            '| --- | ---: | ---: | ---: | ---: |',
+            '| Intro | 5:00 | 6:30 | +1:30 | +0:30 |',
+            '| Demo \\| live | 10:00 | 12:00 | +2:00 |  |',
+            '| Q&A | 5:00 | 2:30 | -2:30 |  |',
+            '| Wrap-up (skipped) | 1:00 | 0:00 | -1:00 |  |',
+            '| **Total** | 21:00 | 21:00 | 0:00 | +0:30 |',
+            '',
+            'Most time over plan:',
+            '',
+            '- Demo | live (+2:00)',
+            '- Intro (+1:30)',
+            ''
+        ].join('\n'));
+    });
+
+    test('writes JSON', () => {
+        const json = JSON.parse(MeetingReport.toJson(MeetingReport.build(log)));
+        expect(json.startedAt).toBe(at(0).toISOString());
+        expect(json.sections).toHaveLength(4);
+    });
+
+    test('shows the report with download buttons and closes on Escape', () => {
+        global.AgendaExport = { download: jest.fn() };
+        const report = MeetingReport.showForLog(log);
+
+        const overlay = document.querySelector('.meeting-report-overlay');
+        expect(overlay.querySelectorAll('.meeting-report-table tr')).toHaveLength(6);
+        expect(overlay.querySelector('.meeting-report-summary').textContent).toBe(
+            'Ran 21:00 of 21:00 planned, on time.');
+
+        overlay.querySelector('[data-format="md"]').click();
+        expect(AgendaExport.download).toHaveBeenCalledWith('meeting-report-2026-11-03.md',
+            MeetingReport.toMarkdown(report), 'text/markdown');
+
+        document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+        expect(document.querySelector('.meeting-report-overlay')).toBeNull();
+    });
+
+    test('shows nothing for a run that never started a section', () => {
+        const idle = Object.assign({}, log, { sections: log.sections.map(section => Object.assign({}, section, { visits: 0 })) });
+        expect(MeetingReport.showForLog(idle)).toBeNull();
+        expect(MeetingReport.showForLog(null)).toBeNull();
+        expect(document.querySelector('.meeting-report-overlay')).toBeNull();
+    });
+});
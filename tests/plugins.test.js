@@ -0,0 +1,141 @@
+/**
+ * Tests for the plugin API (AgendaDefender.use)
+ */
+
+const { Agenda } = require('../scripts/agenda-defender.js');
+const AgendaDefender = require('../scripts/plugins.js');
+const TimerEvents = require('../scripts/event-bus.js');
+const KeyboardShortcuts = require('../scripts/keyboard-shortcuts.js');
+
+describe('AgendaDefender plugins', () => {
+    beforeAll(() => {
+        // Loaded as plain scripts in the browser, where these are globals
+        global.Agenda = Agenda;
+        global.TimerEvents = TimerEvents;
+        global.KeyboardShortcuts = KeyboardShortcuts;
+        KeyboardShortcuts.setDebug(false);
+    });
+
+    afterAll(() => {
+        delete global.Agenda;
+        delete global.TimerEvents;
+        delete global.KeyboardShortcuts;
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="ticker-controls"><a id="close-ticker">&times;</a></div>';
+        KeyboardShortcuts.initialize();
+    });
+
+    afterEach(() => {
+        AgendaDefender.getPlugins().forEach(name => AgendaDefender.remove(name));
+        KeyboardShortcuts.destroy();
+        TimerEvents.clear();
+    });
+
+    const pressKey = (code, shiftKey) => {
+        document.dispatchEvent(new window.KeyboardEvent('keydown', { code, shiftKey, bubbles: true }));
+    };
+
+    test('installs a plugin that uses every extension point', () => {
+        const calls = [];
+        const installed = AgendaDefender.use({
+            name: 'bell',
+            install(api) {
+                api.on('section:enter', event => calls.push('enter ' + event.title));
+                api.addButton({ id: 'bell-button', label: '🔔', title: 'Ring', onClick: () => calls.push('click') });
+                api.registerShortcut('KeyB', () => calls.push('key'), { description: 'Ring the bell' });
+                api.registerDirective('bell', (args, context) => {
+                    if (args !== 'on') context.report(context.line, Agenda.DIAGNOSTIC_KINDS.UNPARSEABLE, Agenda.SEVERITY.WARNING, 'Say on');
+                });
+            }
+        });
+
+        expect(installed).toBe(true);
+        expect(AgendaDefender.getPlugins()).toEqual(['bell']);
+
+        TimerEvents.emit('section:enter', { title: 'Intro' });
+        const button = document.getElementById('bell-button');
+        expect(button.nextElementSibling.id).toBe('close-ticker');
+        button.click();
+        pressKey('KeyB');
+        expect(calls).toEqual(['enter Intro', 'click', 'key']);
+
+        expect(document.querySelector('.shortcut-group-custom').textContent).toContain('Ring the bell');
+        expect(Agenda.analyze('@bell on\n00:00 Intro\n05:00 FINISH').diagnostics).toEqual([]);
+        expect(Agenda.analyze('@bell off\n00:00 Intro\n05:00 FINISH').diagnostics[0].message).toBe('Say on');
+    });
+
+    test('hands what its directives returned to the plugin', () => {
+        AgendaDefender.use({
+            name: 'bell',
+            install(api) {
+                api.registerDirective('bell', args => args !== 'off');
+            }
+        });
+
+        const result = Agenda.analyze('@bell off\n@advance manual\n00:00 Intro\n05:00 FINISH');
+        expect(result.directives).toEqual([
+            { line: 1, name: 'bell', args: 'off', value: false },
+            { line: 2, name: 'advance', args: 'manual', value: undefined }
+        ]);
+    });
+
+    test('undoes everything a plugin registered when it is removed', () => {
+        const listener = jest.fn();
+        const uninstall = jest.fn();
+        AgendaDefender.use({
+            name: 'bell',
+            install(api) {
+                api.on('warning', listener);
+                api.addButton({ id: 'bell-button', label: '🔔', onClick() {} });
+                api.registerShortcut('KeyB', listener);
+                api.registerDirective('bell', () => {});
+            },
+            uninstall
+        });
+
+        expect(AgendaDefender.remove('bell')).toBe(true);
+        expect(uninstall).toHaveBeenCalled();
+
+        TimerEvents.emit('warning', {});
+        pressKey('KeyB');
+        expect(listener).not.toHaveBeenCalled();
+        expect(document.getElementById('bell-button')).toBeNull();
+        expect(Agenda.directives.bell).toBeUndefined();
+        expect(Agenda.analyze('@bell\n00:00 Intro\n05:00 FINISH').diagnostics).toHaveLength(1);
+    });
+
+    test('rolls back a plugin whose install fails', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const installed = AgendaDefender.use({
+            name: 'broken',
+            install(api) {
+                api.addButton({ id: 'broken-button', label: '!', onClick() {} });
+                throw new Error('oops');
+            }
+        });
+
+        expect(installed).toBe(false);
+        expect(document.getElementById('broken-button')).toBeNull();
+        expect(AgendaDefender.getPlugins()).toEqual([]);
+        console.error.mockRestore();
+    });
+
+    test('refuses duplicate names and built-in keys and directives', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const results = {};
+        AgendaDefender.use({
+            name: 'greedy',
+            install(api) {
+                results.space = api.registerShortcut('Space', () => {});
+                results.start = api.registerDirective('start', () => {});
+            }
+        });
+
+        expect(results).toEqual({ space: false, start: false });
+        expect(AgendaDefender.use({ name: 'greedy', install() {} })).toBe(false);
+        expect(typeof Agenda.directives.start).toBe('function');
+        console.warn.mockRestore();
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for RecordMode
+ */
+
+const { Agenda } = require('../scripts/agenda-defender.js');
+const TouchGestureHandler = require('../scripts/touch-gesture-handler.js');
+const RecordMode = require('../scripts/record-mode.js');
+
+describe('RecordMode', () => {
+    const pressKey = (code, key) => document.dispatchEvent(new KeyboardEvent('keydown', { code, key, bubbles: true }));
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date(2026, 10, 3, 14, 0) });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        document.body.innerHTML = '<textarea id="agenda"></textarea><div id="ticker" style="display: none;"></div>';
+        global.KeyboardShortcuts = { setEnabled: jest.fn() };
+        global.RecordMode = RecordMode;
+        // Loaded as a plain script in the browser, where Agenda is a global
+        global.Agenda = Agenda;
+    });
+
+    afterEach(() => {
+        RecordMode.cancel();
+        delete global.KeyboardShortcuts;
+        delete global.RecordMode;
+        delete global.Agenda;
+        window.running = false;
+        console.log.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('writes a relative agenda that Agenda.parse reads back', () => {
+        const text = RecordMode.toAgendaText([
+            { startMs: 0, title: 'Intro' },
+            { startMs: 252400, title: '' },
+            { startMs: 4512000, title: ' Live demo #1 with @sam {v2} // notes' }
+        ], 4600000);
+        expect(text).toBe('00:00 Intro\n04:12 Section 2\n75:12 Live demo 1 with sam v2\n76:40 FINISH');
+
+        const agenda = Agenda.parse(text);
+        expect(agenda.map(item => item.title)).toEqual(['Intro', 'Section 2', 'Live demo 1 with sam v2']);
+        expect(agenda[0].isRelativeMode).toBe(true);
+        expect(agenda[2].concludesAt - agenda[0].commencesAt).toBe(4600000);
+    });
+
+    test('rounds FINISH up, past the start of the last section', () => {
+        expect(RecordMode.toAgendaText([{ startMs: 0, title: 'Intro' }, { startMs: 90400, title: 'Demo' }], 90900))
+            .toBe('00:00 Intro\n01:30 Demo\n01:31 FINISH');
+        expect(RecordMode.toAgendaText([{ startMs: 0, title: 'Intro' }, { startMs: 90000, title: 'Demo' }], 90000))
+            .toBe('00:00 Intro\n01:30 Demo\n01:31 FINISH');
+    });
+
+    test('marks sections with N and writes the agenda into the text box on Finish', () => {
+        const onInput = jest.fn();
+        document.getElementById('agenda').addEventListener('input', onInput);
+        expect(RecordMode.start()).toBe(true);
+        expect(KeyboardShortcuts.setEnabled).toHaveBeenCalledWith(false);
+        expect(document.getElementById('ticker').style.display).toBe('block');
+
+        const title = document.querySelector('#ticker .record-title');
+        title.value = 'Welcome';
+        title.dispatchEvent(new Event('input'));
+
+        jest.advanceTimersByTime(90000);
+        expect(document.querySelector('.record-elapsed').textContent).toBe('01:30');
+        pressKey('KeyN', 'n');
+        // A second press straight after is taken as a bounce
+        pressKey('KeyN', 'n');
+        expect(title.value).toBe('');
+
+        jest.advanceTimersByTime(150000);
+        document.querySelector('.record-finish').click();
+
+        expect(RecordMode.isRecording()).toBe(false);
+        expect(document.getElementById('agenda').value).toBe('00:00 Welcome\n01:30 Section 2\n04:00 FINISH');
+        expect(onInput).toHaveBeenCalled();
+        expect(KeyboardShortcuts.setEnabled).toHaveBeenLastCalledWith(true);
+        expect(document.getElementById('ticker').style.display).toBe('none');
+    });
+
+    test('marks sections with a left swipe through TouchGestureHandler', () => {
+        RecordMode.start();
+        jest.advanceTimersByTime(5000);
+        TouchGestureHandler.handleSwipe('right');
+        TouchGestureHandler.handleSwipe('left');
+        expect(RecordMode.getSections()).toEqual([{ startMs: 0, title: '' }, { startMs: 5000, title: '' }]);
+    });
+
+    test('hands the keys back from the title field on Enter, and discards the recording on Escape', () => {
+        document.getElementById('agenda').value = '14:00 Kept\n15:00 FINISH';
+        RecordMode.start();
+        const title = document.querySelector('#ticker .record-title');
+        title.focus();
+        const typeInTitle = (code, key) => title.dispatchEvent(new KeyboardEvent('keydown', { code, key, bubbles: true }));
+
+        jest.advanceTimersByTime(5000);
+        typeInTitle('KeyN', 'n');
+        expect(RecordMode.getSections()).toHaveLength(1);
+        typeInTitle('Enter', 'Enter');
+        expect(document.activeElement).not.toBe(title);
+        pressKey('KeyN', 'n');
+        expect(RecordMode.getSections()).toHaveLength(2);
+
+        title.focus();
+        typeInTitle('Escape', 'Escape');
+        expect(RecordMode.isRecording()).toBe(true);
+        pressKey('Escape', 'Escape');
+        expect(RecordMode.isRecording()).toBe(false);
+        expect(document.getElementById('agenda').value).toBe('14:00 Kept\n15:00 FINISH');
+    });
+
+    test('cancels without touching the text box, and will not start over a meeting', () => {
+        document.getElementById('agenda').value = '14:00 Kept\n15:00 FINISH';
+        RecordMode.start();
+        document.querySelector('.record-cancel').click();
+        expect(RecordMode.isRecording()).toBe(false);
+        expect(document.getElementById('agenda').value).toBe('14:00 Kept\n15:00 FINISH');
+
+        window.running = true;
+        expect(RecordMode.start()).toBe(false);
+    });
+});
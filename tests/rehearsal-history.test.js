@@ -0,0 +1,116 @@
+/**
+ * Tests for RehearsalHistory
+ */
+
+const TimerEvents = require('../scripts/event-bus.js');
+const RehearsalHistory = require('../scripts/rehearsal-history.js');
+
+describe('RehearsalHistory', () => {
+    const text = '14:00 Intro\n14:05 Demo\n14:15 FINISH';
+    const minutes = (value) => value * 60000;
+    let runNumber;
+
+    // A completed TimingRecorder log with the given actual lengths in minutes, and Intro paused for introPaused
+    const logOf = (intro, demo, introPaused) => {
+        runNumber++;
+        return {
+            completed: true,
+            endedAt: new Date(2026, 10, 3, 14, 15, runNumber),
+            sections: [
+                { title: 'Intro', plannedDuration: minutes(5), actualDuration: minutes(intro + (introPaused || 0)), pausedMs: minutes(introPaused || 0) },
+                { title: 'Demo', plannedDuration: minutes(10), actualDuration: minutes(demo), pausedMs: 0 }
+            ]
+        };
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        runNumber = 0;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        RehearsalHistory.hide();
+        TimerEvents.clear();
+        window.lastRun = null;
+        delete global.TimingRecorder;
+        delete global.AgendaExport;
+        console.log.mockRestore();
+    });
+
+    test('stores completed runs per agenda, away from the saved agenda text', () => {
+        localStorage.setItem('agenda_text', text);
+        RehearsalHistory.record(text, logOf(6, 9, 2));
+        expect(RehearsalHistory.record(text, Object.assign(logOf(1, 1), { completed: false }))).toBeNull();
+        RehearsalHistory.record('14:00 Other\n14:30 FINISH', logOf(30, 0));
+
+        const runs = RehearsalHistory.getRuns(text);
+        expect(runs).toHaveLength(1);
+        expect(runs[0].sections).toEqual([
+            { title: 'Intro', plannedMs: minutes(5), actualMs: minutes(6) },
+            { title: 'Demo', plannedMs: minutes(10), actualMs: minutes(9) }
+        ]);
+        expect(localStorage.getItem('agenda_text')).toBe(text);
+        expect(localStorage.getItem(RehearsalHistory.KEY_PREFIX + RehearsalHistory.hashText(text))).not.toBeNull();
+    });
+
+    test('tells whether each section is converging on its target', () => {
+        RehearsalHistory.record(text, logOf(8, 10));
+        RehearsalHistory.record(text, logOf(7, 10));
+        RehearsalHistory.record(text, logOf(6, 12));
+        RehearsalHistory.record(text, logOf(5, 13));
+
+        const trends = RehearsalHistory.getTrends(RehearsalHistory.getRuns(text));
+        expect(trends[0]).toEqual({
+            title: 'Intro', plannedMs: minutes(5),
+            durations: [minutes(8), minutes(7), minutes(6), minutes(5)],
+            trend: RehearsalHistory.TRENDS.CONVERGING
+        });
+        expect(trends[1].trend).toBe(RehearsalHistory.TRENDS.DIVERGING);
+    });
+
+    test('keeps only the most recent runs', () => {
+        for (let i = 0; i < RehearsalHistory.MAX_RUNS + 2; i++) {
+            RehearsalHistory.record(text, logOf(5, 10));
+        }
+        const runs = RehearsalHistory.getRuns(text);
+        expect(runs).toHaveLength(RehearsalHistory.MAX_RUNS);
+        expect(runs[0].recordedAt).toBe(new Date(2026, 10, 3, 14, 15, 3).getTime());
+    });
+
+    test('records the run when a meeting completes', () => {
+        global.TimingRecorder = { getLog: () => logOf(5, 10) };
+        window.lastRun = { text };
+        const detach = RehearsalHistory.attach(TimerEvents);
+
+        TimerEvents.emit('meeting:stop', { completed: false });
+        expect(RehearsalHistory.getRuns(text)).toHaveLength(0);
+        TimerEvents.emit('meeting:stop', { completed: true });
+        expect(RehearsalHistory.getRuns(text)).toHaveLength(1);
+        detach();
+    });
+
+    test('charts each section and deletes and exports runs from the view', () => {
+        global.AgendaExport = { download: jest.fn() };
+        const download = AgendaExport.download;
+        RehearsalHistory.record(text, logOf(6, 9));
+        RehearsalHistory.record(text, logOf(5, 10));
+
+        const overlay = RehearsalHistory.show(text);
+        expect(overlay.querySelectorAll('.rehearsal-section')).toHaveLength(2);
+        expect(overlay.querySelectorAll('.rehearsal-chart rect')).toHaveLength(4);
+        expect(overlay.querySelector('.rehearsal-section').classList).toContain('trend-converging');
+
+        overlay.querySelector('.rehearsal-export').click();
+        expect(download).toHaveBeenCalledWith(expect.stringMatching(/^rehearsals-.*\.json$/), expect.any(String), 'application/json');
+        expect(JSON.parse(download.mock.calls[0][1]).runs).toHaveLength(2);
+
+        overlay.querySelector('.rehearsal-delete').click();
+        expect(RehearsalHistory.getRuns(text)).toHaveLength(1);
+        expect(document.querySelectorAll('.rehearsal-history-overlay')).toHaveLength(1);
+        expect(document.querySelectorAll('.rehearsal-chart rect')).toHaveLength(2);
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        expect(document.querySelector('.rehearsal-history-overlay')).toBeNull();
+    });
+});
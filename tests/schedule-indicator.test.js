@@ -0,0 +1,76 @@
+/**
+ * Tests for ScheduleIndicator
+ */
+
+const TimerEngine = require('../scripts/timer-engine.js');
+const ScheduleIndicator = require('../scripts/schedule-indicator.js');
+const { INTRO_DEMO, at, createClock, createEngine } = require('./helpers/fake-clock.js');
+
+describe('ScheduleIndicator', () => {
+    let clock;
+    let agenda;
+    let engine;
+
+    beforeEach(() => {
+        clock = createClock(at(14, 2));
+        ({ agenda, engine } = createEngine(INTRO_DEMO, clock));
+    });
+
+    const status = () => ScheduleIndicator.compute(agenda, engine.getSnapshot(), clock.time);
+
+    test('is on schedule while the run follows the plan', () => {
+        expect(status()).toEqual({
+            plannedEnd: new Date(at(14, 15)),
+            projectedEnd: new Date(at(14, 15)),
+            varianceMs: 0
+        });
+        expect(ScheduleIndicator.format(status())).toBe('On schedule · ends 14:15');
+    });
+
+    test('falls behind with added time, pauses and jumps back', () => {
+        engine.adjust(30000);
+        engine.adjust(30000);
+        expect(ScheduleIndicator.format(status())).toBe('+1:00 behind · ends 14:16');
+
+        engine.pause();
+        clock.time = at(14, 3, 15);
+        expect(status().varianceMs).toBe(135000);
+        expect(ScheduleIndicator.format(status())).toBe('+2:15 behind · ends 14:17');
+        engine.resume();
+
+        engine.seek(0);
+        expect(status().varianceMs).toBe(at(14, 3, 15) - at(14, 0) - TimerEngine.SEEK_BUFFER_MS + 60000);
+    });
+
+    test('gets ahead by moving on early, and keeps slipping while a section runs over', () => {
+        engine.seek(1);
+        expect(ScheduleIndicator.format(status())).toBe('−3:00 ahead · ends 14:11');
+
+        agenda[1].manualAdvance = true;
+        clock.time = at(14, 14);
+        engine.seekTo(at(14, 16));
+        expect(engine.getSnapshot().held).toBe(true);
+        expect(ScheduleIndicator.format(status())).toBe('−1:00 ahead · ends 14:14');
+        clock.time = at(14, 17);
+        expect(ScheduleIndicator.format(status())).toBe('+2:00 behind · ends 14:17');
+    });
+
+    test('updates its element on every engine tick', () => {
+        document.body.innerHTML = '<div id="ticker"></div>';
+        document.getElementById('ticker').appendChild(ScheduleIndicator.initialize());
+        jest.useFakeTimers({ now: at(14, 2) });
+        ScheduleIndicator.attach(engine);
+
+        engine.adjust(90000);
+        engine.tick();
+        const element = document.getElementById('schedule-indicator');
+        expect(element.textContent).toBe('+1:30 behind · ends 14:16');
+        expect(element.classList).toContain('behind');
+
+        engine.seek(1);
+        engine.tick();
+        expect(element.classList).toContain('ahead');
+        expect(element.classList).not.toContain('behind');
+        jest.useRealTimers();
+    });
+});
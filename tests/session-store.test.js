@@ -0,0 +1,118 @@
+/**
+ * Tests for SessionStore
+ */
+
+const { Agenda } = require('../scripts/agenda-defender.js');
+const TimerEngine = require('../scripts/timer-engine.js');
+const TimerEvents = require('../scripts/event-bus.js');
+const SessionStore = require('../scripts/session-store.js');
+const { DATE_HEADER, at, createClock, createEngine } = require('./helpers/fake-clock.js');
+
+describe('SessionStore', () => {
+    const lines = '14:00 Intro\n14:10 Workshop\n  14:10 Setup\n  14:25 Exercise\n15:00 FINISH';
+    const text = DATE_HEADER + lines;
+    let clock;
+    let agenda;
+    let engine;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: at(14, 12) });
+        clock = createClock(at(14, 12));
+        ({ agenda, engine } = createEngine(lines, clock));
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        window.timerEngine = null;
+        window.currentAgenda = null;
+        window.lastRun = null;
+        TimerEvents.clear();
+    });
+
+    const saveNow = () => SessionStore.save(SessionStore.capture(engine, agenda, { text, startedAt: at(14, 0) }));
+
+    test('saves and restores the adjusted schedule', () => {
+        engine.adjust(60000);
+        agenda[0].actualCommencesAt = new Date(at(14, 0, 1));
+        saveNow();
+
+        const session = SessionStore.load();
+        expect(session).toEqual(expect.objectContaining({ text, startedAt: at(14, 0), effectiveAt: at(14, 12), paused: false }));
+
+        const fresh = Agenda.parse(session.text);
+        TimerEngine.create(fresh, clock);
+        expect(SessionStore.applySchedule(fresh, session)).toBe(true);
+        expect(fresh[1].concludesAt).toEqual(new Date(at(15, 1)));
+        expect(fresh[1].children[1].concludesAt).toEqual(new Date(at(15, 1)));
+        expect(fresh[1].plannedConcludesAt).toEqual(new Date(at(15, 0)));
+        expect(fresh[0].actualCommencesAt).toEqual(new Date(at(14, 0, 1)));
+    });
+
+    test('counts the time a running meeting was away, but not a paused one', () => {
+        saveNow();
+        const running = SessionStore.load();
+        expect(SessionStore.getResumeTime(running, at(14, 20))).toBe(at(14, 20));
+
+        engine.pause();
+        saveNow();
+        const paused = SessionStore.load();
+        expect(paused.paused).toBe(true);
+        expect(SessionStore.getResumeTime(paused, at(14, 20))).toBe(at(14, 12));
+    });
+
+    test('refuses a schedule that does not fit the agenda', () => {
+        saveNow();
+        const session = SessionStore.load();
+        expect(SessionStore.applySchedule(Agenda.parse('14:00 Intro\n15:00 FINISH'), session)).toBe(false);
+    });
+
+    test('discards old, foreign and unreadable sessions', () => {
+        saveNow();
+        expect(SessionStore.load(at(14, 12) + SessionStore.MAX_AGE_MS + 1)).toBeNull();
+        expect(localStorage.getItem(SessionStore.STORAGE_KEY)).toBeNull();
+
+        localStorage.setItem(SessionStore.STORAGE_KEY, JSON.stringify({ version: 0 }));
+        expect(SessionStore.load()).toBeNull();
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        localStorage.setItem(SessionStore.STORAGE_KEY, '{');
+        expect(SessionStore.load()).toBeNull();
+        console.error.mockRestore();
+    });
+
+    test('saves on timer events and forgets the session when the meeting stops', () => {
+        window.timerEngine = engine;
+        window.currentAgenda = agenda;
+        window.lastRun = { text, agenda, startedAt: at(14, 0) };
+        const detach = SessionStore.attach(TimerEvents);
+
+        TimerEvents.emit('adjust', {});
+        expect(SessionStore.load().effectiveAt).toBe(at(14, 12));
+
+        clock.time = at(14, 13);
+        TimerEvents.emit('pause', {});
+        expect(SessionStore.load().effectiveAt).toBe(at(14, 13));
+
+        TimerEvents.emit('meeting:stop', {});
+        expect(SessionStore.load()).toBeNull();
+
+        detach();
+        TimerEvents.emit('adjust', {});
+        expect(SessionStore.load()).toBeNull();
+    });
+
+    test('offers to resume or discard a saved session', () => {
+        document.body.innerHTML = '<div id="textarea-wrapper"><textarea id="agenda"></textarea></div>';
+        saveNow();
+        const onResume = jest.fn();
+
+        SessionStore.showResumePrompt(SessionStore.load(), onResume).querySelector('.resume-button').click();
+        expect(onResume).toHaveBeenCalledWith(expect.objectContaining({ text }));
+        expect(document.querySelector('.resume-banner')).toBeNull();
+
+        SessionStore.showResumePrompt(SessionStore.load(), onResume).querySelector('.discard-button').click();
+        expect(onResume).toHaveBeenCalledTimes(1);
+        expect(SessionStore.load()).toBeNull();
+    });
+});
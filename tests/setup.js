@@ -2,6 +2,9 @@ const { TextEncoder, TextDecoder } = require('util');
 global.TextEncoder = TextEncoder;
 global.TextDecoder = TextDecoder;
 
+// Loaded ahead of the timer scripts in the browser, which use it as a global
+global.TimeUtils = require('../scripts/time-utils.js');
+
 // Set up window and document
 const { JSDOM } = require('jsdom');
 const dom = new JSDOM(`
@@ -0,0 +1,27 @@
+/**
+ * Tests for TimeUtils
+ */
+
+const TimeUtils = require('../scripts/time-utils.js');
+
+describe('TimeUtils', () => {
+    afterEach(() => {
+        delete global.Clock;
+    });
+
+    test('formats lengths as M:SS, and H:MM:SS from an hour up', () => {
+        expect(TimeUtils.formatLength(0)).toBe('0:00');
+        expect(TimeUtils.formatLength(90400)).toBe('1:30');
+        expect(TimeUtils.formatLength(-135000)).toBe('2:15');
+        expect(TimeUtils.formatLength(3725000)).toBe('1:02:05');
+        expect(TimeUtils.formatLength(300000, true)).toBe('0:05:00');
+        expect(TimeUtils.pad(7)).toBe('07');
+    });
+
+    test('reads the monotonic Clock when it is loaded', () => {
+        global.Clock = { now: () => 1234 };
+        expect(TimeUtils.now()).toBe(1234);
+        delete global.Clock;
+        expect(Math.abs(TimeUtils.now() - Date.now())).toBeLessThan(1000);
+    });
+});
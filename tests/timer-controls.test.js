@@ -2,6 +2,7 @@ const fc = require('fast-check');
 
 // Mock modules that will be tested
 let PauseController, SectionNavigator, TimeAdjuster, TouchGestureHandler;
+const TimerEngine = require('../scripts/timer-engine.js');
 
 describe('Timer Controls', () => {
     beforeEach(() => {
@@ -167,10 +168,13 @@ describe('Timer Controls', () => {
             // Load the PauseController module
             PauseController = require('../scripts/pause-controller.js');
             
-            // Set up global timer state
+            // Set up global timer state; the pause belongs to the meeting's TimerEngine
             global.window = global.window || {};
             global.window.running = true;
-            global.window.timeOffset = 0;
+            const start = Date.now();
+            global.window.timerEngine = TimerEngine.create([
+                { text: 'Section 1', commencesAt: new Date(start), concludesAt: new Date(start + 3600000) }
+            ]);
         });
 
         describe('State Management', () => {
@@ -279,6 +283,7 @@ describe('Timer Controls', () => {
 
         afterEach(() => {
             PauseController.reset();
+            global.window.timerEngine = null;
         });
 
         describe('Property-Based Tests', () => {
@@ -299,10 +304,10 @@ describe('Timer Controls', () => {
                         // Reset state
                         PauseController.reset();
                         global.window.running = true;
-                        global.window.timeOffset = timerPos;
+                        global.window.timerEngine.reset();
 
                         // Record initial state
-                        const initialTimeOffset = global.window.timeOffset;
+                        const initialTime = global.window.timerEngine.now();
                         
                         // Pause the timer
                         const pauseResult = PauseController.pause();
@@ -315,9 +320,9 @@ describe('Timer Controls', () => {
                         const resumeResult = PauseController.resume();
                         expect(resumeResult).toBe(true);
                         
-                        // Verify that timeOffset was adjusted to exclude paused time
-                        const expectedTimeOffset = initialTimeOffset - pauseDuration;
-                        expect(global.window.timeOffset).toBe(expectedTimeOffset);
+                        // Verify that the effective time excludes the paused time
+                        expect(global.window.timerEngine.now()).toBe(initialTime);
+                        expect(PauseController.getPausedDuration()).toBe(pauseDuration);
                         
                         // Verify pause state is cleared
                         expect(PauseController.isPaused()).toBe(false);
@@ -416,7 +421,6 @@ describe('Timer Controls', () => {
             // Set up global timer state
             global.window = global.window || {};
             global.window.running = true;
-            global.window.timeOffset = 0;
             
             // Create mock agenda with 5 sections
             const now = Date.now();
@@ -476,11 +480,11 @@ describe('Timer Controls', () => {
                 }
             ];
             
+            global.window.timerEngine = TimerEngine.create(global.window.currentAgenda);
+
             // Mock jumpToSectionByIndex function
-            global.window.jumpToSectionByIndex = jest.fn((targetIndex) => {
-                // Simulate jumping by adjusting timeOffset
-                const targetSection = global.window.currentAgenda[targetIndex];
-                global.window.timeOffset = targetSection.commencesAt.getTime() - Date.now() + 100;
+            global.window.jumpToSectionByIndex = jest.fn((targetIndex, childIndex) => {
+                return global.window.timerEngine.seek(targetIndex, childIndex);
             });
             
             // Set up DOM for section list
@@ -528,7 +532,7 @@ describe('Timer Controls', () => {
 
             test('should handle boundary condition at first section', () => {
                 // Start at section 0
-                global.window.timeOffset = 0;
+                global.window.timerEngine.reset();
                 
                 const result = SectionNavigator.previousSection();
                 expect(result).toBe(false);
@@ -548,6 +552,50 @@ describe('Timer Controls', () => {
             });
         });
 
+        describe('Sub-section Navigation', () => {
+            beforeEach(() => {
+                const section = global.window.currentAgenda[1];
+                const start = section.commencesAt.getTime();
+                section.children = [
+                    { text: 'Part A', commencesAt: new Date(start), concludesAt: new Date(start + 30000) },
+                    { text: 'Part B', commencesAt: new Date(start + 30000), concludesAt: new Date(start + 60000) }
+                ];
+            });
+
+            afterEach(() => {
+                delete global.window.currentAgenda[1].children;
+            });
+
+            test('should step into sub-sections that start after their section', () => {
+                SectionNavigator.jumpToSection(1);
+
+                expect(SectionNavigator.nextSection()).toBe(true);
+                expect(global.window.jumpToSectionByIndex).toHaveBeenLastCalledWith(1, 1);
+
+                expect(SectionNavigator.nextSection()).toBe(true);
+                expect(global.window.jumpToSectionByIndex).toHaveBeenLastCalledWith(2);
+            });
+
+            test('should step back out of a sub-section', () => {
+                SectionNavigator.jumpToChild(1, 1);
+
+                expect(SectionNavigator.previousSection()).toBe(true);
+                expect(global.window.jumpToSectionByIndex).toHaveBeenLastCalledWith(1);
+            });
+
+            test('should skip sub-sections when asked', () => {
+                SectionNavigator.jumpToSection(1);
+
+                expect(SectionNavigator.nextSection({ skipChildren: true })).toBe(true);
+                expect(global.window.jumpToSectionByIndex).toHaveBeenLastCalledWith(2);
+            });
+
+            test('should reject invalid sub-section indices', () => {
+                expect(SectionNavigator.jumpToChild(1, 5)).toBe(false);
+                expect(SectionNavigator.jumpToChild(0, 0)).toBe(false);
+            });
+        });
+
         describe('UI Updates', () => {
             test('should create section list', () => {
                 const sectionList = SectionNavigator.createSectionList();
@@ -575,7 +623,7 @@ describe('Timer Controls', () => {
                     fc.constantFrom('next', 'previous', 'jump'), // Random navigation method
                     (targetSection, navMethod) => {
                         // Reset state
-                        global.window.timeOffset = 0;
+                        global.window.timerEngine.reset();
                         global.window.jumpToSectionByIndex.mockClear();
                         
                         // Create section list
@@ -612,11 +660,9 @@ describe('Timer Controls', () => {
                             // Verify jumpToSectionByIndex was called with correct index
                             expect(global.window.jumpToSectionByIndex).toHaveBeenCalledWith(expectedIndex);
                             
-                            // Verify timeOffset was updated
+                            // Verify the engine moved to the section
                             const expectedTime = global.window.currentAgenda[expectedIndex].commencesAt.getTime();
-                            const actualOffset = global.window.timeOffset;
-                            const currentTime = Date.now();
-                            const calculatedTime = currentTime + actualOffset;
+                            const calculatedTime = global.window.timerEngine.now();
                             
                             // Allow small tolerance for timing (within 200ms)
                             expect(Math.abs(calculatedTime - expectedTime)).toBeLessThan(200);
@@ -634,6 +680,7 @@ describe('Timer Controls', () => {
 
         afterEach(() => {
             SectionNavigator.destroy();
+            global.window.timerEngine = null;
         });
     });
 
@@ -647,7 +694,6 @@ describe('Timer Controls', () => {
             // Set up global timer state
             global.window = global.window || {};
             global.window.running = true;
-            global.window.timeOffset = 0;
             
             // Create mock agenda with 5 sections
             // Start the agenda 2 minutes in the past so there's room to go backward
@@ -681,6 +727,8 @@ describe('Timer Controls', () => {
                     concludesAt: new Date(agendaStart + 300000) // 5 minutes
                 }
             ];
+            // The running meeting's TimerEngine owns the schedule
+            global.window.timerEngine = TimerEngine.create(global.window.currentAgenda);
             
             // Reset TimeAdjuster state
             TimeAdjuster.reset();
@@ -688,6 +736,7 @@ describe('Timer Controls', () => {
 
         afterEach(() => {
             TimeAdjuster.reset();
+            global.window.timerEngine = null;
         });
 
         describe('Basic Operations', () => {
@@ -788,6 +837,38 @@ describe('Timer Controls', () => {
             });
         });
 
+        describe('Before The Agenda Starts', () => {
+            beforeEach(() => {
+                // Move the whole agenda 2 minutes into the future, as @start +2m would
+                global.window.currentAgenda.forEach(section => {
+                    section.commencesAt = new Date(section.commencesAt.getTime() + 240000);
+                    section.concludesAt = new Date(section.concludesAt.getTime() + 240000);
+                });
+            });
+
+            test('should delay every section when time is added', () => {
+                const starts = global.window.currentAgenda.map(section => section.commencesAt.getTime());
+                const ends = global.window.currentAgenda.map(section => section.concludesAt.getTime());
+
+                expect(TimeAdjuster.addTime(30)).toBe(true);
+
+                global.window.currentAgenda.forEach((section, i) => {
+                    expect(section.commencesAt.getTime()).toBe(starts[i] + 30000);
+                    expect(section.concludesAt.getTime()).toBe(ends[i] + 30000);
+                });
+            });
+
+            test('should not bring the start forward past now', () => {
+                const firstSection = global.window.currentAgenda[0];
+                const length = firstSection.concludesAt - firstSection.commencesAt;
+
+                expect(TimeAdjuster.subtractTime(600)).toBe(true);
+
+                expect(Math.abs(firstSection.commencesAt.getTime() - Date.now())).toBeLessThan(200);
+                expect(firstSection.concludesAt - firstSection.commencesAt).toBe(length);
+            });
+        });
+
         describe('State Tracking', () => {
             test('should track total adjustments', async () => {
                 TimeAdjuster.addTime(30);
@@ -835,7 +916,6 @@ describe('Timer Controls', () => {
                         // Reset state and recreate agenda for each test
                         TimeAdjuster.reset();
                         global.window.running = true;
-                        global.window.timeOffset = 0;
                         
                         // Create a fresh agenda with known times
                         const agendaStart = Date.now();
@@ -851,6 +931,7 @@ describe('Timer Controls', () => {
                                 concludesAt: new Date(agendaStart + 120000) // 2 minutes
                             }
                         ];
+                        global.window.timerEngine = TimerEngine.create(global.window.currentAgenda);
                         
                         const currentSection = global.window.currentAgenda[0];
                         
@@ -881,7 +962,6 @@ describe('Timer Controls', () => {
                         // Reset state and recreate agenda for each test
                         TimeAdjuster.reset();
                         global.window.running = true;
-                        global.window.timeOffset = 0;
                         
                         // Create a fresh agenda with known times
                         const agendaStart = Date.now();
@@ -902,6 +982,7 @@ describe('Timer Controls', () => {
                                 concludesAt: new Date(agendaStart + 180000) // 3 minutes
                             }
                         ];
+                        global.window.timerEngine = TimerEngine.create(global.window.currentAgenda);
                         
                         // Record initial section durations
                         const section2Duration = global.window.currentAgenda[1].concludesAt.getTime() - 
@@ -0,0 +1,340 @@
+/**
+ * Tests for TimerEngine
+ */
+
+const TimerEngine = require('../scripts/timer-engine.js');
+const { at, createClock, createEngine } = require('./helpers/fake-clock.js');
+
+describe('TimerEngine', () => {
+    const text = `14:00 Intro
+14:10 Workshop
+  14:10 Setup
+  14:25 Exercise
+15:00 FINISH`;
+    let clock;
+    let agenda;
+    let engine;
+
+    beforeEach(() => {
+        clock = createClock(at(13, 55));
+        ({ agenda, engine } = createEngine(text, clock));
+    });
+
+    describe('getSnapshot', () => {
+        test('counts down to the first section', () => {
+            const snapshot = engine.getSnapshot();
+            expect(snapshot.started).toBe(false);
+            expect(snapshot.startsIn).toBe(5 * 60000);
+            expect(snapshot.index).toBe(0);
+        });
+
+        test('follows the clock through sections and sub-sections', () => {
+            clock.time = at(14, 5);
+            expect(engine.getSnapshot()).toEqual(expect.objectContaining({
+                started: true, finished: false, index: 0, childIndex: -1, remaining: 5 * 60000, elapsed: 5 * 60000
+            }));
+
+            clock.time = at(14, 30);
+            expect(engine.getCurrentIndex()).toBe(1);
+            expect(engine.getCurrentChildIndex()).toBe(1);
+            expect(engine.getRemaining()).toBe(30 * 60000);
+        });
+
+        test('stays on the last section once the agenda is over', () => {
+            clock.time = at(15, 1);
+            const snapshot = engine.getSnapshot();
+            expect(snapshot.finished).toBe(true);
+            expect(snapshot.index).toBe(1);
+            expect(snapshot.remaining).toBe(-60000);
+        });
+    });
+
+    describe('pause and resume', () => {
+        test('freeze the effective time', () => {
+            clock.time = at(14, 5);
+            expect(engine.pause()).toBe(true);
+            expect(engine.pause()).toBe(false);
+
+            clock.time = at(14, 8);
+            expect(engine.isPaused()).toBe(true);
+            expect(engine.now()).toBe(at(14, 5));
+            expect(engine.getPausedDuration()).toBe(3 * 60000);
+            expect(engine.getPauseLength()).toBe(3 * 60000);
+
+            engine.resume();
+            clock.time = at(14, 9);
+            expect(engine.now()).toBe(at(14, 6));
+        });
+    });
+
+    describe('seek', () => {
+        test('lands just after the start of a section or sub-section', () => {
+            clock.time = at(14, 5);
+            expect(engine.seek(1, 1)).toBe(true);
+            expect(engine.now()).toBe(at(14, 25) + TimerEngine.SEEK_BUFFER_MS);
+
+            engine.seek(0);
+            expect(engine.getCurrentIndex()).toBe(0);
+            expect(engine.seek(5)).toBe(false);
+
+            engine.reset();
+            expect(engine.now()).toBe(at(14, 5));
+        });
+    });
+
+    describe('adjust', () => {
+        test('extends the current section and moves later ones', () => {
+            clock.time = at(14, 15);
+            expect(engine.adjust(60000)).toBe(60000);
+            expect(agenda[1].concludesAt).toEqual(new Date(at(15, 1)));
+            expect(agenda[1].children[1].concludesAt).toEqual(new Date(at(15, 1)));
+        });
+
+        test('never leaves less than the minimum in the current section', () => {
+            clock.time = at(14, 9, 50);
+            expect(engine.adjust(-30000)).toBe(-5000);
+            expect(engine.getRemaining()).toBe(TimerEngine.MIN_REMAINING_MS);
+            expect(engine.adjust(-30000)).toBe(0);
+        });
+
+        test('moves the whole agenda before it starts, but not into the past', () => {
+            expect(engine.adjust(-10 * 60000)).toBe(-5 * 60000);
+            expect(agenda[0].commencesAt).toEqual(new Date(at(13, 55)));
+            expect(agenda[1].children[0].commencesAt).toEqual(new Date(at(14, 5)));
+        });
+    });
+
+    describe('rebalance', () => {
+        const lengths = () => agenda.map(section => (section.concludesAt - section.commencesAt) / 60000);
+
+        beforeEach(() => {
+            ({ agenda, engine } = createEngine('14:00 Intro\n14:10 Talk\n14:30 Demo\n14:40 Break\n14:50 FINISH', clock));
+            clock.time = at(14, 5);
+        });
+
+        test('takes added time from later sections in proportion to their lengths', () => {
+            engine.adjust(4 * 60000);
+            expect(engine.rebalance(0, 4 * 60000)).toBe(0);
+            expect(lengths()).toEqual([14, 18, 9, 9]);
+            expect(agenda[3].concludesAt).toEqual(new Date(at(14, 50)));
+        });
+
+        test('leaves fixed sections alone and squeezes none below its minimum', () => {
+            agenda[1].fixed = true;
+            agenda[2].minDuration = 9 * 60000;
+            engine.adjust(3 * 60000);
+            expect(engine.rebalance(0, 3 * 60000)).toBe(0);
+            expect(lengths()).toEqual([13, 20, 9, 8]);
+        });
+
+        test('moves the end by whatever later sections cannot spare', () => {
+            agenda[1].fixed = true;
+            agenda[2].fixed = true;
+            agenda[3].minDuration = 8 * 60000;
+            engine.adjust(5 * 60000);
+            expect(engine.rebalance(0, 5 * 60000)).toBe(3 * 60000);
+            expect(lengths()).toEqual([15, 20, 10, 8]);
+            expect(agenda[3].concludesAt).toEqual(new Date(at(14, 53)));
+        });
+
+        test('gives time a section lost back to the flexible sections after it', () => {
+            agenda[2].fixed = true;
+            engine.adjust(-3 * 60000);
+            expect(engine.rebalance(0, -3 * 60000)).toBe(0);
+            expect(lengths()).toEqual([7, 22, 10, 11]);
+        });
+
+        test('stretches sub-sections with their section', () => {
+            ({ agenda, engine } = createEngine(text, clock));
+            engine.adjust(10 * 60000);
+            expect(engine.rebalance(0, 10 * 60000)).toBe(0);
+            expect(agenda[1].commencesAt).toEqual(new Date(at(14, 20)));
+            expect(agenda[1].children[1].commencesAt).toEqual(new Date(at(14, 32)));
+            expect(agenda[1].children[1].concludesAt).toEqual(new Date(at(15, 0)));
+        });
+    });
+
+    describe('manual advance', () => {
+        test('holds a manual section in overtime until it is released', () => {
+            agenda[0].manualAdvance = true;
+            clock.time = at(14, 12);
+            expect(engine.getSnapshot()).toEqual(expect.objectContaining({ index: 0, held: true, remaining: -2 * 60000 }));
+            expect(engine.getHeldIndex()).toBe(0);
+
+            engine.release(0);
+            expect(engine.getSnapshot()).toEqual(expect.objectContaining({ index: 1, held: false }));
+            expect(engine.getHeldIndex()).toBe(-1);
+        });
+
+        test('stays held through jumps until it is released', () => {
+            agenda[0].manualAdvance = true;
+            clock.time = at(14, 12);
+
+            expect(engine.seek(1)).toBe(false);
+            expect(engine.seek(1, 1)).toBe(false);
+            expect(engine.getHeldIndex()).toBe(0);
+
+            engine.release(0);
+            expect(engine.seek(1, 1)).toBe(true);
+            expect(engine.getCurrentChildIndex()).toBe(1);
+        });
+
+        test('holds again after seeking back to a released section', () => {
+            agenda[0].manualAdvance = true;
+            clock.time = at(14, 12);
+            engine.release(0);
+            engine.seek(1);
+            expect(engine.getCurrentIndex()).toBe(1);
+
+            engine.seek(0);
+            clock.time += 10 * 60000;
+            expect(engine.getHeldIndex()).toBe(0);
+        });
+    });
+
+    describe('subscribe', () => {
+        test('passes each tick to subscribers until they unsubscribe', () => {
+            const listener = jest.fn();
+            const unsubscribe = engine.subscribe(listener);
+
+            clock.time = at(14, 1);
+            engine.tick();
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ index: 0, remaining: 9 * 60000 }));
+
+            unsubscribe();
+            engine.tick();
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('alerts', () => {
+        test('uses the section critical threshold, or the default', () => {
+            expect(TimerEngine.getWarningMs({ thresholds: { warn: 120000, critical: 30000 } })).toBe(30000);
+            expect(TimerEngine.getWarningMs({ thresholds: { warn: 120000 } })).toBe(TimerEngine.WARNING_MS);
+            expect(TimerEngine.getWarningMs({})).toBe(10000);
+        });
+
+        test('warns once before a section ends, and again after time was added', () => {
+            clock.time = at(14, 9, 45);
+            expect(engine.tick().alerts.warning).toBe(false);
+            clock.time = at(14, 9, 51);
+            expect(engine.tick().alerts.warning).toBe(true);
+            clock.time = at(14, 9, 55);
+            expect(engine.tick().alerts.warning).toBe(false);
+
+            engine.adjust(60000);
+            expect(engine.tick().alerts.warning).toBe(false);
+            clock.time = at(14, 10, 51);
+            expect(engine.tick().alerts.warning).toBe(true);
+        });
+
+        test('marks the end of a section when the run moves on', () => {
+            clock.time = at(14, 9);
+            expect(engine.tick().alerts.sectionEnd).toBe(false);
+            clock.time = at(14, 11);
+            expect(engine.tick().alerts.sectionEnd).toBe(true);
+            expect(engine.tick().alerts.sectionEnd).toBe(false);
+        });
+
+        test('repeats the overtime alert while the last section runs over', () => {
+            clock.time = at(15, 0, 1);
+            expect(engine.tick().alerts.overtime).toBe(true);
+            clock.time = at(15, 0, 30);
+            expect(engine.tick().alerts.overtime).toBe(false);
+            clock.time = at(15, 0, 31);
+            expect(engine.tick().alerts.overtime).toBe(true);
+        });
+
+        test('has none due before the start or while paused', () => {
+            expect(engine.tick().alerts).toEqual({ sectionEnd: false, warning: false, overtime: false });
+
+            clock.time = at(14, 9, 51);
+            engine.pause();
+            expect(engine.tick().alerts.warning).toBe(false);
+            engine.resume();
+            expect(engine.tick().alerts.warning).toBe(true);
+        });
+
+        test('createAlerts works out the same rules from raw numbers', () => {
+            const alerts = TimerEngine.createAlerts();
+
+            expect(alerts.check({ index: 0, remaining: 8000, now: 0 })).toEqual(
+                { sectionEnd: false, warning: true, overtime: false });
+            expect(alerts.check({ index: 0, remaining: 20000, now: 0, warningMs: 30000 }).warning).toBe(false);
+            expect(alerts.check({ index: 1, remaining: -1000, now: 5000 })).toEqual(
+                { sectionEnd: true, warning: false, overtime: true });
+            expect(alerts.getState()).toEqual(
+                { lastWarningTriggered: false, lastSectionIndex: 1, lastOvertimeAlert: 5000 });
+
+            alerts.reset();
+            expect(alerts.check({ index: 1, remaining: 5000, now: 0 }).sectionEnd).toBe(false);
+        });
+    });
+
+    describe('with the timer controls', () => {
+        beforeAll(() => {
+            global.PauseController = require('../scripts/pause-controller.js');
+            global.TimeAdjuster = require('../scripts/time-adjuster.js');
+        });
+
+        afterAll(() => {
+            delete global.PauseController;
+            delete global.TimeAdjuster;
+        });
+
+        beforeEach(() => {
+            clock.time = at(14, 5);
+            window.running = true;
+            window.currentAgenda = agenda;
+            window.timerEngine = engine;
+        });
+
+        afterEach(() => {
+            PauseController.reset();
+            TimeAdjuster.reset();
+            window.running = false;
+            window.currentAgenda = null;
+            window.timerEngine = null;
+        });
+
+        test('pause the engine through PauseController', () => {
+            PauseController.pause();
+            clock.time = at(14, 6);
+            expect(engine.isPaused()).toBe(true);
+            expect(PauseController.getPausedDuration()).toBe(60000);
+
+            PauseController.resume();
+            expect(engine.isPaused()).toBe(false);
+        });
+
+        test('adjust the engine schedule through TimeAdjuster', () => {
+            expect(TimeAdjuster.addTime(30)).toBe(true);
+            expect(engine.getRemaining()).toBe(5 * 60000 + 30000);
+            expect(TimeAdjuster.getTotalAdjustments()).toBe(30000);
+        });
+
+        test('keep FINISH in place through TimeAdjuster when the end time is protected', () => {
+            global.EndTimeProtection = { isEnabled: () => true };
+            document.body.innerHTML = '<div id="ticker"></div>';
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            expect(TimeAdjuster.addTime(60)).toBe(true);
+            expect(agenda[0].concludesAt).toEqual(new Date(at(14, 11)));
+            expect(agenda[1].concludesAt).toEqual(new Date(at(15, 0)));
+            expect(document.getElementById('end-time-warning')).toBeNull();
+
+            agenda[1].fixed = true;
+            jest.useFakeTimers();
+            TimeAdjuster.reset();
+            expect(TimeAdjuster.addTime(30)).toBe(true);
+            expect(agenda[1].concludesAt).toEqual(new Date(at(15, 0, 30)));
+            expect(document.getElementById('end-time-warning').textContent).toContain('FINISH moves 0:30 later');
+            jest.advanceTimersByTime(5000);
+            expect(document.getElementById('end-time-warning').style.display).toBe('none');
+
+            jest.useRealTimers();
+            console.warn.mockRestore();
+            delete global.EndTimeProtection;
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for TimingRecorder
+ */
+
+const { Agenda } = require('../scripts/agenda-defender.js');
+const TimerEvents = require('../scripts/event-bus.js');
+const TimingRecorder = require('../scripts/timing-recorder.js');
+const { DATE_HEADER, INTRO_DEMO, at: timeOnTestDay } = require('./helpers/fake-clock.js');
+
+describe('TimingRecorder', () => {
+    // A Date in the 14:00 hour, when the agenda runs
+    const at = (minutes, seconds) => new Date(timeOnTestDay(14, minutes, seconds));
+    let detach;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: at(0) });
+        window.currentAgenda = Agenda.parse(DATE_HEADER + INTRO_DEMO);
+        detach = TimingRecorder.attach(TimerEvents);
+    });
+
+    afterEach(() => {
+        detach();
+        TimingRecorder.reset();
+        window.currentAgenda = null;
+        jest.useRealTimers();
+    });
+
+    const enter = (index, minutes, seconds) =>
+        TimerEvents.emit('section:enter', { index, actualStart: at(minutes, seconds) });
+    const exit = (index, minutes, seconds) =>
+        TimerEvents.emit('section:exit', { index, actualEnd: at(minutes, seconds) });
+
+    test('logs planned and actual times, pauses and adjustments per section', () => {
+        TimerEvents.emit('meeting:start', {});
+        enter(0, 0);
+        TimerEvents.emit('adjust', { index: 0, deltaMs: 30000 });
+        TimerEvents.emit('resume', { index: 0, pausedMs: 60000 });
+        exit(0, 6, 30);
+        enter(1, 6, 30);
+        exit(1, 15, 30);
+        TimerEvents.emit('meeting:complete', { index: 1 });
+        jest.setSystemTime(at(15, 30));
+        TimerEvents.emit('meeting:stop', { completed: true });
+
+        const log = TimingRecorder.getLog();
+        expect(log).toEqual(expect.objectContaining({
+            startedAt: at(0), endedAt: at(15, 30), completed: true, pausedMs: 60000, adjustmentsMs: 30000
+        }));
+        expect(log.sections[0]).toEqual({
+            index: 0, title: 'Intro',
+            plannedStart: at(0), plannedEnd: at(5), plannedDuration: 5 * 60000,
+            actualStart: at(0), actualEnd: at(6, 30), actualDuration: 6.5 * 60000,
+            adjustmentsMs: 30000, pausedMs: 60000, visits: 1
+        });
+        expect(log.sections[1].actualDuration).toBe(9 * 60000);
+    });
+
+    test('adds up repeated visits after jumping back', () => {
+        TimerEvents.emit('meeting:start', {});
+        enter(0, 0);
+        exit(0, 1);
+        enter(1, 1);
+        exit(1, 2);
+        enter(0, 2);
+        jest.setSystemTime(at(3));
+
+        const log = TimingRecorder.getLog();
+        expect(log.sections[0]).toEqual(expect.objectContaining({
+            actualStart: at(0), actualEnd: null, actualDuration: 2 * 60000, visits: 2
+        }));
+        expect(log.sections[1].actualDuration).toBe(60000);
+    });
+
+    test('picks up the sections already run when a meeting is resumed', () => {
+        const agenda = window.currentAgenda;
+        agenda[0].actualCommencesAt = at(0);
+        agenda[0].actualConcludesAt = at(5, 30);
+        agenda[1].actualCommencesAt = at(5, 30);
+        agenda[1].actualConcludesAt = null;
+        jest.setSystemTime(at(8));
+
+        TimerEvents.emit('meeting:start', { resumed: true });
+        enter(1, 5, 30);
+        jest.setSystemTime(at(9));
+
+        const log = TimingRecorder.getLog();
+        expect(log.resumed).toBe(true);
+        expect(log.sections[0]).toEqual(expect.objectContaining({
+            actualStart: at(0), actualEnd: at(5, 30), actualDuration: 5.5 * 60000, visits: 1
+        }));
+        expect(log.sections[1]).toEqual(expect.objectContaining({
+            actualStart: at(5, 30), actualEnd: null, actualDuration: 3.5 * 60000, visits: 1
+        }));
+    });
+
+    test('keeps the log of a stopped meeting until the next one starts', () => {
+        expect(TimingRecorder.getLog()).toBeNull();
+
+        TimerEvents.emit('meeting:start', {});
+        enter(0, 0);
+        jest.setSystemTime(at(2));
+        TimerEvents.emit('meeting:stop', { completed: false });
+
+        const log = TimingRecorder.getLog();
+        expect(log.completed).toBe(false);
+        expect(log.sections[0]).toEqual(expect.objectContaining({ actualEnd: at(2), actualDuration: 2 * 60000 }));
+        expect(log.sections[1].visits).toBe(0);
+
+        TimerEvents.emit('meeting:start', {});
+        expect(TimingRecorder.getLog().sections[0].visits).toBe(0);
+    });
+});